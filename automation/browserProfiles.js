@@ -0,0 +1,110 @@
+/**
+ * Launch options, user agent and stealth patches for each browser engine.
+ * Patches only hide what the engine would give away, e.g. window.chrome is
+ * only faked on Chromium where real Chrome has it.
+ */
+const { chromium, firefox, webkit } = require("playwright");
+
+/**
+ * Hides navigator.webdriver, which every engine sets under automation
+ */
+function hideWebdriver() {
+  Object.defineProperty(navigator, "webdriver", {
+    get: () => false,
+  });
+}
+
+/**
+ * Makes automated Chromium look like a regular Chrome install. Init scripts
+ * are serialized into the page, so this cannot call hideWebdriver.
+ * @param {string[]} languages - Languages reported by navigator.languages
+ */
+function chromiumStealth(languages) {
+  Object.defineProperty(navigator, "webdriver", {
+    get: () => false,
+  });
+
+  // Mock plugins
+  Object.defineProperty(navigator, "plugins", {
+    get: () => [1, 2, 3, 4, 5],
+  });
+
+  Object.defineProperty(navigator, "languages", {
+    get: () => languages,
+  });
+
+  // Chrome runtime
+  window.chrome = {
+    runtime: {},
+  };
+
+  // Headless Chromium answers "denied" for notifications while Notification.permission says "default"
+  const originalQuery = window.navigator.permissions.query;
+  window.navigator.permissions.query = (parameters) =>
+    parameters.name === "notifications"
+      ? Promise.resolve({ state: Notification.permission })
+      : originalQuery(parameters);
+}
+
+const PROFILES = {
+  chromium: {
+    browserType: chromium,
+    getLaunchOptions: (viewport) => ({
+      args: [
+        "--start-maximized",
+        "--disable-blink-features=AutomationControlled",
+        "--disable-dev-shm-usage",
+        "--no-sandbox",
+        "--disable-setuid-sandbox",
+        "--disable-web-security",
+        "--disable-features=IsolateOrigins,site-per-process",
+        `--window-size=${viewport.width},${viewport.height}`,
+      ],
+    }),
+    userAgent:
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
+    stealthScript: chromiumStealth,
+  },
+  firefox: {
+    browserType: firefox,
+    getLaunchOptions: () => ({
+      args: [],
+      // Firefox turns the automation hints off through preferences, not flags
+      firefoxUserPrefs: {
+        "dom.webdriver.enabled": false,
+        useAutomationExtension: false,
+      },
+    }),
+    userAgent:
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:133.0) Gecko/20100101 Firefox/133.0",
+    stealthScript: hideWebdriver,
+  },
+  webkit: {
+    browserType: webkit,
+    getLaunchOptions: () => ({
+      args: [],
+    }),
+    userAgent:
+      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.1 Safari/605.1.15",
+    stealthScript: hideWebdriver,
+  },
+};
+
+/**
+ * Returns the profile of a browser engine
+ * @param {string} engine - "chromium", "firefox" or "webkit"
+ * @returns {Object} Profile with browserType, getLaunchOptions(viewport), userAgent and stealthScript
+ */
+function getBrowserProfile(engine) {
+  const profile = PROFILES[engine];
+
+  if (!profile) {
+    throw new Error(`Unknown browser engine: ${engine}`);
+  }
+
+  return profile;
+}
+
+module.exports = {
+  getBrowserProfile,
+};
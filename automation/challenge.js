@@ -0,0 +1,309 @@
+/**
+ * Hands duck.ai's CAPTCHA/anomaly challenge to a human.
+ * The job that hits the challenge waits while someone looks at screenshots
+ * and clicks, types or reloads the page remotely. No other job starts until
+ * the challenge is solved, the wait times out or the waiting job is cancelled.
+ */
+const config = require("../config/config");
+const { pauseQueue, resumeQueue } = require("./queue");
+const { findElement } = require("./selectors");
+
+// Screenshots are overlaid with a grid of cells that can be clicked
+const GRID_COLUMNS = 8;
+const GRID_ROWS = 6;
+
+// Time the page gets to react to an action before the next screenshot
+const ACTION_SETTLE_DELAY = 1500;
+
+// Challenges waiting for a human, keyed by challenge ID
+const challenges = new Map();
+
+// Listeners told when a challenge is detected, solved or fails
+const challengeListeners = [];
+
+let nextChallengeId = 1;
+
+/**
+ * Registers a listener for challenge events
+ * @param {Function} listener - Receives the event ("detected", "solved" or "failed") and the challenge
+ */
+function onChallenge(listener) {
+  challengeListeners.push(listener);
+}
+
+/**
+ * Checks whether anyone listens for challenges, without listeners they fail right away
+ * @returns {boolean} True if challenges are handed off
+ */
+function hasChallengeHandlers() {
+  return challengeListeners.length > 0;
+}
+
+/**
+ * Calls every listener without letting one break the others
+ * @param {string} event - Event name
+ * @param {Object} challenge - Challenge the event is about
+ */
+function emitChallengeEvent(event, challenge) {
+  challengeListeners.forEach((listener) => {
+    Promise.resolve()
+      .then(() => listener(event, challenge))
+      .catch((error) => {
+        console.error("Error in challenge listener:", error);
+      });
+  });
+}
+
+/**
+ * Checks whether the challenge modal is visible on a page
+ * @param {Object} page - Playwright page
+ * @returns {Promise<boolean>} True if the challenge is shown
+ */
+async function isChallengeVisible(page) {
+  return !!(await findElement(page, "challengeModal"));
+}
+
+/**
+ * Ends a challenge, letting the waiting job continue or fail
+ * @param {Object} challenge - Challenge to end
+ * @param {Error|null} error - Why the challenge failed, or null if it was solved
+ */
+function finishChallenge(challenge, error) {
+  if (!challenges.delete(challenge.id)) {
+    return;
+  }
+
+  clearTimeout(challenge.timer);
+  resumeQueue();
+
+  if (error) {
+    challenge.error = error.message;
+    challenge.reject(error);
+    emitChallengeEvent("failed", challenge);
+  } else {
+    challenge.resolve();
+    emitChallengeEvent("solved", challenge);
+  }
+}
+
+/**
+ * Waits until a human solves the challenge shown on a page
+ * @param {Object} page - Playwright page showing the challenge
+ * @param {AbortSignal} [signal] - Stops waiting once aborted
+ * @returns {Promise<void>} Resolves once solved, rejects if nobody solves it in time or the job is aborted
+ */
+function handOffChallenge(page, signal) {
+  if (signal && signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  const challenge =
+    [...challenges.values()].find((entry) => entry.page === page) ||
+    openChallenge(page);
+
+  challenge.waiting++;
+
+  if (!signal) {
+    return challenge.promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      challenge.waiting--;
+
+      // Without anyone waiting the challenge ends and its pause is lifted
+      if (challenge.waiting === 0) {
+        finishChallenge(challenge, signal.reason);
+      }
+      reject(signal.reason);
+    };
+
+    signal.addEventListener("abort", onAbort, { once: true });
+    challenge.promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener("abort", onAbort);
+    });
+  });
+}
+
+/**
+ * Registers a challenge shown on a page and pauses the queue until it ends
+ * @param {Object} page - Playwright page showing the challenge
+ * @returns {Object} Challenge
+ */
+function openChallenge(page) {
+  const challenge = {
+    id: nextChallengeId++,
+    page: page,
+    detectedAt: new Date().toISOString(),
+    error: null,
+    waiting: 0,
+  };
+
+  challenge.promise = new Promise((resolve, reject) => {
+    challenge.resolve = resolve;
+    challenge.reject = reject;
+  });
+
+  const minutes = Math.round(config.challenge.timeout / 60000);
+  challenge.timer = setTimeout(() => {
+    finishChallenge(
+      challenge,
+      new Error(
+        `duck.ai asked for a CAPTCHA and nobody solved it within ${minutes} minutes. Please try again later`
+      )
+    );
+  }, config.challenge.timeout);
+
+  // The page closes with its browser context, e.g. on eviction or shutdown
+  page.once("close", () => {
+    finishChallenge(
+      challenge,
+      new Error("The page showing the CAPTCHA was closed")
+    );
+  });
+
+  challenges.set(challenge.id, challenge);
+
+  // Other jobs would run into the same challenge, hold them until it is solved
+  pauseQueue();
+  emitChallengeEvent("detected", challenge);
+
+  return challenge;
+}
+
+/**
+ * Takes a screenshot of the page with the click grid drawn on top
+ * @param {Object} page - Playwright page
+ * @returns {Promise<Buffer>} JPEG image
+ */
+async function takeGridScreenshot(page) {
+  await page.evaluate(
+    ({ columns, rows }) => {
+      const overlay = document.createElement("div");
+      overlay.id = "__challenge-grid";
+      overlay.style.cssText = `position:fixed;inset:0;z-index:2147483647;pointer-events:none;display:grid;grid-template-columns:repeat(${columns},1fr);grid-template-rows:repeat(${rows},1fr);`;
+
+      for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+          const cell = document.createElement("div");
+          cell.textContent = `${String.fromCharCode(65 + column)}${row + 1}`;
+          cell.style.cssText =
+            "border:1px dashed rgba(255,0,0,.6);color:red;font:bold 16px sans-serif;padding:2px 4px;text-shadow:0 0 2px #fff;";
+          overlay.appendChild(cell);
+        }
+      }
+
+      document.body.appendChild(overlay);
+    },
+    { columns: GRID_COLUMNS, rows: GRID_ROWS }
+  );
+
+  try {
+    return await page.screenshot({ type: "jpeg", quality: 70 });
+  } finally {
+    await page
+      .evaluate(() => {
+        const overlay = document.getElementById("__challenge-grid");
+        if (overlay) overlay.remove();
+      })
+      .catch(() => {});
+  }
+}
+
+/**
+ * Acts on the page of a challenge and reports whether it is solved
+ * @param {number} challengeId - Challenge ID
+ * @param {Object} action - What to do
+ * @param {string} action.type - One of "click", "type", "key", "refresh" or "screenshot"
+ * @param {number} [action.column] - Grid column to click, starting at 0
+ * @param {number} [action.row] - Grid row to click, starting at 0
+ * @param {string} [action.text] - Text to type
+ * @param {string} [action.key] - Key to press, e.g. "Enter"
+ * @returns {Promise<Object>} Result object with success status, solved flag and a new screenshot
+ */
+async function performChallengeAction(challengeId, action) {
+  const challenge = challenges.get(challengeId);
+
+  if (!challenge) {
+    return {
+      success: false,
+      message: "This challenge is no longer active",
+    };
+  }
+
+  const { page } = challenge;
+
+  try {
+    switch (action.type) {
+      case "click": {
+        const viewport = page.viewportSize() || config.playwright.viewport;
+        const cellWidth = viewport.width / GRID_COLUMNS;
+        const cellHeight = viewport.height / GRID_ROWS;
+
+        // Click the middle of the cell
+        await page.mouse.click(
+          (action.column + 0.5) * cellWidth,
+          (action.row + 0.5) * cellHeight
+        );
+        break;
+      }
+      case "type":
+        await page.keyboard.type(action.text, { delay: 50 });
+        break;
+      case "key":
+        await page.keyboard.press(action.key);
+        break;
+      case "refresh":
+        await page.reload({
+          waitUntil: "networkidle",
+          timeout: config.duckai.navigationTimeout,
+        });
+        break;
+      case "screenshot":
+        break;
+      default:
+        throw new Error(`Unknown action: ${action.type}`);
+    }
+
+    if (action.type !== "screenshot") {
+      await page.waitForTimeout(ACTION_SETTLE_DELAY);
+    }
+
+    if (!(await isChallengeVisible(page))) {
+      finishChallenge(challenge, null);
+      return { success: true, solved: true, message: "Challenge solved" };
+    }
+
+    return {
+      success: true,
+      solved: false,
+      message: "Challenge still shown",
+      screenshot: await takeGridScreenshot(page),
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: `Error: ${error.message}`,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Takes a screenshot of a challenge's page
+ * @param {number} challengeId - Challenge ID
+ * @returns {Promise<Object>} Result object with success status and screenshot
+ */
+function getChallengeScreenshot(challengeId) {
+  return performChallengeAction(challengeId, { type: "screenshot" });
+}
+
+module.exports = {
+  GRID_COLUMNS,
+  GRID_ROWS,
+  onChallenge,
+  hasChallengeHandlers,
+  handOffChallenge,
+  performChallengeAction,
+  getChallengeScreenshot,
+};
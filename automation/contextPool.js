@@ -0,0 +1,625 @@
+const config = require("../config/config");
+const { getBrowserProfile } = require("./browserProfiles");
+const { getStorage } = require("../storage");
+
+// Storage collection holding each session's cookies and local storage
+const SESSION_STATE_COLLECTION = "sessionState";
+
+// Shared browser process, each session gets its own context inside it
+let globalBrowser = null;
+let launchingBrowser = null;
+
+// Active sessions keyed by session key, ordered from least to most recently used
+const sessions = new Map();
+
+// How often idle sessions are checked for eviction
+const IDLE_CHECK_INTERVAL = 60 * 1000;
+let idleTimer = null;
+let saveTimer = null;
+
+// Relaunch delays after crashes or failed launches double up to the maximum
+const RELAUNCH_BASE_DELAY = 1000;
+const RELAUNCH_MAX_DELAY = 60 * 1000;
+
+// A browser that stays up this long is considered stable again
+const STABLE_UPTIME = 5 * 60 * 1000;
+
+// Time an idle page gets to answer a liveness probe
+const PROBE_TIMEOUT = 5000;
+
+let watchdogTimer = null;
+let relaunchFailures = 0;
+let nextLaunchAt = 0;
+
+// Browser lifecycle, reported by /status
+const browserStats = {
+  launchedAt: null,
+  restarts: 0,
+  lastCrashAt: null,
+  lastCrashReason: null,
+};
+
+/**
+ * Waits for the given time
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Returns the proxy the browser is launched with
+ * @returns {Object|undefined} Playwright proxy settings, or undefined without a proxy
+ */
+function getProxySettings() {
+  const { server, username, password, bypass } = config.playwright.proxy;
+
+  if (!server) {
+    return undefined;
+  }
+
+  return {
+    server: server,
+    username: username || undefined,
+    password: password || undefined,
+    bypass: bypass || undefined,
+  };
+}
+
+/**
+ * Returns how long to wait before the next launch attempt
+ * @returns {number} Delay in milliseconds
+ */
+function getRelaunchDelay() {
+  return Math.min(
+    RELAUNCH_BASE_DELAY * 2 ** (relaunchFailures - 1),
+    RELAUNCH_MAX_DELAY
+  );
+}
+
+/**
+ * Forgets a browser that crashed or was closed from outside, together with
+ * every session in it, and starts a new one in the background
+ * @param {Object} browser - Browser that went away
+ * @param {string} reason - What happened, shown by /status
+ */
+function handleBrowserLoss(browser, reason) {
+  // closeAll() clears globalBrowser before closing it on purpose
+  if (browser !== globalBrowser) {
+    return;
+  }
+
+  console.warn(`Browser lost: ${reason}. Relaunching...`);
+
+  globalBrowser = null;
+  browserStats.lastCrashAt = new Date().toISOString();
+  browserStats.lastCrashReason = reason;
+  browserStats.restarts++;
+
+  // Their contexts died with the browser, running tasks fail on their own
+  sessions.clear();
+
+  // Back off if the browser keeps crashing
+  relaunchFailures++;
+  nextLaunchAt = Date.now() + getRelaunchDelay();
+
+  getBrowser().catch((error) => {
+    console.error("Error relaunching browser:", error.message);
+  });
+}
+
+/**
+ * Launches the shared browser if it is not running yet. After crashes and
+ * failed launches the next launch waits with exponential backoff.
+ * @returns {Promise<Object>} Playwright browser
+ */
+async function getBrowser() {
+  if (globalBrowser) {
+    return globalBrowser;
+  }
+
+  // Make concurrent callers wait for the same launch
+  if (!launchingBrowser) {
+    launchingBrowser = delay(Math.max(0, nextLaunchAt - Date.now()))
+      .then(() => {
+        const profile = getBrowserProfile(config.playwright.browserType);
+        const launchOptions = profile.getLaunchOptions(
+          config.playwright.viewport
+        );
+
+        return profile.browserType.launch({
+          ...launchOptions,
+          headless: config.playwright.headless,
+          channel: config.playwright.channel || undefined,
+          args: [...launchOptions.args, ...config.playwright.launchArgs],
+          proxy: getProxySettings(),
+        });
+      })
+      .then(
+        (browser) => {
+          globalBrowser = browser;
+          browserStats.launchedAt = new Date().toISOString();
+          browser.on("disconnected", () => {
+            handleBrowserLoss(browser, "Browser disconnected");
+          });
+          startWatchdog();
+          return browser;
+        },
+        (error) => {
+          relaunchFailures++;
+          nextLaunchAt = Date.now() + getRelaunchDelay();
+          throw error;
+        }
+      )
+      .finally(() => {
+        launchingBrowser = null;
+      });
+  }
+
+  return launchingBrowser;
+}
+
+/**
+ * Returns the storage state saved for a session
+ * @param {string} key - Session key
+ * @returns {Promise<Object|undefined>} Playwright storage state, or undefined if none was saved
+ */
+async function loadSessionState(key) {
+  if (!config.playwright.persistSessions) {
+    return undefined;
+  }
+
+  return (await getStorage().get(SESSION_STATE_COLLECTION, key)) || undefined;
+}
+
+/**
+ * Saves a session's cookies and local storage so a new context can pick them up
+ * @param {Object} session - Open session
+ */
+async function saveSessionState(session) {
+  if (!config.playwright.persistSessions || !session.context) {
+    return;
+  }
+
+  try {
+    const state = await session.context.storageState();
+    await getStorage().set(SESSION_STATE_COLLECTION, session.key, state);
+  } catch (error) {
+    console.warn(
+      `Could not save browser session ${session.key}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * Creates a new isolated context and page with anti-detection settings,
+ * restoring the session's saved cookies and local storage
+ * @param {string} key - Session key
+ * @returns {Promise<Object>} Object with context and page
+ */
+async function createContext(key) {
+  const browser = await getBrowser();
+  const storageState = await loadSessionState(key);
+  const profile = getBrowserProfile(config.playwright.browserType);
+
+  const context = await browser.newContext({
+    storageState: storageState,
+    viewport: config.playwright.viewport,
+    userAgent: config.playwright.userAgent || profile.userAgent,
+    locale: config.playwright.locale,
+    timezoneId: config.playwright.timezoneId,
+    permissions: [],
+    extraHTTPHeaders: {
+      "Accept-Language": config.playwright.acceptLanguage,
+    },
+  });
+
+  // Hide the automation hints this engine gives away
+  const language = config.playwright.locale.split("-")[0];
+  await context.addInitScript(profile.stealthScript, [
+    ...new Set([config.playwright.locale, language]),
+  ]);
+
+  const page = await context.newPage();
+
+  // Drop the session if its page dies, the next request opens a new one
+  page.on("crash", () => {
+    discardSession(key, page, "Page crashed");
+  });
+  page.on("close", () => {
+    discardSession(key, page, "Page closed");
+  });
+
+  return { context, page };
+}
+
+/**
+ * Removes a session whose page crashed, closed or stopped responding
+ * @param {string} key - Session key
+ * @param {Object} page - Page that failed
+ * @param {string} reason - What happened
+ */
+function discardSession(key, page, reason) {
+  const session = sessions.get(key);
+
+  // Pages of released sessions close on purpose
+  if (!session || session.page !== page) {
+    return;
+  }
+
+  console.warn(`Browser session ${key} discarded: ${reason}`);
+  releaseSession(key, { saveState: false, whenIdle: true }).catch(() => {});
+}
+
+/**
+ * Checks that the browser is connected and that idle pages still respond
+ */
+async function probeBrowser() {
+  if (!globalBrowser) {
+    // Keep retrying a relaunch that failed after a crash
+    if (browserStats.restarts > 0 && !launchingBrowser) {
+      getBrowser().catch((error) => {
+        console.error("Error relaunching browser:", error.message);
+      });
+    }
+    return;
+  }
+
+  if (!globalBrowser.isConnected()) {
+    handleBrowserLoss(globalBrowser, "Browser stopped responding");
+    return;
+  }
+
+  // Stop backing off once the browser has been stable for a while
+  if (
+    Date.now() - new Date(browserStats.launchedAt).getTime() >
+    STABLE_UPTIME
+  ) {
+    relaunchFailures = 0;
+  }
+
+  for (const session of Array.from(sessions.values())) {
+    if (session.busy > 0 || !session.page) {
+      continue;
+    }
+
+    try {
+      await Promise.race([
+        session.page.evaluate(() => true),
+        delay(PROBE_TIMEOUT).then(() => {
+          throw new Error("timed out");
+        }),
+      ]);
+    } catch (error) {
+      discardSession(
+        session.key,
+        session.page,
+        `Liveness probe failed: ${error.message}`
+      );
+    }
+  }
+}
+
+/**
+ * Starts the periodic liveness probe if it is not running
+ */
+function startWatchdog() {
+  if (watchdogTimer || config.playwright.watchdogInterval <= 0) {
+    return;
+  }
+
+  watchdogTimer = setInterval(() => {
+    probeBrowser().catch((error) => {
+      console.error("Error probing browser:", error);
+    });
+  }, config.playwright.watchdogInterval);
+
+  // Don't keep the process alive just for this timer
+  watchdogTimer.unref();
+}
+
+/**
+ * Closes the least recently used idle session to make room for a new one
+ * @returns {Promise<boolean>} True if a session was evicted
+ */
+async function evictLeastRecentlyUsed() {
+  // Map iteration order is least recently used first
+  for (const [key, session] of sessions) {
+    if (session.busy === 0) {
+      await releaseSession(key);
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Returns the session for a key, creating it if necessary, and marks it busy
+ * @param {string|number} sessionKey - User or chat identifier
+ * @returns {Promise<Object>} Session with context, page and selected model
+ */
+async function acquireSession(sessionKey) {
+  const key = String(sessionKey);
+  let session = sessions.get(key);
+
+  if (session) {
+    // Move to the end to mark as most recently used
+    sessions.delete(key);
+    sessions.set(key, session);
+    session.lastUsed = Date.now();
+    session.busy++;
+
+    try {
+      await session.ready;
+    } catch (error) {
+      session.busy--;
+      throw error;
+    }
+
+    return session;
+  }
+
+  const needsRoom = sessions.size >= config.playwright.maxContexts;
+
+  // Claim the key before waiting on anything, so concurrent callers share
+  // this session instead of creating a second context for it
+  session = {
+    key: key,
+    ready: null,
+    context: null,
+    page: null,
+    currentModel: null,
+    busy: 1,
+    closing: null,
+    queue: Promise.resolve(),
+    lastUsed: Date.now(),
+  };
+  sessions.set(key, session);
+  startIdleTimer();
+
+  session.ready = (async () => {
+    if (needsRoom && !(await evictLeastRecentlyUsed())) {
+      throw new Error("All browser sessions are busy. Please try again later");
+    }
+
+    return createContext(key);
+  })();
+
+  try {
+    const { context, page } = await session.ready;
+    session.context = context;
+    session.page = page;
+  } catch (error) {
+    if (sessions.get(key) === session) {
+      sessions.delete(key);
+    }
+    throw error;
+  }
+
+  return session;
+}
+
+/**
+ * Runs a task with exclusive access to the session's page
+ * @param {string|number} sessionKey - User or chat identifier
+ * @param {Function} task - Async function receiving the session
+ * @returns {Promise<*>} Whatever the task returns
+ */
+async function withSession(sessionKey, task) {
+  const session = await acquireSession(sessionKey);
+
+  // Serialize tasks on the same page
+  const run = session.queue.then(() => task(session));
+  session.queue = run.catch(() => {});
+
+  try {
+    return await run;
+  } finally {
+    session.busy--;
+    session.lastUsed = Date.now();
+
+    // A session released while in use closes after its last task
+    if (session.busy === 0 && session.closing) {
+      await closeSessionContext(session, session.closing.saveState);
+    }
+  }
+}
+
+/**
+ * Closes a session's context and removes it from the pool
+ * @param {string|number} sessionKey - User or chat identifier
+ * @param {Object} [options] - Release options
+ * @param {boolean} [options.saveState=true] - Whether to save cookies and local storage first
+ * @param {boolean} [options.whenIdle=false] - Whether running tasks may finish before the context closes
+ */
+async function releaseSession(
+  sessionKey,
+  { saveState = true, whenIdle = false } = {}
+) {
+  const key = String(sessionKey);
+  const session = sessions.get(key);
+
+  if (!session) {
+    return;
+  }
+
+  // New requests get a new context right away
+  sessions.delete(key);
+
+  if (whenIdle && session.busy > 0) {
+    session.closing = { saveState };
+    return;
+  }
+
+  await closeSessionContext(session, saveState);
+}
+
+/**
+ * Closes the context of a session that left the pool
+ * @param {Object} session - Session to close
+ * @param {boolean} saveState - Whether to save cookies and local storage first
+ */
+async function closeSessionContext(session, saveState) {
+  try {
+    const { context } = await session.ready;
+    if (saveState) {
+      await saveSessionState(session);
+    }
+    await context.close();
+  } catch (error) {
+    console.warn(
+      `Could not close browser context ${session.key}:`,
+      error.message
+    );
+  }
+}
+
+/**
+ * Closes sessions that have been idle longer than the configured timeout
+ */
+async function evictIdleSessions() {
+  const now = Date.now();
+
+  for (const [key, session] of sessions) {
+    if (
+      session.busy === 0 &&
+      now - session.lastUsed > config.playwright.contextIdleTimeout
+    ) {
+      await releaseSession(key);
+    }
+  }
+}
+
+/**
+ * Starts the periodic idle check if it is not running
+ */
+function startIdleTimer() {
+  if (idleTimer) {
+    return;
+  }
+
+  idleTimer = setInterval(() => {
+    evictIdleSessions().catch((error) => {
+      console.error("Error evicting idle sessions:", error);
+    });
+  }, IDLE_CHECK_INTERVAL);
+
+  // Don't keep the process alive just for this timer
+  idleTimer.unref();
+
+  if (config.playwright.stateSaveInterval > 0) {
+    saveTimer = setInterval(() => {
+      saveAllSessions().catch((error) => {
+        console.error("Error saving browser sessions:", error);
+      });
+    }, config.playwright.stateSaveInterval);
+    saveTimer.unref();
+  }
+}
+
+/**
+ * Saves the cookies and local storage of every open session
+ */
+async function saveAllSessions() {
+  for (const session of sessions.values()) {
+    if (session.context) {
+      await saveSessionState(session);
+    }
+  }
+}
+
+/**
+ * Closes a session without saving it and forgets its saved state,
+ * so the next request starts from a clean context
+ * @param {string|number} sessionKey - User or chat identifier
+ * @returns {Promise<boolean>} True if there was an open session or saved state
+ */
+async function resetSession(sessionKey) {
+  const key = String(sessionKey);
+  const existed =
+    sessions.has(key) ||
+    !!(await getStorage().get(SESSION_STATE_COLLECTION, key));
+
+  // A prompt still running finishes on the old context
+  await releaseSession(key, { saveState: false, whenIdle: true });
+  await getStorage().delete(SESSION_STATE_COLLECTION, key);
+
+  return existed;
+}
+
+/**
+ * Saves and closes every session, then closes the shared browser
+ */
+async function closeAll() {
+  clearInterval(idleTimer);
+  clearInterval(saveTimer);
+  clearInterval(watchdogTimer);
+  idleTimer = null;
+  saveTimer = null;
+  watchdogTimer = null;
+
+  for (const key of Array.from(sessions.keys())) {
+    await releaseSession(key);
+  }
+
+  if (globalBrowser) {
+    // Cleared first so the disconnect is not taken for a crash
+    const browser = globalBrowser;
+    globalBrowser = null;
+    browserStats.launchedAt = null;
+    await browser.close();
+  }
+}
+
+/**
+ * Returns the number of open sessions
+ * @returns {number} Open session count
+ */
+function getSessionCount() {
+  return sessions.size;
+}
+
+/**
+ * Describes the browser for /status
+ * @returns {Object} Whether it runs, since when, restarts, last crash, contexts and pages
+ */
+function getBrowserStatus() {
+  const contexts = Array.from(sessions.values()).filter(
+    (session) => session.context
+  );
+
+  return {
+    running: !!globalBrowser && globalBrowser.isConnected(),
+    engine: config.playwright.channel || config.playwright.browserType,
+    launchFailures: relaunchFailures,
+    ...browserStats,
+    contexts: sessions.size,
+    pages: contexts.reduce(
+      (count, session) => count + session.context.pages().length,
+      0
+    ),
+  };
+}
+
+/**
+ * Checks whether a key already has an open session
+ * @param {string|number} sessionKey - User or chat identifier
+ * @returns {boolean} True if a session exists
+ */
+function hasSession(sessionKey) {
+  return sessions.has(String(sessionKey));
+}
+
+module.exports = {
+  withSession,
+  releaseSession,
+  resetSession,
+  saveAllSessions,
+  closeAll,
+  getSessionCount,
+  getBrowserStatus,
+  hasSession,
+};
@@ -0,0 +1,246 @@
+/**
+ * Records every automation run and keeps a diagnostics bundle when it fails:
+ * a Playwright trace, console and network logs, a full-page screenshot and
+ * the page's HTML. Bundles live in their own directory named after the run
+ * ID, only the newest ones are kept.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../config/config");
+
+// Run IDs are short lowercase hex strings
+const RUN_ID_PATTERN = /^[a-f0-9]{8}$/;
+
+// File describing a bundle
+const META_FILE = "meta.json";
+
+// Lines kept in each log, the oldest are dropped first
+const MAX_LOG_LINES = 1000;
+
+/**
+ * Creates a new run ID
+ * @returns {string} Run ID
+ */
+function createRunId() {
+  return crypto.randomBytes(4).toString("hex");
+}
+
+/**
+ * Adds a line to a log, dropping the oldest beyond the limit
+ * @param {string[]} log - Log lines
+ * @param {string} line - Line to add
+ */
+function appendLog(log, line) {
+  log.push(`${new Date().toISOString()} ${line}`);
+  if (log.length > MAX_LOG_LINES) {
+    log.shift();
+  }
+}
+
+/**
+ * Runs an artifact step, ignoring failures so one broken step does not
+ * cost the rest of the bundle
+ * @param {string} name - Step name for the log
+ * @param {Function} step - Async function
+ */
+async function tryStep(name, step) {
+  try {
+    await step();
+  } catch (error) {
+    console.warn(`Could not save ${name} for diagnostics:`, error.message);
+  }
+}
+
+/**
+ * Deletes the oldest bundles beyond the configured limit
+ */
+function rotateBundles() {
+  const bundles = listBundles();
+
+  for (const bundle of bundles.slice(config.diagnostics.maxBundles)) {
+    fs.rmSync(path.join(config.diagnostics.dir, bundle.runId), {
+      recursive: true,
+      force: true,
+    });
+  }
+}
+
+/**
+ * Writes the bundle of a failed run
+ * @param {Object} run - Run state
+ * @param {Object} session - Session the run used
+ * @param {Error} error - Why the run failed
+ */
+async function writeBundle(run, session, error) {
+  const dir = path.join(config.diagnostics.dir, run.id);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const { context, page } = session;
+
+  if (run.tracing) {
+    await tryStep("trace", () =>
+      context.tracing.stop({ path: path.join(dir, "trace.zip") })
+    );
+    run.tracing = false;
+  }
+
+  if (!page.isClosed()) {
+    await tryStep("screenshot", () =>
+      page.screenshot({
+        path: path.join(dir, "screenshot.png"),
+        fullPage: true,
+        timeout: config.duckai.actionTimeout,
+      })
+    );
+    await tryStep("HTML snapshot", async () =>
+      fs.writeFileSync(path.join(dir, "page.html"), await page.content())
+    );
+  }
+
+  fs.writeFileSync(path.join(dir, "console.log"), run.console.join("\n"));
+  fs.writeFileSync(path.join(dir, "network.log"), run.network.join("\n"));
+  fs.writeFileSync(
+    path.join(dir, META_FILE),
+    JSON.stringify(
+      {
+        runId: run.id,
+        name: run.name,
+        sessionKey: session.key,
+        url: page.isClosed() ? null : page.url(),
+        error: error.message,
+        stack: error.stack,
+        startedAt: run.startedAt,
+        failedAt: new Date().toISOString(),
+      },
+      null,
+      2
+    )
+  );
+
+  rotateBundles();
+}
+
+/**
+ * Runs an automation task while recording diagnostics. If the task throws,
+ * a bundle is written and the error message gets the run ID appended.
+ * @param {Object} session - Session from the context pool
+ * @param {string} name - Run name, e.g. "scrape" or "prompt"
+ * @param {Function} task - Async function receiving the session
+ * @returns {Promise<*>} Whatever the task returns
+ */
+async function recordRun(session, name, task) {
+  if (!config.diagnostics.enabled) {
+    return task(session);
+  }
+
+  const { context, page } = session;
+  const run = {
+    id: createRunId(),
+    name: name,
+    startedAt: new Date().toISOString(),
+    console: [],
+    network: [],
+    tracing: false,
+  };
+
+  const onConsole = (message) =>
+    appendLog(run.console, `[${message.type()}] ${message.text()}`);
+  const onPageError = (error) =>
+    appendLog(run.console, `[pageerror] ${error.message}`);
+  const onResponse = (response) =>
+    appendLog(
+      run.network,
+      `${response.status()} ${response.request().method()} ${response.url()}`
+    );
+  const onRequestFailed = (request) =>
+    appendLog(
+      run.network,
+      `FAILED ${request.method()} ${request.url()} ${
+        request.failure() ? request.failure().errorText : ""
+      }`
+    );
+
+  page.on("console", onConsole);
+  page.on("pageerror", onPageError);
+  page.on("response", onResponse);
+  page.on("requestfailed", onRequestFailed);
+
+  if (config.diagnostics.trace) {
+    await tryStep("trace", async () => {
+      await context.tracing.start({ screenshots: true, snapshots: true });
+      run.tracing = true;
+    });
+  }
+
+  try {
+    const result = await task(session);
+
+    // Nothing to keep for a successful run
+    if (run.tracing) {
+      await tryStep("trace", () => context.tracing.stop());
+    }
+
+    return result;
+  } catch (error) {
+    await tryStep("bundle", () => writeBundle(run, session, error));
+
+    error.runId = run.id;
+    error.message = `${error.message} [run ${run.id}]`;
+    throw error;
+  } finally {
+    page.off("console", onConsole);
+    page.off("pageerror", onPageError);
+    page.off("response", onResponse);
+    page.off("requestfailed", onRequestFailed);
+  }
+}
+
+/**
+ * Lists the stored bundles, newest first
+ * @returns {Object[]} Bundle metadata
+ */
+function listBundles() {
+  if (!fs.existsSync(config.diagnostics.dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(config.diagnostics.dir)
+    .filter((runId) => RUN_ID_PATTERN.test(runId))
+    .map((runId) => getBundle(runId))
+    .filter(Boolean)
+    .sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+}
+
+/**
+ * Reads a stored bundle
+ * @param {string} runId - Run ID
+ * @returns {Object|null} Bundle metadata with the paths of its files, or null if not found
+ */
+function getBundle(runId) {
+  // Run IDs end up in file paths, only accept ones this module creates
+  if (!RUN_ID_PATTERN.test(runId)) {
+    return null;
+  }
+
+  const dir = path.join(config.diagnostics.dir, runId);
+
+  try {
+    const meta = JSON.parse(fs.readFileSync(path.join(dir, META_FILE), "utf8"));
+    const files = fs
+      .readdirSync(dir)
+      .filter((file) => file !== META_FILE)
+      .map((file) => path.join(dir, file));
+
+    return { ...meta, files };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  recordRun,
+  listBundles,
+  getBundle,
+};
@@ -0,0 +1,292 @@
+const config = require("../config/config");
+const { findElement, waitForElement, locateElement } = require("./selectors");
+const { hasChallengeHandlers, handOffChallenge } = require("./challenge");
+
+/**
+ * Waits for a human to solve the duck.ai CAPTCHA/anomaly modal if it is
+ * visible, or throws if nobody can be asked
+ * @param {Object} page - Playwright page
+ * @param {AbortSignal} [signal] - Stops waiting for the human once aborted
+ */
+async function assertNoChallenge(page, signal) {
+  if (!(await findElement(page, "challengeModal"))) {
+    return;
+  }
+
+  if (!hasChallengeHandlers()) {
+    throw new Error(
+      "CAPTCHA/Challenge detected. Cannot proceed in headless mode"
+    );
+  }
+
+  await handOffChallenge(page, signal);
+}
+
+/**
+ * Checks whether a page shows duck.ai. Chats move the page to other paths
+ * and add query parameters, so only the host is compared.
+ * @param {Object} page - Playwright page
+ * @returns {boolean} True if the page is on the configured duck.ai host
+ */
+function isOnDuckAI(page) {
+  return new URL(page.url()).host === new URL(config.duckai.baseUrl).host;
+}
+
+/**
+ * Makes sure the page is on duck.ai with the welcome modal dismissed
+ * @param {Object} page - Playwright page
+ * @param {AbortSignal} [signal] - Abort signal of the job
+ */
+async function preparePage(page, signal) {
+  // Navigate to duck.ai (only if not already there)
+  if (!isOnDuckAI(page)) {
+    await page.goto(config.duckai.baseUrl, {
+      waitUntil: "networkidle",
+      timeout: config.duckai.navigationTimeout,
+    });
+
+    // Wait a bit for any dynamic content
+    await page.waitForTimeout(config.duckai.settleDelay);
+
+    // Check if CAPTCHA/anomaly modal appeared
+    await assertNoChallenge(page, signal);
+
+    // Wait for and handle the welcome modal
+    const agreeButton = await findElement(page, "agreeButton");
+
+    if (agreeButton) {
+      await agreeButton.locator.first().click();
+      await agreeButton.locator.first().waitFor({
+        state: "hidden",
+        timeout: config.duckai.actionTimeout,
+      });
+    }
+  }
+}
+
+/**
+ * Opens the model dropdown and waits for the model list to appear
+ * @param {Object} page - Playwright page
+ * @param {AbortSignal} [signal] - Abort signal of the job
+ * @returns {Promise<Object>} Locator of the free models list
+ */
+async function openModelDropdown(page, signal) {
+  // Wait for dropdown button to appear
+  const dropdown = await waitForElement(page, "modelDropdown");
+
+  // Check again for CAPTCHA before clicking
+  await assertNoChallenge(page, signal);
+
+  await dropdown.locator
+    .first()
+    .click({ timeout: config.duckai.actionTimeout });
+
+  // Wait for the dropdown modal to appear, the first list holds free models
+  const modelList = await waitForElement(page, "modelList");
+  return modelList.locator.first();
+}
+
+/**
+ * Closes the model dropdown, falling back to Escape
+ * @param {Object} page - Playwright page
+ */
+async function closeModelDropdown(page) {
+  try {
+    const closeButton = await waitForElement(page, "closeButton", {
+      timeout: config.duckai.actionTimeout,
+    });
+    await closeButton.locator
+      .first()
+      .click({ timeout: config.duckai.actionTimeout });
+
+    // Wait for modal to close
+    await closeButton.locator.first().waitFor({
+      state: "hidden",
+      timeout: config.duckai.actionTimeout,
+    });
+  } catch (error) {
+    // If close button doesn't work, try Escape key as fallback
+    await page.keyboard.press("Escape");
+  }
+}
+
+/**
+ * Reads name, beta badge and features of every model in an open dropdown
+ * @param {Object} modelList - Locator of the free models list
+ * @returns {Promise<Object[]>} Models
+ */
+async function extractModels(modelList) {
+  const items = await (await locateElement(modelList, "modelItem")).all();
+  const models = [];
+
+  for (const item of items) {
+    const nameElement = await findElement(item, "modelName", {
+      visible: false,
+    });
+    const modelName = nameElement
+      ? (await nameElement.locator.first().textContent()).trim()
+      : "";
+
+    const betaBadge = await findElement(item, "betaBadge", { visible: false });
+    const isBeta = betaBadge
+      ? (await betaBadge.locator.first().textContent()).trim()
+      : null;
+
+    const featureElements = await findElement(item, "featureList", {
+      visible: false,
+    });
+    const features = featureElements
+      ? (await featureElements.locator.allTextContents()).map((text) =>
+          text.trim()
+        )
+      : [];
+
+    models.push({
+      name: modelName,
+      isBeta: isBeta,
+      features: features,
+    });
+  }
+
+  return models.filter((model) => model.name);
+}
+
+/**
+ * Clicks a model in an open dropdown and confirms the choice
+ * @param {Object} page - Playwright page
+ * @param {Object} modelList - Locator of the free models list
+ * @param {string} modelName - Name of the model to select
+ */
+async function clickModel(page, modelList, modelName) {
+  const items = await (await locateElement(modelList, "modelItem")).all();
+
+  for (const item of items) {
+    const nameElement = await findElement(item, "modelName", {
+      visible: false,
+    });
+    const name = nameElement
+      ? (await nameElement.locator.first().textContent()).trim()
+      : "";
+
+    if (name === modelName) {
+      await item.click({ timeout: config.duckai.actionTimeout });
+
+      // Changing the model mid-conversation asks to start a new chat
+      const startNewChat = await findElement(page, "startNewChatButton");
+      if (startNewChat) {
+        await startNewChat.locator.first().click();
+      } else {
+        await closeModelDropdown(page);
+      }
+      return;
+    }
+  }
+
+  await closeModelDropdown(page);
+  throw new Error(`Model "${modelName}" is not available on duck.ai`);
+}
+
+/**
+ * Clears the current conversation by starting a new chat
+ * @param {Object} page - Playwright page
+ */
+async function startNewChat(page) {
+  const newChat = await waitForElement(page, "newChatButton");
+  await newChat.locator.first().click({ timeout: config.duckai.actionTimeout });
+
+  // Wait for the previous answers to disappear
+  await (
+    await locateElement(page, "answer")
+  )
+    .first()
+    .waitFor({ state: "detached", timeout: config.duckai.actionTimeout });
+}
+
+/**
+ * Types a prompt into the chat input and submits it
+ * @param {Object} page - Playwright page
+ * @param {string} prompt - Text to send
+ */
+async function submitPrompt(page, prompt) {
+  const chatInput = await waitForElement(page, "chatInput");
+  const input = chatInput.locator.first();
+
+  await input.fill(prompt);
+  await input.press("Enter");
+}
+
+/**
+ * Attaches files to the next prompt through the hidden upload input
+ * @param {Object} page - Playwright page
+ * @param {Object[]} files - Files with name, mimeType and buffer
+ */
+async function attachFiles(page, files) {
+  const fileInput = await findElement(page, "fileInput", { visible: false });
+
+  if (!fileInput) {
+    throw new Error("This duck.ai page does not accept file uploads");
+  }
+
+  await fileInput.locator.first().setInputFiles(files);
+
+  // Give duck.ai a moment to process the upload
+  await page.waitForTimeout(config.duckai.uploadDelay);
+}
+
+/**
+ * Counts the answers in the current conversation
+ * @param {Object} page - Playwright page
+ * @returns {Promise<number>} Number of answers
+ */
+async function countAnswers(page) {
+  return (await locateElement(page, "answer")).count();
+}
+
+/**
+ * Returns the text of the latest answer
+ * @param {Object} page - Playwright page
+ * @returns {Promise<string>} Answer text
+ */
+async function getLastAnswerText(page) {
+  const answers = await locateElement(page, "answer");
+  return (await answers.last().innerText()).trim();
+}
+
+/**
+ * Stops duck.ai generating an answer, if it is
+ * @param {Object} page - Playwright page
+ */
+async function stopAnswer(page) {
+  const stopButton = await findElement(page, "stopButton");
+
+  if (stopButton) {
+    await stopButton.locator
+      .first()
+      .click({ timeout: config.duckai.actionTimeout });
+  }
+}
+
+/**
+ * Checks whether duck.ai is still generating an answer
+ * @param {Object} page - Playwright page
+ * @returns {Promise<boolean>} True while the stop button is shown
+ */
+async function isGenerating(page) {
+  return (await findElement(page, "stopButton")) !== null;
+}
+
+module.exports = {
+  assertNoChallenge,
+  preparePage,
+  openModelDropdown,
+  closeModelDropdown,
+  extractModels,
+  clickModel,
+  startNewChat,
+  attachFiles,
+  submitPrompt,
+  countAnswers,
+  getLastAnswerText,
+  stopAnswer,
+  isGenerating,
+};
@@ -0,0 +1,331 @@
+const config = require("../config/config");
+
+// Job priorities, higher values run first
+const PRIORITY = {
+  LOW: -1,
+  NORMAL: 0,
+  HIGH: 1,
+};
+
+// Jobs waiting for a free slot, kept sorted by priority then arrival
+const pendingJobs = [];
+
+// Jobs currently holding a slot
+const runningJobs = new Set();
+
+let nextJobId = 1;
+
+// No new jobs start while this is above zero, e.g. during a CAPTCHA handoff
+let pauseCount = 0;
+
+// Shutdown callbacks waiting for the queue to empty
+let idleWaiters = [];
+
+/**
+ * Creates an error describing why a job did not finish
+ * @param {string} code - Either "CANCELLED" or "TIMEOUT"
+ * @param {string} message - Human readable reason
+ * @returns {Error} Error with a code property
+ */
+function createJobError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Tells every pending job its current position in line
+ */
+function notifyPositions() {
+  pendingJobs.forEach((job, index) => {
+    const position = index + 1;
+
+    if (job.position !== position) {
+      job.position = position;
+      safeCall(job.onPositionChange, position);
+    }
+  });
+}
+
+/**
+ * Calls an optional listener without letting it break the queue
+ * @param {Function} [listener] - Listener to call
+ * @param {...*} args - Listener arguments
+ */
+function safeCall(listener, ...args) {
+  if (!listener) {
+    return;
+  }
+
+  Promise.resolve()
+    .then(() => listener(...args))
+    .catch((error) => {
+      console.error("Error in job queue listener:", error);
+    });
+}
+
+/**
+ * Starts pending jobs while there are free slots
+ */
+function processQueue() {
+  while (
+    pauseCount === 0 &&
+    runningJobs.size < config.queue.concurrency &&
+    pendingJobs.length > 0
+  ) {
+    startJob(pendingJobs.shift());
+  }
+
+  notifyPositions();
+
+  if (pendingJobs.length === 0 && runningJobs.size === 0) {
+    idleWaiters.forEach((resolve) => resolve(true));
+    idleWaiters = [];
+  }
+}
+
+/**
+ * Runs a job, enforcing its timeout and releasing its slot when it settles
+ * @param {Object} job - Job to run
+ */
+function startJob(job) {
+  runningJobs.add(job);
+  job.status = "running";
+  job.position = 0;
+  safeCall(job.onStart);
+
+  startJobTimer(job);
+
+  Promise.resolve()
+    .then(() => job.run(job.controller.signal))
+    .then(
+      (value) => settleJob(job, null, value),
+      (error) => settleJob(job, error)
+    )
+    .finally(() => {
+      // Keep the slot until the work actually stops, even if already aborted
+      clearTimeout(job.timeoutTimer);
+      runningJobs.delete(job);
+      processQueue();
+    });
+}
+
+/**
+ * Starts the timer that aborts a running job once its time limit is up
+ * @param {Object} job - Running job
+ */
+function startJobTimer(job) {
+  clearTimeout(job.timeoutTimer);
+  job.timeoutTimer = setTimeout(() => {
+    abortJob(job, createJobError("TIMEOUT", "The job took too long"));
+  }, job.timeout);
+}
+
+/**
+ * Resolves or rejects the job's promise once
+ * @param {Object} job - Job to settle
+ * @param {Error|null} error - Failure reason, if any
+ * @param {*} [value] - Result of the job
+ */
+function settleJob(job, error, value) {
+  if (job.settled) {
+    return;
+  }
+
+  job.settled = true;
+  job.status = error ? "failed" : "done";
+
+  if (error) {
+    job.reject(error);
+  } else {
+    job.resolve(value);
+  }
+}
+
+/**
+ * Aborts a pending or running job
+ * @param {Object} job - Job to abort
+ * @param {Error} reason - Error the job's promise rejects with
+ */
+function abortJob(job, reason) {
+  const pendingIndex = pendingJobs.indexOf(job);
+  if (pendingIndex !== -1) {
+    pendingJobs.splice(pendingIndex, 1);
+    processQueue();
+  }
+
+  job.controller.abort(reason);
+  settleJob(job, reason);
+}
+
+/**
+ * Adds a job to the queue
+ * @param {Object} options - Job options
+ * @param {number} options.ownerId - User who owns the job
+ * @param {number} [options.chatId] - Chat the job answers in, if any
+ * @param {string} options.name - Short job name, e.g. "models" or "prompt"
+ * @param {Function} options.run - Async function receiving an AbortSignal
+ * @param {number} [options.priority=PRIORITY.NORMAL] - Job priority
+ * @param {number} [options.timeout] - Time limit in milliseconds
+ * @param {Function} [options.onPositionChange] - Called with the 1-based position while waiting
+ * @param {Function} [options.onStart] - Called when the job gets a slot
+ * @returns {Promise<*>} Resolves with the job result, rejects on failure, cancellation or timeout
+ */
+function enqueueJob({
+  ownerId,
+  chatId = null,
+  name,
+  run,
+  priority = PRIORITY.NORMAL,
+  timeout = config.queue.jobTimeout,
+  onPositionChange,
+  onStart,
+}) {
+  return new Promise((resolve, reject) => {
+    const job = {
+      id: nextJobId++,
+      ownerId: ownerId,
+      chatId: chatId,
+      name: name,
+      run: run,
+      priority: priority,
+      timeout: timeout,
+      onPositionChange: onPositionChange,
+      onStart: onStart,
+      controller: new AbortController(),
+      status: "pending",
+      position: 0,
+      settled: false,
+      resolve: resolve,
+      reject: reject,
+    };
+
+    // Insert after every job with the same or higher priority
+    const insertAt = pendingJobs.findIndex(
+      (other) => other.priority < priority
+    );
+    if (insertAt === -1) {
+      pendingJobs.push(job);
+    } else {
+      pendingJobs.splice(insertAt, 0, job);
+    }
+
+    processQueue();
+  });
+}
+
+/**
+ * Cancels every pending and running job of a user
+ * @param {number} ownerId - User whose jobs to cancel
+ * @param {Object} [filter={}] - Only cancel some of the jobs
+ * @param {number} [filter.chatId] - Only jobs answering in this chat
+ * @param {string} [filter.name] - Only jobs with this name
+ * @returns {number} Number of cancelled jobs
+ */
+function cancelJobs(ownerId, { chatId, name } = {}) {
+  const jobs = [...pendingJobs, ...runningJobs].filter(
+    (job) =>
+      job.ownerId === ownerId &&
+      (chatId === undefined || job.chatId === chatId) &&
+      (name === undefined || job.name === name) &&
+      !job.settled
+  );
+
+  jobs.forEach((job) => {
+    abortJob(job, createJobError("CANCELLED", "The job was cancelled"));
+  });
+
+  return jobs.length;
+}
+
+/**
+ * Checks whether a user already has an unfinished job with the given name
+ * @param {number} ownerId - User ID
+ * @param {string} name - Job name
+ * @returns {boolean} True if such a job is pending or running
+ */
+function hasJob(ownerId, name) {
+  return [...pendingJobs, ...runningJobs].some(
+    (job) => job.ownerId === ownerId && job.name === name && !job.settled
+  );
+}
+
+/**
+ * Holds pending jobs and stops the clock of running ones, e.g. while an admin
+ * solves a CAPTCHA. Calls nest, every pause needs a matching resume.
+ */
+function pauseQueue() {
+  pauseCount++;
+
+  if (pauseCount === 1) {
+    runningJobs.forEach((job) => clearTimeout(job.timeoutTimer));
+  }
+}
+
+/**
+ * Lifts a pause, running jobs get their full time limit again
+ */
+function resumeQueue() {
+  if (pauseCount === 0) {
+    return;
+  }
+
+  pauseCount--;
+
+  if (pauseCount === 0) {
+    runningJobs.forEach((job) => {
+      if (!job.settled) {
+        startJobTimer(job);
+      }
+    });
+    processQueue();
+  }
+}
+
+/**
+ * Waits until no job is pending or running
+ * @param {number} timeout - Longest wait in milliseconds
+ * @returns {Promise<boolean>} True if the queue emptied, false on timeout
+ */
+function waitForIdle(timeout) {
+  if (pendingJobs.length === 0 && runningJobs.size === 0) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      idleWaiters = idleWaiters.filter((waiter) => waiter !== done);
+      resolve(false);
+    }, timeout);
+
+    const done = (idle) => {
+      clearTimeout(timer);
+      resolve(idle);
+    };
+
+    idleWaiters.push(done);
+  });
+}
+
+/**
+ * Returns the current queue size
+ * @returns {Object} Number of pending and running jobs, and whether the queue is paused
+ */
+function getQueueStats() {
+  return {
+    pending: pendingJobs.length,
+    running: runningJobs.size,
+    paused: pauseCount > 0,
+  };
+}
+
+module.exports = {
+  PRIORITY,
+  enqueueJob,
+  cancelJobs,
+  hasJob,
+  pauseQueue,
+  resumeQueue,
+  waitForIdle,
+  getQueueStats,
+};
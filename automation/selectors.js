@@ -0,0 +1,232 @@
+/**
+ * Selector registry for duck.ai.
+ * Every logical element has an ordered list of strategies. Accessible
+ * strategies (role, aria-label, text, test id) come first, generated CSS
+ * class names are only a last resort because they change on every deploy.
+ */
+const config = require("../config/config");
+
+const SELECTORS = {
+  challengeModal: [
+    { type: "testId", value: "anomaly-modal" },
+    { type: "css", value: 'div[data-testid="anomaly-modal"]' },
+  ],
+  welcomeDialog: [
+    { type: "role", role: "dialog", name: /welcome|duck\.ai/i },
+    { type: "css", value: 'div[role="dialog"][aria-modal="true"]' },
+  ],
+  agreeButton: [
+    { type: "role", role: "button", name: /agree and continue/i },
+    { type: "text", value: "Agree and Continue" },
+  ],
+  modelDropdown: [
+    { type: "testId", value: "model-select-button" },
+    { type: "label", value: /change model|select model|choose model/i },
+    { type: "role", role: "button", name: /model/i },
+    { type: "css", value: "button.AHrsI58GK_lguBKwmM47.KV9dAjcCJnb8LJzKTup3" },
+  ],
+  // The first radio group holds the free models
+  modelList: [
+    { type: "role", role: "radiogroup" },
+    { type: "css", value: 'div.hOHAbtCOIyeIzsBNXomV ul[role="radiogroup"]' },
+  ],
+  // Scoped to modelList
+  modelItem: [
+    { type: "css", value: ":scope > li" },
+    { type: "css", value: "li.bPPjvKMux8ZtRPD4cZrA" },
+  ],
+  // Scoped to modelItem
+  modelName: [
+    { type: "testId", value: "model-name" },
+    { type: "css", value: "p:first-of-type" },
+    { type: "css", value: "p.J58ouJfofMIxA2Ukt6lA" },
+  ],
+  // Scoped to modelItem, only present on beta models
+  betaBadge: [
+    { type: "text", value: /^\s*beta\s*$/i },
+    { type: "css", value: "span.gADc1vgzmPc4cvxu7yBr" },
+  ],
+  // Scoped to modelItem
+  featureList: [
+    { type: "css", value: "ul li p" },
+    {
+      type: "css",
+      value:
+        "ul.ciW4M39XxNhJxluFqKlx li.tDjqHxDUIeGL37tpvoSI p.G9yRxKor2ogEXadimNb5",
+    },
+  ],
+  closeButton: [
+    { type: "label", value: "close dialog" },
+    { type: "role", role: "button", name: /close/i },
+    { type: "css", value: 'button[aria-label="close dialog"]' },
+  ],
+  startNewChatButton: [
+    { type: "role", role: "button", name: /start new chat/i },
+    { type: "text", value: "Start New Chat" },
+  ],
+  newChatButton: [
+    { type: "testId", value: "new-chat-button" },
+    { type: "role", role: "button", name: /new chat/i },
+    { type: "label", value: /new chat/i },
+  ],
+  chatInput: [
+    { type: "testId", value: "chat-input" },
+    { type: "role", role: "textbox", name: /ask|message|chat/i },
+    { type: "css", value: 'textarea[name="user-prompt"]' },
+  ],
+  // Hidden input behind the attachment button
+  fileInput: [
+    { type: "css", value: 'input[type="file"][accept*="image"]' },
+    { type: "css", value: 'input[type="file"]' },
+  ],
+  answer: [
+    { type: "testId", value: "assistant-message" },
+    { type: "css", value: 'div[data-activeresponse="true"]' },
+    { type: "css", value: "div[heading]" },
+  ],
+  stopButton: [
+    { type: "role", role: "button", name: /stop generating/i },
+    { type: "label", value: "Stop generating" },
+  ],
+};
+
+// Strategy that matched last time for each element, tried first next time
+const lastMatches = {};
+
+// How often waitForElement retries the strategies
+const POLL_INTERVAL = 250;
+
+/**
+ * Builds a Playwright locator for one strategy
+ * @param {Object} root - Page or locator to search in
+ * @param {Object} strategy - Strategy from the registry
+ * @returns {Object} Playwright locator
+ */
+function buildLocator(root, strategy) {
+  switch (strategy.type) {
+    case "role":
+      return root.getByRole(
+        strategy.role,
+        strategy.name ? { name: strategy.name } : {}
+      );
+    case "label":
+      return root.getByLabel(strategy.value);
+    case "text":
+      return root.getByText(strategy.value, { exact: true });
+    case "testId":
+      return root.getByTestId(strategy.value);
+    case "css":
+      return root.locator(strategy.value);
+    default:
+      throw new Error(`Unknown selector strategy "${strategy.type}"`);
+  }
+}
+
+/**
+ * Describes a strategy for logs and the self-check report
+ * @param {Object} strategy - Strategy from the registry
+ * @returns {string} Short description
+ */
+function describeStrategy(strategy) {
+  switch (strategy.type) {
+    case "role":
+      return strategy.name
+        ? `role=${strategy.role} name=${strategy.name}`
+        : `role=${strategy.role}`;
+    default:
+      return `${strategy.type}=${strategy.value}`;
+  }
+}
+
+/**
+ * Returns the element's strategies, the last successful one first
+ * @param {string} name - Logical element name
+ * @returns {Object[]} Ordered strategies
+ */
+function getStrategies(name) {
+  const strategies = SELECTORS[name];
+
+  if (!strategies) {
+    throw new Error(`Unknown element "${name}"`);
+  }
+
+  const last = lastMatches[name];
+  return last ? [last, ...strategies.filter((s) => s !== last)] : strategies;
+}
+
+/**
+ * Finds an element using the first strategy that matches right now
+ * @param {Object} root - Page or locator to search in
+ * @param {string} name - Logical element name
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.visible=true] - Only accept visible matches
+ * @returns {Promise<Object|null>} Object with locator and strategy, or null
+ */
+async function findElement(root, name, { visible = true } = {}) {
+  for (const strategy of getStrategies(name)) {
+    const locator = buildLocator(root, strategy);
+
+    const matched = visible
+      ? await locator
+          .first()
+          .isVisible()
+          .catch(() => false)
+      : (await locator.count().catch(() => 0)) > 0;
+
+    if (matched) {
+      lastMatches[name] = strategy;
+      return { locator: locator, strategy: describeStrategy(strategy) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Waits until any strategy finds the element
+ * @param {Object} root - Page or locator to search in
+ * @param {string} name - Logical element name
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Time limit in milliseconds, the configured action timeout by default
+ * @param {boolean} [options.visible=true] - Only accept visible matches
+ * @returns {Promise<Object>} Object with locator and strategy
+ */
+async function waitForElement(
+  root,
+  name,
+  { timeout = config.duckai.actionTimeout, visible = true } = {}
+) {
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    const found = await findElement(root, name, { visible });
+    if (found) {
+      return found;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Element "${name}" not found on duck.ai`);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+  }
+}
+
+/**
+ * Returns the locator of an element, falling back to the first strategy
+ * when nothing matches yet (useful for counting elements that may not exist)
+ * @param {Object} root - Page or locator to search in
+ * @param {string} name - Logical element name
+ * @returns {Promise<Object>} Playwright locator
+ */
+async function locateElement(root, name) {
+  const found = await findElement(root, name, { visible: false });
+  return found ? found.locator : buildLocator(root, getStrategies(name)[0]);
+}
+
+module.exports = {
+  SELECTORS,
+  findElement,
+  waitForElement,
+  locateElement,
+};
@@ -1,239 +1,408 @@
-const { chromium } = require("playwright");
+const {
+  withSession,
+  releaseSession,
+  closeAll,
+  hasSession,
+} = require("./contextPool");
+const {
+  assertNoChallenge,
+  preparePage,
+  openModelDropdown,
+  closeModelDropdown,
+  extractModels,
+  clickModel,
+  startNewChat,
+  attachFiles,
+  submitPrompt,
+  countAnswers,
+  getLastAnswerText,
+  stopAnswer,
+  isGenerating,
+} = require("./duckPage");
+const { SELECTORS, findElement, waitForElement } = require("./selectors");
+const { recordRun } = require("./diagnostics");
 const config = require("../config/config");
 
-// Store browser instance globally to keep it open
-let globalBrowser = null;
-let globalContext = null;
-let globalPage = null;
+// How often and how many times in a row an answer must look finished
+const ANSWER_POLL_INTERVAL = 500;
+const ANSWER_STABLE_POLLS = 3;
+
+/**
+ * Runs a task on a session, keeping a diagnostics bundle if it fails
+ * @param {string|number} sessionKey - User or chat whose browser context is used
+ * @param {string} name - Run name stored with the bundle
+ * @param {Function} task - Async function receiving the session
+ * @returns {Promise<*>} Whatever the task returns
+ */
+function withRecordedSession(sessionKey, name, task) {
+  return withSession(sessionKey, (session) => recordRun(session, name, task));
+}
+
+/**
+ * Stops a task whose job was cancelled or timed out. Other jobs may share the
+ * browser context, so only the task's own work stops.
+ * @param {AbortSignal} [signal] - Abort signal of the job
+ */
+function throwIfAborted(signal) {
+  if (signal) {
+    signal.throwIfAborted();
+  }
+}
 
 /**
  * Opens browser, navigates to duck.ai, handles modal, opens dropdown, and extracts free model names with details
- * @param {boolean} [keepOpen=true] - Whether to keep the browser open after execution
+ * @param {string|number} sessionKey - User or chat whose browser context is used
+ * @param {boolean} [keepOpen=true] - Whether to keep the browser context open after execution
+ * @param {AbortSignal} [signal] - Stops the scrape once aborted
  * @returns {Promise<Object>} Result object with success status and models array
  */
-async function navigateToDuckAI(keepOpen = true) {
+async function navigateToDuckAI(sessionKey, keepOpen = true, signal) {
   try {
-    // Reuse existing browser or create new one
-    if (!globalBrowser) {
-      // Launch browser with Chrome channel and anti-detection settings
-      globalBrowser = await chromium.launch({
-        headless: config.playwright.headless,
-        channel: "chrome",
-        args: [
-          "--start-maximized",
-          "--disable-blink-features=AutomationControlled",
-          "--disable-dev-shm-usage",
-          "--no-sandbox",
-          "--disable-setuid-sandbox",
-          "--disable-web-security",
-          "--disable-features=IsolateOrigins,site-per-process",
-          "--window-size=1920,1080",
-        ],
-      });
-
-      globalContext = await globalBrowser.newContext({
-        viewport: { width: 1920, height: 1080 },
-        userAgent:
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
-        locale: "en-US",
-        timezoneId: "America/New_York",
-        permissions: [],
-        extraHTTPHeaders: {
-          "Accept-Language": "en-US,en;q=0.9",
-        },
-      });
-
-      // Add stealth scripts to avoid detection
-      await globalContext.addInitScript(() => {
-        // Override the navigator.webdriver property
-        Object.defineProperty(navigator, "webdriver", {
-          get: () => false,
-        });
-
-        // Mock plugins
-        Object.defineProperty(navigator, "plugins", {
-          get: () => [1, 2, 3, 4, 5],
-        });
-
-        // Mock languages
-        Object.defineProperty(navigator, "languages", {
-          get: () => ["en-US", "en"],
-        });
-
-        // Chrome runtime
-        window.chrome = {
-          runtime: {},
-        };
+    const models = await withRecordedSession(
+      sessionKey,
+      "scrape",
+      async ({ page }) => {
+        // Prompts in the same context may have run while this one waited
+        throwIfAborted(signal);
+
+        await preparePage(page, signal);
+
+        throwIfAborted(signal);
+        const modelList = await openModelDropdown(page, signal);
 
-        // Permissions
-        const originalQuery = window.navigator.permissions.query;
-        window.navigator.permissions.query = (parameters) =>
-          parameters.name === "notifications"
-            ? Promise.resolve({ state: Notification.permission })
-            : originalQuery(parameters);
-      });
+        // Extract all free model details
+        const models = await extractModels(modelList);
+
+        // Close the modal using the close button
+        await closeModelDropdown(page);
+
+        return models;
+      }
+    );
 
-      globalPage = await globalContext.newPage();
+    // Don't close the context if keepOpen is true
+    if (!keepOpen) {
+      await releaseSession(sessionKey);
     }
 
-    const page = globalPage;
-
-    // Navigate to duck.ai (only if not already there)
-    if (!page.url().includes("duck.ai")) {
-      await page.goto("https://duck.ai", {
-        waitUntil: "networkidle",
-        timeout: 30000,
-      });
-
-      // Wait a bit for any dynamic content
-      await page.waitForTimeout(2000);
-
-      // Check if CAPTCHA/anomaly modal appeared
-      const captchaModal = await page
-        .locator('div[data-testid="anomaly-modal"]')
-        .isVisible()
-        .catch(() => false);
-      if (captchaModal) {
-        throw new Error(
-          "CAPTCHA/Challenge detected. Cannot proceed in headless mode"
-        );
+    return {
+      success: true,
+      message: `Successfully extracted ${models.length} free models!`,
+      models: models,
+    };
+  } catch (error) {
+    // Clean up on error
+    if (!keepOpen) {
+      await releaseSession(sessionKey);
+    }
+
+    return {
+      success: false,
+      message: `Error: ${error.message}`,
+      error: error.message,
+      models: [],
+    };
+  }
+}
+
+/**
+ * Selects a model in the duck.ai dropdown by its name
+ * @param {Object} session - Browser session from the context pool
+ * @param {string} modelName - Name of the model to select
+ * @param {AbortSignal} [signal] - Abort signal of the job
+ */
+async function selectModel(session, modelName, signal) {
+  const { page } = session;
+
+  if (session.currentModel === modelName) {
+    return;
+  }
+
+  const modelList = await openModelDropdown(page, signal);
+  await clickModel(page, modelList, modelName);
+
+  session.currentModel = modelName;
+}
+
+/**
+ * Waits for the latest answer to appear and stop growing
+ * @param {Object} page - Playwright page
+ * @param {number} previousCount - Number of answers before the prompt was sent
+ * @param {Function} [onProgress] - Called with the partial answer text whenever it grows
+ * @param {AbortSignal} [signal] - Stops waiting, and duck.ai typing, once aborted
+ * @returns {Promise<Object>} Final answer text and whether generation was cut off
+ */
+async function waitForAnswer(page, previousCount, onProgress, signal) {
+  // Wait for a new answer element to show up
+  const startDeadline = Date.now() + config.duckai.answerStartTimeout;
+  while ((await countAnswers(page)) <= previousCount) {
+    if (Date.now() > startDeadline) {
+      throw new Error("No answer received from duck.ai");
+    }
+    throwIfAborted(signal);
+    await assertNoChallenge(page, signal);
+    await page.waitForTimeout(ANSWER_POLL_INTERVAL);
+  }
+
+  // Poll the answer until generation stops and the text settles
+  const totalDeadline = Date.now() + config.duckai.answerTimeout;
+  let lastText = "";
+  let stablePolls = 0;
+
+  while (Date.now() < totalDeadline) {
+    if (signal && signal.aborted) {
+      // Leave the page ready for the next prompt in this chat
+      await stopAnswer(page).catch(() => {});
+      signal.throwIfAborted();
+    }
+
+    await page.waitForTimeout(ANSWER_POLL_INTERVAL);
+
+    const text = await getLastAnswerText(page);
+    const generating = await isGenerating(page);
+
+    if (text && text === lastText && !generating) {
+      stablePolls++;
+      if (stablePolls >= ANSWER_STABLE_POLLS) {
+        return { text: text, stopped: false };
       }
+    } else {
+      stablePolls = 0;
+      lastText = text;
 
-      // Wait for and handle the welcome modal
-      const modalVisible = await page
-        .locator('div[role="dialog"][aria-modal="true"]')
-        .isVisible()
-        .catch(() => false);
-
-      if (modalVisible) {
-        await page.click('button:has-text("Agree and Continue")');
-        await page.waitForSelector('div[role="dialog"][aria-modal="true"]', {
-          state: "hidden",
-          timeout: 10000,
-        });
+      if (text && onProgress) {
+        onProgress(text);
       }
     }
+  }
+
+  // Keep the partial answer if generation never finished
+  if (lastText) {
+    return { text: lastText, stopped: true };
+  }
+
+  throw new Error("Timed out waiting for the answer");
+}
+
+/**
+ * Sends a prompt to duck.ai using the given model and waits for the answer
+ * @param {string|number} sessionKey - User or chat whose browser context is used
+ * @param {string} prompt - Text to send
+ * @param {string|null} [modelName=null] - Model to use, or null to keep the current one
+ * @param {Function} [onProgress] - Called with the partial answer text while it is generated
+ * @param {Object[]} [attachments=[]] - Files with name, mimeType and buffer to upload with the prompt
+ * @param {AbortSignal} [signal] - Stops this prompt once aborted
+ * @returns {Promise<Object>} Result object with success status and answer text
+ */
+async function sendPrompt(
+  sessionKey,
+  prompt,
+  modelName = null,
+  onProgress,
+  attachments = [],
+  signal
+) {
+  try {
+    return await withRecordedSession(sessionKey, "prompt", async (session) => {
+      const { page } = session;
 
-    // Wait for dropdown button to appear
-    await page.waitForSelector(
-      "button.AHrsI58GK_lguBKwmM47.KV9dAjcCJnb8LJzKTup3",
-      {
-        state: "visible",
-        timeout: 10000,
+      // Earlier prompts in the same chat may have run while this one waited
+      throwIfAborted(signal);
+
+      await preparePage(page, signal);
+
+      if (modelName) {
+        await selectModel(session, modelName, signal);
       }
-    );
 
-    // Check again for CAPTCHA before clicking
-    const captchaModal2 = await page
-      .locator('div[data-testid="anomaly-modal"]')
-      .isVisible()
-      .catch(() => false);
-    if (captchaModal2) {
-      throw new Error(
-        "CAPTCHA/Challenge detected. Cannot proceed in headless mode"
+      const previousCount = await countAnswers(page);
+
+      if (attachments.length > 0) {
+        await attachFiles(page, attachments);
+      }
+
+      // Type the prompt and submit it
+      throwIfAborted(signal);
+      await submitPrompt(page, prompt);
+
+      const answer = await waitForAnswer(
+        page,
+        previousCount,
+        onProgress,
+        signal
       );
-    }
 
-    await page.click("button.AHrsI58GK_lguBKwmM47.KV9dAjcCJnb8LJzKTup3", {
-      timeout: 10000,
+      return {
+        success: true,
+        message: answer.stopped
+          ? "Answer generation stopped before it finished"
+          : "Answer received",
+        answer: answer.text,
+        stopped: answer.stopped,
+        model: session.currentModel,
+      };
     });
+  } catch (error) {
+    return {
+      success: false,
+      message: `Error: ${error.message}`,
+      error: error.message,
+      answer: null,
+    };
+  }
+}
 
-    // Wait for the dropdown modal to appear
-    await page.waitForSelector(
-      'div.hOHAbtCOIyeIzsBNXomV ul[role="radiogroup"]',
-      {
-        state: "visible",
-        timeout: 10000,
-      }
-    );
+/**
+ * Starts a fresh duck.ai conversation in an existing browser context
+ * @param {string|number} sessionKey - User or chat whose browser context is used
+ * @param {AbortSignal} [signal] - Skips the reset once aborted
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function startNewConversation(sessionKey, signal) {
+  // Without an open page there is no conversation to clear
+  if (!hasSession(sessionKey)) {
+    return { success: true, message: "No conversation open" };
+  }
 
-    // Extract all free model details
-    const models = await page.$$eval(
-      'div.hOHAbtCOIyeIzsBNXomV ul[role="radiogroup"].SNQyQwxXuNCOKeRCqHri:first-of-type li.bPPjvKMux8ZtRPD4cZrA',
-      (items) => {
-        return items.map((item) => {
-          const nameElement = item.querySelector("p.J58ouJfofMIxA2Ukt6lA");
-          const modelName = nameElement ? nameElement.textContent.trim() : "";
-
-          const betaBadge = item.querySelector("span.gADc1vgzmPc4cvxu7yBr");
-          const isBeta = betaBadge ? betaBadge.textContent.trim() : null;
-
-          const featureElements = item.querySelectorAll(
-            "ul.ciW4M39XxNhJxluFqKlx li.tDjqHxDUIeGL37tpvoSI p.G9yRxKor2ogEXadimNb5"
-          );
-          const features = Array.from(featureElements).map((el) =>
-            el.textContent.trim()
-          );
-
-          return {
-            name: modelName,
-            isBeta: isBeta,
-            features: features,
-          };
-        });
-      }
-    );
+  try {
+    await withRecordedSession(sessionKey, "new-chat", async ({ page }) => {
+      throwIfAborted(signal);
+      await preparePage(page, signal);
+      await startNewChat(page);
+    });
 
-    // Close the modal using the close button with aria-label
-    try {
-      await page.click('button[aria-label="close dialog"]', {
-        timeout: 5000,
-      });
-
-      // Wait for modal to close
-      await page.waitForSelector("div.hOHAbtCOIyeIzsBNXomV", {
-        state: "hidden",
-        timeout: 5000,
-      });
-    } catch (error) {
-      // If close button doesn't work, try Escape key as fallback
-      await page.keyboard.press("Escape");
-    }
+    return { success: true, message: "New conversation started" };
+  } catch (error) {
+    return {
+      success: false,
+      message: `Error: ${error.message}`,
+      error: error.message,
+    };
+  }
+}
 
-    // Don't close browser if keepOpen is true
-    if (!keepOpen && globalBrowser) {
-      await globalBrowser.close();
-      globalBrowser = null;
-      globalContext = null;
-      globalPage = null;
-    }
+/**
+ * Checks which selector strategy matches each registered duck.ai element
+ * @param {string|number} sessionKey - User or chat whose browser context is used
+ * @param {AbortSignal} [signal] - Stops waiting on a CAPTCHA once aborted
+ * @returns {Promise<Object>} Result object with success status and a report entry per element
+ */
+async function runSelfCheck(sessionKey, signal) {
+  // Elements that only exist in certain states are reported but not required
+  const optionalElements = [
+    "challengeModal",
+    "welcomeDialog",
+    "agreeButton",
+    "betaBadge",
+    "startNewChatButton",
+    "newChatButton",
+    "fileInput",
+    "answer",
+    "stopButton",
+  ];
+
+  try {
+    const report = await withRecordedSession(
+      sessionKey,
+      "selfcheck",
+      async ({ page }) => {
+        await preparePage(page, signal);
+
+        const results = {};
+        const check = async (root, name) => {
+          const found = await findElement(root, name, { visible: false });
+          results[name] = found ? found.strategy : null;
+          return found;
+        };
+
+        for (const name of [
+          "challengeModal",
+          "welcomeDialog",
+          "agreeButton",
+          "chatInput",
+          "fileInput",
+          "newChatButton",
+          "answer",
+          "stopButton",
+          "modelDropdown",
+        ]) {
+          await check(page, name);
+        }
+
+        // Elements inside the model dropdown
+        if (results.modelDropdown) {
+          await (
+            await waitForElement(page, "modelDropdown")
+          ).locator
+            .first()
+            .click({ timeout: config.duckai.actionTimeout });
+          await page.waitForTimeout(config.duckai.settleDelay);
+
+          const modelList = await check(page, "modelList");
+          const modelItem =
+            modelList && (await check(modelList.locator.first(), "modelItem"));
+
+          if (modelItem) {
+            const firstItem = modelItem.locator.first();
+            await check(firstItem, "modelName");
+            await check(firstItem, "featureList");
+
+            // Beta badges only exist on some models
+            for (const item of await modelItem.locator.all()) {
+              if (await check(item, "betaBadge")) {
+                break;
+              }
+            }
+          }
+
+          await check(page, "startNewChatButton");
+          await check(page, "closeButton");
+          await closeModelDropdown(page);
+        }
+
+        return Object.keys(SELECTORS).map((name) => ({
+          element: name,
+          strategy: results[name] || null,
+          optional: optionalElements.includes(name),
+        }));
+      }
+    );
 
     return {
       success: true,
-      message: `Successfully extracted ${models.length} free models!`,
-      models: models,
+      message: "Self-check finished",
+      report: report,
     };
   } catch (error) {
-    // Clean up on error
-    if (globalBrowser && !keepOpen) {
-      await globalBrowser.close();
-      globalBrowser = null;
-      globalContext = null;
-      globalPage = null;
-    }
-
     return {
       success: false,
       message: `Error: ${error.message}`,
       error: error.message,
-      models: [],
+      report: [],
     };
   }
 }
 
 /**
- * Manually close the browser
+ * Closes one user's or chat's browser context, aborting whatever it is doing
+ * @param {string|number} sessionKey - User or chat whose browser context is closed
+ */
+async function closeSession(sessionKey) {
+  await releaseSession(sessionKey);
+}
+
+/**
+ * Manually close the browser and every user's context
  */
 async function closeBrowser() {
-  if (globalBrowser) {
-    await globalBrowser.close();
-    globalBrowser = null;
-    globalContext = null;
-    globalPage = null;
-  }
+  await closeAll();
 }
 
 module.exports = {
   navigateToDuckAI,
+  sendPrompt,
+  startNewConversation,
+  runSelfCheck,
+  closeSession,
   closeBrowser,
 };
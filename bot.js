@@ -0,0 +1,269 @@
+const { Telegraf } = require("telegraf");
+const config = require("./config/config");
+const {
+  startHandler,
+  helpHandler,
+  openHandler,
+  showModelMenu,
+  handleModelSelection,
+  settingsHandler,
+  backToSettings,
+  showSettingChoices,
+  updateSetting,
+  closeSettings,
+  closeMenu,
+  acceptPolicyHandler,
+  viewModelDetails,
+  backToModels,
+  promptHandler,
+  photoHandler,
+  documentHandler,
+  cancelHandler,
+  newHandler,
+  historyHandler,
+  backToHistory,
+  viewThread,
+  resumeThread,
+  exportThreadHandler,
+  subscribeHandler,
+  selfcheckHandler,
+} = require("./commands/handlers");
+const {
+  statsHandler,
+  statusHandler,
+  usersHandler,
+  banHandler,
+  unbanHandler,
+  setModeratorHandler,
+  resetSessionHandler,
+  debugHandler,
+  broadcastHandler,
+} = require("./commands/admin");
+const {
+  registerChallengeHandoff,
+  challengeActionHandler,
+  challengeTypeHandler,
+  challengeTextHandler,
+} = require("./commands/challenge");
+const { inlineQueryHandler } = require("./commands/inline");
+const { trackUpdates } = require("./middleware/inFlight");
+const { attachTranslator } = require("./middleware/i18n");
+const { debounceInlineQueries } = require("./middleware/inline");
+const {
+  ignoreUnaddressedMessages,
+  restrictMenusToOwner,
+} = require("./middleware/groups");
+const { getAllTranslations } = require("./utils/i18n");
+const blockBannedUsers = require("./middleware/access");
+const { rateLimit } = require("./middleware/rateLimit");
+const restrictMedia = require("./middleware/restrictions");
+
+/**
+ * Creates the bot and registers every command, button and message handler
+ * @returns {Object} Telegraf bot instance
+ */
+function createBot() {
+  // Initialize bot, the API root can point at a fake Bot API in tests
+  const bot = new Telegraf(config.telegram.botToken, {
+    telegram: { apiRoot: config.telegram.apiRoot },
+  });
+
+  // Count updates being handled so shutdown can wait for them
+  bot.use(trackUpdates);
+
+  // In groups, only answer when mentioned, replied to or given a command
+  bot.use(ignoreUnaddressedMessages);
+
+  // Only answer inline queries once the user stops typing
+  bot.use(debounceInlineQueries);
+
+  // Give handlers ctx.t, translating into the user's language
+  bot.use(attachTranslator);
+
+  // Stop banned users before any handler runs
+  bot.use(blockBannedUsers);
+
+  // Keep single users from monopolizing the shared browser
+  bot.use(rateLimit);
+
+  // Delete media types the bot does not handle
+  bot.use(restrictMedia);
+
+  // Keep group members from pressing buttons of someone else's menu
+  bot.use(restrictMenusToOwner);
+
+  // Register command handlers
+  bot.start(startHandler);
+  bot.help(helpHandler);
+  bot.command("open", openHandler);
+  bot.command("cancel", cancelHandler);
+  bot.command("new", newHandler);
+  bot.command("history", historyHandler);
+  bot.command("subscribe", subscribeHandler);
+  bot.command("selfcheck", selfcheckHandler);
+
+  // Same as the reply keyboard buttons, which groups do not get
+  bot.command("model", showModelMenu);
+  bot.command("settings", settingsHandler);
+
+  // Register admin and moderator commands
+  bot.command("stats", statsHandler);
+  bot.command("status", statusHandler);
+  bot.command("users", usersHandler);
+  bot.command("ban", banHandler);
+  bot.command("unban", unbanHandler);
+  bot.command("promote", (ctx) => setModeratorHandler(ctx, true));
+  bot.command("demote", (ctx) => setModeratorHandler(ctx, false));
+  bot.command("broadcast", broadcastHandler);
+  bot.command("resetsession", resetSessionHandler);
+  bot.command("debug", debugHandler);
+
+  // Register policy acceptance handler
+  bot.action("accept_policy", acceptPolicyHandler);
+
+  // Register reply keyboard button handlers, in every language since a
+  // keyboard sent before a language change keeps its old labels
+  bot.hears(getAllTranslations("menu.changeModel"), (ctx) => {
+    return showModelMenu(ctx);
+  });
+
+  bot.hears(getAllTranslations("menu.settings"), (ctx) => {
+    return settingsHandler(ctx);
+  });
+
+  // Register callback handlers for model viewing
+  bot.action(/^view_model_(.+)$/, (ctx) => {
+    const modelKey = ctx.match[1];
+    return viewModelDetails(ctx, modelKey);
+  });
+
+  // Register back to models handler
+  bot.action("back_to_models", backToModels);
+
+  // Provider headers in the model menu only label the models below them
+  bot.action("provider_header", (ctx) => ctx.answerCbQuery());
+
+  // Register model selection handler
+  bot.action(/^select_model_(.+)$/, (ctx) => {
+    const modelKey = ctx.match[1];
+    return handleModelSelection(ctx, modelKey);
+  });
+
+  // Register close menu handler
+  bot.action("close_menu", closeMenu);
+
+  // Register conversation history handlers
+  bot.action(/^history_view_(.+)$/, (ctx) => {
+    const threadId = ctx.match[1];
+    return viewThread(ctx, threadId);
+  });
+
+  bot.action(/^history_resume_(.+)$/, (ctx) => {
+    const threadId = ctx.match[1];
+    return resumeThread(ctx, threadId);
+  });
+
+  bot.action(/^history_export_(md|json)_(.+)$/, (ctx) => {
+    const format = ctx.match[1];
+    const threadId = ctx.match[2];
+    return exportThreadHandler(ctx, threadId, format);
+  });
+
+  bot.action("back_to_history", backToHistory);
+
+  // Register settings handlers
+  bot.action(
+    /^settings_menu_(defaultModel|replyFormat|statusDeleteDelay|language)$/,
+    (ctx) => {
+      const setting = ctx.match[1];
+      return showSettingChoices(ctx, setting);
+    }
+  );
+
+  bot.action(
+    /^settings_set_(defaultModel|replyFormat|statusDeleteDelay|language)_(.+)$/,
+    (ctx) => {
+      const setting = ctx.match[1];
+      const value = ctx.match[2];
+      return updateSetting(ctx, setting, value);
+    }
+  );
+
+  bot.action("settings_clear_defaultModel", (ctx) => {
+    return updateSetting(ctx, "defaultModel", null);
+  });
+
+  bot.action("settings_toggle_streaming", (ctx) => {
+    return updateSetting(ctx, "streaming", null);
+  });
+
+  bot.action("settings_back", backToSettings);
+  bot.action("settings_close", closeSettings);
+
+  // Let admins solve CAPTCHAs remotely from screenshots
+  registerChallengeHandoff(bot.telegram);
+
+  bot.action(/^challenge_click_(\d+)_(\d+)_(\d+)$/, (ctx) => {
+    return challengeActionHandler(ctx, Number(ctx.match[1]), {
+      type: "click",
+      column: Number(ctx.match[2]),
+      row: Number(ctx.match[3]),
+    });
+  });
+
+  bot.action(/^challenge_type_(\d+)$/, (ctx) => {
+    return challengeTypeHandler(ctx, Number(ctx.match[1]));
+  });
+
+  bot.action(/^challenge_enter_(\d+)$/, (ctx) => {
+    return challengeActionHandler(ctx, Number(ctx.match[1]), {
+      type: "key",
+      key: "Enter",
+    });
+  });
+
+  bot.action(/^challenge_(refresh|screenshot)_(\d+)$/, (ctx) => {
+    return challengeActionHandler(ctx, Number(ctx.match[2]), {
+      type: ctx.match[1],
+    });
+  });
+
+  // Text an admin asked to type into a CAPTCHA page is not a prompt
+  bot.on("text", challengeTextHandler);
+
+  // Relay any other text message to the selected model
+  bot.on("text", promptHandler);
+
+  // Send photos to image-capable models
+  bot.on("photo", photoHandler);
+
+  // Use text files as context for a question
+  bot.on("document", documentHandler);
+
+  // Answer "@bot question" in any chat
+  bot.on("inline_query", inlineQueryHandler);
+
+  // Global error handling
+  bot.catch((err, ctx) => {
+    console.error(`Error for ${ctx.updateType}`, err);
+
+    // Inline queries and some other updates have no chat to reply in
+    if (!ctx.chat) {
+      return;
+    }
+
+    ctx
+      .reply(
+        ctx.t
+          ? ctx.t("common.unexpectedError")
+          : "An error occurred while processing your request"
+      )
+      .catch(() => {});
+  });
+
+  return bot;
+}
+
+module.exports = {
+  createBot,
+};
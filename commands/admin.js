@@ -0,0 +1,619 @@
+const fs = require("fs");
+const path = require("path");
+const { cancelJobs, getQueueStats } = require("../automation/queue");
+const { listBundles, getBundle } = require("../automation/diagnostics");
+const {
+  getSessionCount,
+  getBrowserStatus,
+  resetSession,
+} = require("../automation/contextPool");
+const {
+  getUser,
+  listUsers,
+  banUser,
+  unbanUser,
+  getBan,
+  listBannedUserIds,
+  listSelectedModels,
+} = require("../storage/users");
+const {
+  ROLES,
+  getRole,
+  hasRole,
+  setModerator,
+  listModerators,
+} = require("../services/roles");
+const {
+  CATALOG_SESSION_KEY,
+  getCatalog,
+  getModels,
+} = require("../services/modelCatalog");
+const { broadcastMessage } = require("../services/broadcast");
+const { formatDuration } = require("../utils/text");
+
+// Maximum number of users listed by /users
+const USERS_PAGE_SIZE = 20;
+
+// Length of a day in milliseconds, used for activity statistics
+const DAY = 24 * 60 * 60 * 1000;
+
+// Broadcast progress is shown after this many sends
+const BROADCAST_PROGRESS_STEP = 25;
+
+// Number of bundles listed by /debug without a run ID
+const DEBUG_LIST_SIZE = 10;
+
+// Telegram bots may not send documents larger than this
+const MAX_DOCUMENT_SIZE = 50 * 1024 * 1024;
+
+// Only one broadcast may run at a time
+let broadcasting = false;
+
+/**
+ * Replies with a notice and returns false if the user lacks a role
+ * @param {Object} ctx - Telegraf context
+ * @param {string} role - Minimum role, one of ROLES
+ * @returns {Promise<boolean>} True if the user may continue
+ */
+async function requireRole(ctx, role) {
+  if (await hasRole(ctx.from.id, role)) {
+    return true;
+  }
+
+  ctx.reply(
+    ctx.t(role === ROLES.ADMIN ? "common.adminOnly" : "common.moderatorOnly")
+  );
+  return false;
+}
+
+/**
+ * Returns the text after the command
+ * @param {Object} ctx - Telegraf context
+ * @returns {string} Command arguments, empty if there are none
+ */
+function getCommandArgs(ctx) {
+  const text = ctx.message.text;
+  const spaceIndex = text.indexOf(" ");
+  return spaceIndex === -1 ? "" : text.slice(spaceIndex + 1).trim();
+}
+
+/**
+ * Finds the user a command refers to by ID or @username
+ * @param {string} target - User ID or @username
+ * @returns {Promise<number|null>} User ID, or null if no user matches
+ */
+async function resolveUserId(target) {
+  if (/^\d+$/.test(target)) {
+    return Number(target);
+  }
+
+  const username = target.replace(/^@/, "").toLowerCase();
+  const users = await listUsers();
+  const user = users.find(
+    (u) => u.username && u.username.toLowerCase() === username
+  );
+
+  return user ? user.id : null;
+}
+
+/**
+ * Formats a user for admin listings
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} user - Stored user record
+ * @returns {string} Single line with name, username and ID
+ */
+function formatUser(ctx, user) {
+  const name =
+    [user.firstName, user.lastName].filter(Boolean).join(" ") ||
+    ctx.t("admin.unknownUser");
+  const username = user.username ? ` (@${user.username})` : "";
+
+  return `${name}${username} — ${user.id}`;
+}
+
+/**
+ * Describes the queue for /stats and /status
+ * @param {Object} ctx - Telegraf context
+ * @returns {string} Running and waiting jobs
+ */
+function formatQueue(ctx) {
+  const queue = getQueueStats();
+
+  return ctx.t(queue.paused ? "admin.queuePaused" : "admin.queue", {
+    running: queue.running,
+    pending: queue.pending,
+  });
+}
+
+/**
+ * Handles /stats command - shows usage statistics
+ * @param {Object} ctx - Telegraf context
+ */
+async function statsHandler(ctx) {
+  if (!(await requireRole(ctx, ROLES.MODERATOR))) {
+    return;
+  }
+
+  try {
+    const users = await listUsers();
+    const now = Date.now();
+
+    const since = (date, period) =>
+      !!date && now - new Date(date).getTime() < period;
+
+    const joinedToday = users.filter((u) => since(u.joinedAt, DAY)).length;
+    const joinedThisWeek = users.filter((u) =>
+      since(u.joinedAt, 7 * DAY)
+    ).length;
+    const activeToday = users.filter((u) => since(u.lastPromptAt, DAY)).length;
+    const activeThisWeek = users.filter((u) =>
+      since(u.lastPromptAt, 7 * DAY)
+    ).length;
+    const prompts = users.reduce((sum, u) => sum + (u.promptCount || 0), 0);
+
+    // Most selected models
+    const modelCounts = {};
+    for (const [, modelName] of await listSelectedModels()) {
+      modelCounts[modelName] = (modelCounts[modelName] || 0) + 1;
+    }
+    const popularModels = Object.entries(modelCounts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([modelName, count]) => `  • ${modelName} — ${count}`);
+
+    let message = ctx.t("stats.message", {
+      users: users.length,
+      joinedToday: joinedToday,
+      joinedThisWeek: joinedThisWeek,
+      prompts: prompts,
+      activeToday: activeToday,
+      activeThisWeek: activeThisWeek,
+      moderators: (await listModerators()).length,
+      banned: (await listBannedUserIds()).length,
+      models: (await getModels()).length,
+      queue: formatQueue(ctx),
+      sessions: getSessionCount(),
+    });
+
+    if (popularModels.length > 0) {
+      message += `\n\n${ctx.t("stats.popularModels", {
+        models: popularModels.join("\n"),
+      })}`;
+    }
+
+    await ctx.reply(message);
+  } catch (error) {
+    console.error("Error in statsHandler:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
+}
+
+/**
+ * Handles /status command - reports the health of the browser and the queue
+ * @param {Object} ctx - Telegraf context
+ */
+async function statusHandler(ctx) {
+  if (!(await requireRole(ctx, ROLES.MODERATOR))) {
+    return;
+  }
+
+  try {
+    const now = Date.now();
+    const ago = (date) => formatDuration(now - new Date(date).getTime());
+    const megabytes = (bytes) => Math.round(bytes / 1024 / 1024);
+
+    const browser = getBrowserStatus();
+    const memory = process.memoryUsage();
+    const catalog = await getCatalog();
+
+    let browserLine = ctx.t(
+      browser.running ? "status.browserRunning" : "status.browserStopped",
+      {
+        engine: browser.engine,
+        uptime: browser.running ? ago(browser.launchedAt) : null,
+      }
+    );
+
+    if (browser.restarts > 0) {
+      browserLine += `\n   ${ctx.t("status.restarts", {
+        count: browser.restarts,
+        ago: ago(browser.lastCrashAt),
+        reason: browser.lastCrashReason,
+      })}`;
+    }
+
+    await ctx.reply(
+      ctx.t("status.message", {
+        browser: browserLine,
+        contexts: browser.contexts,
+        pages: browser.pages,
+        rss: megabytes(memory.rss),
+        heap: megabytes(memory.heapUsed),
+        scrape: catalog
+          ? ctx.t("status.scrape", {
+              count: catalog.models.length,
+              ago: ago(catalog.fetchedAt),
+            })
+          : ctx.t("status.scrapeNever"),
+        queue: formatQueue(ctx),
+        uptime: formatDuration(process.uptime() * 1000),
+      })
+    );
+  } catch (error) {
+    console.error("Error in statusHandler:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
+}
+
+/**
+ * Handles /users command - lists users, optionally filtered by a search term
+ * @param {Object} ctx - Telegraf context
+ */
+async function usersHandler(ctx) {
+  if (!(await requireRole(ctx, ROLES.MODERATOR))) {
+    return;
+  }
+
+  try {
+    const query = getCommandArgs(ctx).replace(/^@/, "").toLowerCase();
+    const bannedIds = await listBannedUserIds();
+    const moderatorIds = await listModerators();
+
+    const users = (await listUsers())
+      .filter(
+        (user) =>
+          !query ||
+          String(user.id).includes(query) ||
+          [user.username, user.firstName, user.lastName].some(
+            (value) => value && value.toLowerCase().includes(query)
+          )
+      )
+      .sort((a, b) => (b.joinedAt || "").localeCompare(a.joinedAt || ""));
+
+    if (users.length === 0) {
+      await ctx.reply(
+        query ? ctx.t("users.noMatch", { query }) : ctx.t("users.none")
+      );
+      return;
+    }
+
+    const lines = users.slice(0, USERS_PAGE_SIZE).map((user) => {
+      let badge = "•";
+      if (bannedIds.includes(user.id)) badge = "🚫";
+      else if (moderatorIds.includes(user.id)) badge = "⭐";
+
+      return `${badge} ${formatUser(ctx, user)}`;
+    });
+
+    const title = query
+      ? ctx.t("users.matching", { query, count: users.length })
+      : ctx.t("users.title", { count: users.length });
+    let message = `${title}\n\n${lines.join("\n")}`;
+
+    if (users.length > USERS_PAGE_SIZE) {
+      message += `\n\n${ctx.t("users.more", {
+        count: users.length - USERS_PAGE_SIZE,
+      })}`;
+    }
+
+    await ctx.reply(message);
+  } catch (error) {
+    console.error("Error in usersHandler:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
+}
+
+/**
+ * Handles /ban command - blocks a user from using the bot
+ * @param {Object} ctx - Telegraf context
+ */
+async function banHandler(ctx) {
+  if (!(await requireRole(ctx, ROLES.MODERATOR))) {
+    return;
+  }
+
+  const [target, ...reasonParts] = getCommandArgs(ctx).split(/\s+/);
+
+  if (!target) {
+    ctx.reply(ctx.t("ban.usage"));
+    return;
+  }
+
+  const userId = await resolveUserId(target);
+
+  if (!userId) {
+    ctx.reply(ctx.t("admin.userNotFound", { user: target }));
+    return;
+  }
+
+  if (userId === ctx.from.id) {
+    ctx.reply(ctx.t("ban.self"));
+    return;
+  }
+
+  // Moderators may only ban regular users
+  const targetRole = await getRole(userId);
+  if (
+    targetRole === ROLES.ADMIN ||
+    (targetRole === ROLES.MODERATOR &&
+      !(await hasRole(ctx.from.id, ROLES.ADMIN)))
+  ) {
+    ctx.reply(
+      ctx.t(targetRole === ROLES.ADMIN ? "ban.admin" : "ban.moderator")
+    );
+    return;
+  }
+
+  await banUser(userId, {
+    bannedBy: ctx.from.id,
+    reason: reasonParts.join(" ") || null,
+  });
+
+  // Drop anything the user still has waiting in the queue
+  cancelJobs(userId);
+
+  const user = await getUser(userId);
+  ctx.reply(
+    ctx.t("ban.banned", { user: user ? formatUser(ctx, user) : userId })
+  );
+}
+
+/**
+ * Handles /unban command - lifts a user's ban
+ * @param {Object} ctx - Telegraf context
+ */
+async function unbanHandler(ctx) {
+  if (!(await requireRole(ctx, ROLES.MODERATOR))) {
+    return;
+  }
+
+  const target = getCommandArgs(ctx);
+
+  if (!target) {
+    ctx.reply(ctx.t("ban.unbanUsage"));
+    return;
+  }
+
+  const userId = await resolveUserId(target);
+
+  if (!userId || !(await getBan(userId))) {
+    ctx.reply(ctx.t("ban.notBanned", { user: target }));
+    return;
+  }
+
+  await unbanUser(userId);
+
+  const user = await getUser(userId);
+  ctx.reply(
+    ctx.t("ban.unbanned", { user: user ? formatUser(ctx, user) : userId })
+  );
+}
+
+/**
+ * Handles /promote and /demote commands - grants or revokes the moderator role
+ * @param {Object} ctx - Telegraf context
+ * @param {boolean} isModerator - Whether the user becomes a moderator
+ */
+async function setModeratorHandler(ctx, isModerator) {
+  if (!(await requireRole(ctx, ROLES.ADMIN))) {
+    return;
+  }
+
+  const target = getCommandArgs(ctx);
+
+  if (!target) {
+    ctx.reply(
+      ctx.t(isModerator ? "moderators.promoteUsage" : "moderators.demoteUsage")
+    );
+    return;
+  }
+
+  const userId = await resolveUserId(target);
+  const user = userId && (await getUser(userId));
+
+  if (!user) {
+    ctx.reply(ctx.t("admin.userNotFound", { user: target }));
+    return;
+  }
+
+  if ((await getRole(userId)) === ROLES.ADMIN) {
+    ctx.reply(ctx.t("moderators.adminFixed"));
+    return;
+  }
+
+  await setModerator(userId, isModerator);
+
+  ctx.reply(
+    ctx.t(isModerator ? "moderators.promoted" : "moderators.demoted", {
+      user: formatUser(ctx, user),
+    })
+  );
+}
+
+/**
+ * Handles /resetsession command - discards a chat's browser context and its
+ * saved cookies, e.g. when duck.ai keeps rejecting it
+ * @param {Object} ctx - Telegraf context
+ */
+async function resetSessionHandler(ctx) {
+  if (!(await requireRole(ctx, ROLES.ADMIN))) {
+    return;
+  }
+
+  const target = getCommandArgs(ctx);
+
+  if (!target) {
+    ctx.reply(ctx.t("resetSession.usage", { catalog: CATALOG_SESSION_KEY }));
+    return;
+  }
+
+  // Private chats share the user's ID, groups have negative IDs
+  const sessionKey =
+    target === CATALOG_SESSION_KEY || /^-?\d+$/.test(target)
+      ? target
+      : await resolveUserId(target);
+
+  if (!sessionKey) {
+    ctx.reply(ctx.t("admin.userNotFound", { user: target }));
+    return;
+  }
+
+  try {
+    const existed = await resetSession(sessionKey);
+
+    ctx.reply(
+      ctx.t(existed ? "resetSession.reset" : "resetSession.missing", {
+        session: sessionKey,
+      })
+    );
+  } catch (error) {
+    console.error("Error in resetSessionHandler:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
+}
+
+/**
+ * Handles /debug command - lists recent failure bundles or sends one
+ * @param {Object} ctx - Telegraf context
+ */
+async function debugHandler(ctx) {
+  if (!(await requireRole(ctx, ROLES.ADMIN))) {
+    return;
+  }
+
+  const runId = getCommandArgs(ctx).toLowerCase();
+
+  try {
+    if (!runId) {
+      const bundles = listBundles().slice(0, DEBUG_LIST_SIZE);
+
+      if (bundles.length === 0) {
+        await ctx.reply(ctx.t("debug.none"));
+        return;
+      }
+
+      const lines = bundles.map((bundle) =>
+        ctx.t("debug.run", {
+          runId: bundle.runId,
+          name: bundle.name,
+          failedAt: bundle.failedAt.slice(0, 16),
+          error: bundle.error.split("\n")[0],
+        })
+      );
+
+      await ctx.reply(ctx.t("debug.list", { runs: lines.join("\n") }));
+      return;
+    }
+
+    const bundle = getBundle(runId);
+
+    if (!bundle) {
+      await ctx.reply(ctx.t("debug.notFound", { runId }));
+      return;
+    }
+
+    await ctx.reply(
+      ctx.t("debug.bundle", {
+        runId: bundle.runId,
+        name: bundle.name,
+        session: bundle.sessionKey,
+        started: bundle.startedAt,
+        failed: bundle.failedAt,
+        url: bundle.url || ctx.t("debug.pageClosed"),
+        error: bundle.error,
+      })
+    );
+
+    for (const file of bundle.files) {
+      if (fs.statSync(file).size > MAX_DOCUMENT_SIZE) {
+        await ctx.reply(ctx.t("debug.tooLarge", { file: path.basename(file) }));
+        continue;
+      }
+
+      await ctx.replyWithDocument({
+        source: file,
+        filename: `${bundle.runId}-${path.basename(file)}`,
+      });
+    }
+  } catch (error) {
+    console.error("Error in debugHandler:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
+}
+
+/**
+ * Handles /broadcast command - sends a message to every user who is not banned
+ * @param {Object} ctx - Telegraf context
+ */
+async function broadcastHandler(ctx) {
+  if (!(await requireRole(ctx, ROLES.ADMIN))) {
+    return;
+  }
+
+  const text = getCommandArgs(ctx);
+
+  if (!text) {
+    ctx.reply(ctx.t("broadcast.usage"));
+    return;
+  }
+
+  if (broadcasting) {
+    ctx.reply(ctx.t("broadcast.busy"));
+    return;
+  }
+
+  broadcasting = true;
+
+  try {
+    const bannedIds = await listBannedUserIds();
+    const userIds = (await listUsers())
+      .map((user) => user.id)
+      .filter((userId) => !bannedIds.includes(userId));
+
+    const statusMsg = await ctx.reply(
+      ctx.t("broadcast.starting", { count: userIds.length })
+    );
+
+    const editStatus = (text) =>
+      ctx.telegram
+        .editMessageText(ctx.chat.id, statusMsg.message_id, undefined, text)
+        .catch(() => {});
+
+    // Run in the background, a long broadcast would exceed the handler timeout
+    broadcastMessage(ctx.telegram, userIds, text, (report) => {
+      const sent = report.delivered + report.failed + report.blocked;
+
+      if (sent % BROADCAST_PROGRESS_STEP === 0 && sent < report.total) {
+        return editStatus(
+          ctx.t("broadcast.progress", { sent, total: report.total })
+        );
+      }
+    })
+      .then((report) => editStatus(ctx.t("broadcast.finished", report)))
+      .catch((error) => {
+        console.error("Error broadcasting message:", error);
+        return editStatus(
+          ctx.t("broadcast.stopped", { reason: error.message })
+        );
+      })
+      .finally(() => {
+        broadcasting = false;
+      });
+  } catch (error) {
+    broadcasting = false;
+    console.error("Error in broadcastHandler:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
+}
+
+module.exports = {
+  statsHandler,
+  statusHandler,
+  usersHandler,
+  banHandler,
+  unbanHandler,
+  setModeratorHandler,
+  resetSessionHandler,
+  debugHandler,
+  broadcastHandler,
+};
@@ -0,0 +1,260 @@
+const { Markup } = require("telegraf");
+const config = require("../config/config");
+const { ROLES, hasRole } = require("../services/roles");
+const { getUserLocale } = require("../middleware/i18n");
+const { createTranslator } = require("../utils/i18n");
+const {
+  GRID_COLUMNS,
+  GRID_ROWS,
+  onChallenge,
+  performChallengeAction,
+  getChallengeScreenshot,
+} = require("../automation/challenge");
+
+// Screenshot messages sent to admins for each challenge, keyed by challenge ID
+const challengeMessages = new Map();
+
+// Admins who pressed "Type text", mapped to the challenge the text is for
+const awaitingText = new Map();
+
+/**
+ * Builds the caption shown under a challenge screenshot
+ * @param {Function} t - Translate function of the admin
+ * @param {number} challengeId - Challenge ID
+ * @returns {string} Caption text
+ */
+function buildCaption(t, challengeId) {
+  return t("challenge.caption", {
+    id: challengeId,
+    count: Math.round(config.challenge.timeout / 60000),
+  });
+}
+
+/**
+ * Builds the grid and controls for a challenge screenshot
+ * @param {Function} t - Translate function of the admin
+ * @param {number} challengeId - Challenge ID
+ * @returns {Object} Inline keyboard markup
+ */
+function buildChallengeKeyboard(t, challengeId) {
+  const rows = [];
+
+  for (let row = 0; row < GRID_ROWS; row++) {
+    const buttons = [];
+    for (let column = 0; column < GRID_COLUMNS; column++) {
+      buttons.push(
+        Markup.button.callback(
+          `${String.fromCharCode(65 + column)}${row + 1}`,
+          `challenge_click_${challengeId}_${column}_${row}`
+        )
+      );
+    }
+    rows.push(buttons);
+  }
+
+  rows.push([
+    Markup.button.callback(
+      t("challenge.typeText"),
+      `challenge_type_${challengeId}`
+    ),
+    Markup.button.callback(
+      t("challenge.enter"),
+      `challenge_enter_${challengeId}`
+    ),
+  ]);
+  rows.push([
+    Markup.button.callback(
+      t("challenge.refresh"),
+      `challenge_refresh_${challengeId}`
+    ),
+    Markup.button.callback(
+      t("challenge.screenshot"),
+      `challenge_screenshot_${challengeId}`
+    ),
+  ]);
+
+  return Markup.inlineKeyboard(rows);
+}
+
+/**
+ * Sends the first screenshot of a new challenge to every admin
+ * @param {Object} telegram - Telegraf telegram instance
+ * @param {Object} challenge - Challenge that was detected
+ */
+async function notifyAdmins(telegram, challenge) {
+  const result = await getChallengeScreenshot(challenge.id);
+
+  if (!result.success || result.solved) {
+    return;
+  }
+
+  const messages = [];
+
+  for (const adminId of config.telegram.adminIds) {
+    try {
+      const t = createTranslator(await getUserLocale(adminId));
+      const message = await telegram.sendPhoto(
+        adminId,
+        { source: result.screenshot },
+        {
+          caption: buildCaption(t, challenge.id),
+          ...buildChallengeKeyboard(t, challenge.id),
+        }
+      );
+      messages.push({ chatId: adminId, messageId: message.message_id, t });
+    } catch (error) {
+      console.error(`Error sending challenge to admin ${adminId}:`, error);
+    }
+  }
+
+  challengeMessages.set(challenge.id, messages);
+}
+
+/**
+ * Replaces the screenshot and controls of every admin's challenge message
+ * once the challenge ended
+ * @param {Object} telegram - Telegraf telegram instance
+ * @param {Object} challenge - Challenge that was solved or failed
+ */
+async function closeChallengeMessages(telegram, challenge) {
+  for (const { chatId, messageId, t } of challengeMessages.get(challenge.id) ||
+    []) {
+    const caption = challenge.error
+      ? t("challenge.notSolved", { id: challenge.id, reason: challenge.error })
+      : t("challenge.solved", { id: challenge.id });
+
+    await telegram
+      .editMessageCaption(chatId, messageId, undefined, caption)
+      .catch(() => {});
+
+    if (awaitingText.get(chatId) === challenge.id) {
+      awaitingText.delete(chatId);
+    }
+  }
+
+  challengeMessages.delete(challenge.id);
+}
+
+/**
+ * Sends challenges to the configured admins. Without admins, challenges
+ * keep failing right away like before.
+ * @param {Object} telegram - Telegraf telegram instance
+ */
+function registerChallengeHandoff(telegram) {
+  if (config.telegram.adminIds.length === 0) {
+    return;
+  }
+
+  onChallenge((event, challenge) =>
+    event === "detected"
+      ? notifyAdmins(telegram, challenge)
+      : closeChallengeMessages(telegram, challenge)
+  );
+}
+
+/**
+ * Runs an action on a challenge and shows the new screenshot to the admin
+ * @param {Object} ctx - Telegraf context
+ * @param {number} challengeId - Challenge ID
+ * @param {Object} action - Action for performChallengeAction
+ */
+async function runChallengeAction(ctx, challengeId, action) {
+  const result = await performChallengeAction(challengeId, action);
+
+  // A solved challenge updates every admin's message through the listener
+  if (result.solved) {
+    return;
+  }
+
+  const message = (challengeMessages.get(challengeId) || []).find(
+    (entry) => entry.chatId === ctx.from.id
+  );
+
+  if (!result.success) {
+    await ctx.reply(ctx.t("common.failed", { reason: result.message }));
+    return;
+  }
+
+  if (!message) {
+    return;
+  }
+
+  try {
+    await ctx.telegram.editMessageMedia(
+      message.chatId,
+      message.messageId,
+      undefined,
+      {
+        type: "photo",
+        media: { source: result.screenshot },
+        caption: buildCaption(ctx.t, challengeId),
+      },
+      buildChallengeKeyboard(ctx.t, challengeId)
+    );
+  } catch (error) {
+    console.error("Error updating challenge screenshot:", error);
+  }
+}
+
+/**
+ * Handles the controls under a challenge screenshot
+ * @param {Object} ctx - Telegraf context
+ * @param {number} challengeId - Challenge ID
+ * @param {Object} action - Action for performChallengeAction
+ */
+async function challengeActionHandler(ctx, challengeId, action) {
+  if (!(await hasRole(ctx.from.id, ROLES.ADMIN))) {
+    await ctx.answerCbQuery(ctx.t("challenge.adminOnly"));
+    return;
+  }
+
+  await ctx.answerCbQuery(ctx.t("challenge.working"));
+  await runChallengeAction(ctx, challengeId, action);
+}
+
+/**
+ * Handles "Type text" - asks the admin for the text to type into the page
+ * @param {Object} ctx - Telegraf context
+ * @param {number} challengeId - Challenge ID
+ */
+async function challengeTypeHandler(ctx, challengeId) {
+  if (!(await hasRole(ctx.from.id, ROLES.ADMIN))) {
+    await ctx.answerCbQuery(ctx.t("challenge.adminOnly"));
+    return;
+  }
+
+  awaitingText.set(ctx.from.id, challengeId);
+
+  await ctx.answerCbQuery();
+  await ctx.reply(
+    ctx.t("challenge.typePrompt", { id: challengeId }),
+    Markup.forceReply()
+  );
+}
+
+/**
+ * Types the next text message of an admin who pressed "Type text",
+ * other messages go on to the next handler
+ * @param {Object} ctx - Telegraf context
+ * @param {Function} next - Next handler
+ */
+async function challengeTextHandler(ctx, next) {
+  const challengeId = awaitingText.get(ctx.from.id);
+
+  if (!challengeId || ctx.message.text.startsWith("/")) {
+    return next();
+  }
+
+  awaitingText.delete(ctx.from.id);
+  await runChallengeAction(ctx, challengeId, {
+    type: "type",
+    text: ctx.message.text,
+  });
+}
+
+module.exports = {
+  registerChallengeHandoff,
+  challengeActionHandler,
+  challengeTypeHandler,
+  challengeTextHandler,
+};
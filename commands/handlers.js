@@ -1,167 +1,342 @@
 const { Markup } = require("telegraf");
-const { navigateToDuckAI } = require("../automation/tasks");
-const fs = require("fs").promises;
-const path = require("path");
+const { runSelfCheck } = require("../automation/tasks");
+const {
+  PRIORITY,
+  enqueueJob,
+  cancelJobs,
+  hasJob,
+} = require("../automation/queue");
+const { createMessageStreamer } = require("../utils/messageStreamer");
+const { downloadTelegramFile } = require("../utils/telegramFiles");
+const { escapeMarkdown } = require("../utils/text");
+const {
+  checkDocument,
+  decodeDocument,
+  buildDocumentPrompts,
+} = require("../services/documents");
+const config = require("../config/config");
+const { runMigrations } = require("../storage/migrate");
+const {
+  saveUser,
+  listUsers,
+  hasAcceptedPolicy,
+  recordPrompt,
+  getSelectedModel,
+  setSelectedModel,
+  getMenu,
+  setMenu,
+  deleteMenu,
+  listSelectedModels,
+  listDefaultModels,
+  clearSelectedModel,
+  getPreferences,
+  setPreference,
+} = require("../storage/users");
+const {
+  getCatalog,
+  isCatalogFresh,
+  getModels,
+  findModel,
+  getModelKey,
+  findModelByKey,
+  supportsImages,
+  refreshCatalog,
+  setSubscribed,
+  isSubscribed,
+  listSubscribers,
+} = require("../services/modelCatalog");
+const {
+  recordExchange,
+  startNewThread,
+  listThreads,
+  getThread,
+  reopenThread,
+  buildPrompt,
+  exportThread,
+} = require("../services/history");
+const { ROLES, hasRole } = require("../services/roles");
+const { getLocales, translate } = require("../utils/i18n");
+const { applyLocale, getUserLocale } = require("../middleware/i18n");
+const { trackBackgroundTask } = require("../middleware/inFlight");
+const {
+  isGroupChat,
+  removeBotMention,
+  isChatAdmin,
+} = require("../middleware/groups");
+const {
+  getProvider,
+  getModelProviderId,
+  getModelProvider,
+  resetConversations,
+} = require("../providers");
+
+// Reply formats users can choose from, with the matching Telegram parse mode
+const REPLY_FORMATS = {
+  plain: { parseMode: undefined },
+  markdown: { parseMode: "Markdown" },
+  html: { parseMode: "HTML" },
+};
 
-// Store message IDs for deletion
-const messageStore = {};
+// Seconds after which status messages are deleted, 0 keeps them
+const STATUS_DELETE_DELAYS = [0, 2, 5, 10, 30];
 
-// Store user acceptance status
-const userAcceptanceStore = {};
+// Language setting that follows the user's Telegram language
+const AUTO_LANGUAGE = "auto";
 
-// Store models data per user
-const userModelsStore = {};
+/**
+ * Initializes bot data by running storage migrations and loading users on startup
+ */
+async function initializeBotData() {
+  await runMigrations();
 
-// Store selected model per user
-const userSelectedModelStore = {};
+  const users = await listUsers();
+  console.log(`✅ Loaded ${users.length} users`);
+}
 
-// Track if models are being fetched for a user (prevent duplicate fetches)
-const fetchingModelsFor = new Set();
+/**
+ * Extracts user data from Telegram context
+ * @param {Object} ctx - Telegraf context
+ * @returns {Object} Extracted user data
+ */
+function extractUserData(ctx) {
+  const user = ctx.from;
 
-// Path to users data file
-const USERS_FILE_PATH = path.join(__dirname, "../data/users.json");
+  return {
+    id: user.id,
+    isBot: user.is_bot || false,
+    firstName: user.first_name || null,
+    lastName: user.last_name || null,
+    username: user.username || null,
+    languageCode: user.language_code || null,
+    isPremium: user.is_premium || false,
+    chatId: ctx.chat.id,
+    chatType: ctx.chat.type,
+  };
+}
 
 /**
- * Loads users from JSON file
- * @returns {Promise<Object>} Parsed users data or default if error
+ * Builds the reply keyboard shown below the chat
+ * @param {Function} t - Translator for the user's language
+ * @returns {Object} Telegraf reply keyboard markup
  */
-async function loadUsers() {
-  try {
-    const data = await fs.readFile(USERS_FILE_PATH, "utf8");
-    const parsed = JSON.parse(data);
+function buildMainKeyboard(t) {
+  return Markup.keyboard([[t("menu.changeModel"), t("menu.settings")]])
+    .resize()
+    .placeholder(t("menu.placeholder"));
+}
 
-    if (parsed.users && Array.isArray(parsed.users)) {
-      parsed.users.forEach((user) => {
-        userAcceptanceStore[user.id] = true;
-      });
+/**
+ * Deletes a status message after the user's preferred delay
+ * @param {Object} ctx - Telegraf context
+ * @param {number} messageId - Status message ID
+ * @param {Object} preferences - User preferences
+ */
+function scheduleStatusDeletion(ctx, messageId, preferences) {
+  if (preferences.statusDeleteDelay <= 0) {
+    return;
+  }
+
+  setTimeout(async () => {
+    try {
+      await ctx.telegram.deleteMessage(ctx.chat.id, messageId);
+    } catch (error) {
+      // Ignore deletion errors
     }
+  }, preferences.statusDeleteDelay * 1000);
+}
 
-    return parsed;
-  } catch (error) {
-    return { users: [] };
-  }
+/**
+ * Returns the key under which the selected model is stored. Private chats
+ * have the user's ID, so users keep their own model there and each group
+ * shares one.
+ * @param {Object} ctx - Telegraf context
+ * @returns {number} Chat ID
+ */
+function getModelScope(ctx) {
+  return ctx.chat.id;
 }
 
 /**
- * Initializes bot data by loading users on startup
+ * Returns the model prompts in this chat go to
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} preferences - Preferences of the user asking
+ * @returns {Promise<string|null>} The chat's selected model, else the user's default
  */
-async function initializeBotData() {
-  await loadUsers();
-  console.log(`✅ Loaded ${Object.keys(userAcceptanceStore).length} users`);
+async function getChatModel(ctx, preferences) {
+  return (
+    (await getSelectedModel(getModelScope(ctx))) || preferences.defaultModel
+  );
 }
 
 /**
- * Saves user data to JSON file
- * @param {Object} userData - User data to save
- * @returns {Promise<boolean>} True if saved successfully, false otherwise
+ * Returns the key under which conversation threads are stored. They belong
+ * to the chat's browser conversation, so a group shares its threads and
+ * private threads never reach a group.
+ * @param {Object} ctx - Telegraf context
+ * @returns {number} Chat ID
  */
-async function saveUser(userData) {
-  try {
-    const usersData = await loadUsers();
+function getHistoryScope(ctx) {
+  return ctx.chat.id;
+}
 
-    const existingUserIndex = usersData.users.findIndex(
-      (u) => u.id === userData.id
-    );
+/**
+ * Remembers who opened a menu, so in groups only they can press its buttons
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} message - Bot message showing the menu
+ * @param {Object} [details={}] - Extra fields, e.g. the message that opened it
+ */
+async function rememberMenu(ctx, message, details = {}) {
+  await setMenu(ctx.chat.id, message.message_id, {
+    ownerId: ctx.from.id,
+    ...details,
+  });
+}
 
-    if (existingUserIndex !== -1) {
-      // Update existing user
-      usersData.users[existingUserIndex] = {
-        ...usersData.users[existingUserIndex],
-        ...userData,
-        lastUpdated: new Date().toISOString(),
-      };
-    } else {
-      // Add new user
-      usersData.users.push({
-        ...userData,
-        joinedAt: new Date().toISOString(),
-      });
-    }
+/**
+ * Returns the key of the browser context used for this chat
+ * @param {Object} ctx - Telegraf context
+ * @returns {number} Chat ID, each chat gets its own isolated browser context
+ */
+function getSessionKey(ctx) {
+  return ctx.chat.id;
+}
 
-    await fs.writeFile(
-      USERS_FILE_PATH,
-      JSON.stringify(usersData, null, 2),
-      "utf8"
-    );
+/**
+ * Runs browser automation through the shared job queue, showing the user's place in line
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} options - Job options
+ * @param {string} options.name - Job name, e.g. "models" or "prompt"
+ * @param {number} options.statusMessageId - Message that shows the queue position
+ * @param {string} options.startText - Status text restored once the job starts
+ * @param {number} [options.priority=PRIORITY.NORMAL] - Job priority
+ * @param {number} [options.timeout] - Time limit in milliseconds, defaults to the queue's
+ * @param {Function} task - Async function receiving the job's abort signal and returning a result object
+ * @returns {Promise<Object>} The task's result, or a failure result if cancelled or timed out
+ */
+async function runAutomationJob(ctx, options, task) {
+  const chatId = ctx.chat.id;
+  let waited = false;
+
+  const editStatus = (text) =>
+    ctx.telegram
+      .editMessageText(chatId, options.statusMessageId, undefined, text)
+      .catch(() => {});
 
-    return true;
+  try {
+    return await enqueueJob({
+      ownerId: ctx.from.id,
+      chatId: chatId,
+      name: options.name,
+      priority: options.priority,
+      timeout: options.timeout,
+      onPositionChange: (position) => {
+        waited = true;
+        return editStatus(ctx.t("queue.position", { position }));
+      },
+      onStart: () => (waited ? editStatus(options.startText) : null),
+      // The task stops its own work on abort, the chat's browser context
+      // stays open for the other jobs using it
+      run: task,
+    });
   } catch (error) {
-    console.error("Error saving user data:", error);
-    return false;
+    if (error.code === "CANCELLED") {
+      return {
+        success: false,
+        cancelled: true,
+        message: ctx.t("queue.cancelled"),
+      };
+    }
+    if (error.code === "TIMEOUT") {
+      return { success: false, message: ctx.t("queue.timedOut") };
+    }
+    return { success: false, message: error.message };
   }
 }
 
 /**
- * Extracts user data from Telegram context
+ * Finishes a reply after the handler has returned. Jobs can wait in the queue
+ * for minutes, and polling fetches no further updates until every handler of
+ * a batch is done, so handlers must not wait for them.
  * @param {Object} ctx - Telegraf context
- * @returns {Object} Extracted user data
+ * @param {string} name - Handler name used when logging errors
+ * @param {Function} task - Async function finishing the reply
  */
-function extractUserData(ctx) {
-  const user = ctx.from;
+function finishInBackground(ctx, name, task) {
+  trackBackgroundTask(
+    Promise.resolve()
+      .then(task)
+      .catch(async (error) => {
+        console.error(`Error in ${name}:`, error);
+        await ctx.reply(ctx.t("common.error")).catch(() => {});
+      })
+  );
+}
 
-  return {
-    id: user.id,
-    isBot: user.is_bot || false,
-    firstName: user.first_name || null,
-    lastName: user.last_name || null,
-    username: user.username || null,
-    languageCode: user.language_code || null,
-    isPremium: user.is_premium || false,
-    chatId: ctx.chat.id,
-    chatType: ctx.chat.type,
-  };
+/**
+ * Refreshes the shared model catalog through the job queue
+ * @param {Object} ctx - Telegraf context
+ * @param {number} statusMessageId - Message that shows the queue position
+ * @param {string} startText - Status text restored once the job starts
+ * @returns {Promise<Object>} Result object with success status and models
+ */
+function runCatalogRefresh(ctx, statusMessageId, startText) {
+  return runAutomationJob(
+    ctx,
+    {
+      name: "models",
+      priority: PRIORITY.HIGH,
+      statusMessageId: statusMessageId,
+      startText: startText,
+    },
+    // Others may wait on the same refresh, a cancel only stops this wait
+    // unless nobody else is waiting
+    (signal) => refreshCatalog(signal)
+  );
 }
 
 /**
- * Fetches models for a user if not already loaded
+ * Refreshes the shared model catalog if it is missing or stale
  * @param {Object} ctx - Telegraf context
  * @param {number} userId - User ID
  * @returns {Promise<Object>} Result with success status and optional models or message
  */
 async function ensureModelsLoaded(ctx, userId) {
-  // Check if models already exist
-  if (userModelsStore[userId] && userModelsStore[userId].length > 0) {
+  // Check if the cached catalog can be used
+  if (isCatalogFresh(await getCatalog())) {
     return { success: true, alreadyLoaded: true };
   }
 
   // Check if already fetching for this user
-  if (fetchingModelsFor.has(userId)) {
-    return {
-      success: false,
-      message: "Already fetching models, please wait...",
-    };
+  if (hasJob(userId, "models")) {
+    return { success: false, message: ctx.t("catalog.alreadyFetching") };
   }
 
   try {
-    // Mark as fetching
-    fetchingModelsFor.add(userId);
-
     // Send status message
-    const statusMsg = await ctx.reply("🔄 Connecting to server...");
+    const statusMsg = await ctx.reply(ctx.t("catalog.connecting"));
 
     // Fetch models
-    const result = await navigateToDuckAI();
+    const result = await runCatalogRefresh(
+      ctx,
+      statusMsg.message_id,
+      ctx.t("catalog.connecting")
+    );
 
     if (result.success) {
-      // Store models
-      userModelsStore[userId] = result.models;
-
       // Update status message
       await ctx.telegram.editMessageText(
         ctx.chat.id,
         statusMsg.message_id,
         undefined,
-        `✅ Successfully loaded ${result.models.length} models!`
+        ctx.t("catalog.loaded", { count: result.models.length })
       );
 
-      // Delete status message after dalay
-      setTimeout(async () => {
-        try {
-          await ctx.telegram.deleteMessage(ctx.chat.id, statusMsg.message_id);
-        } catch (error) {
-          // Ignore deletion errors
-        }
-      }, 2000);
+      // Delete status message after the user's preferred delay
+      scheduleStatusDeletion(
+        ctx,
+        statusMsg.message_id,
+        await getPreferences(userId)
+      );
 
       return { success: true, models: result.models };
     } else {
@@ -170,7 +345,7 @@ async function ensureModelsLoaded(ctx, userId) {
         ctx.chat.id,
         statusMsg.message_id,
         undefined,
-        `❌ Failed to load models: ${result.message}`
+        ctx.t("catalog.loadFailed", { reason: result.message })
       );
 
       return { success: false, message: result.message };
@@ -178,9 +353,6 @@ async function ensureModelsLoaded(ctx, userId) {
   } catch (error) {
     console.error("Error fetching models:", error);
     return { success: false, message: error.message };
-  } finally {
-    // Remove from fetching set
-    fetchingModelsFor.delete(userId);
   }
 }
 
@@ -190,28 +362,30 @@ async function ensureModelsLoaded(ctx, userId) {
  */
 async function startHandler(ctx) {
   const userId = ctx.from.id;
-  const username = ctx.from.first_name || ctx.from.username || "there";
+  const username =
+    ctx.from.first_name || ctx.from.username || ctx.t("start.defaultName");
 
   // Check if user has already accepted the policy
-  if (userAcceptanceStore[userId]) {
+  if (await hasAcceptedPolicy(userId)) {
     showMainMenu(ctx, username);
     return;
   }
 
   // Show welcome message with policy acceptance
-  const welcomeMessage = `Welcome ${username}! 🤖\n\nBefore using this bot, please review and accept our policy.`;
+  const welcomeMessage = ctx.t("start.welcome", { name: username });
 
   const keyboard = Markup.inlineKeyboard([
     [
       Markup.button.url(
-        "📋 Policy",
+        ctx.t("start.policyButton"),
         "https://github.com/SahandMSV/Playwright-AI-Telegram-Automation"
       ),
-      Markup.button.callback("✅ Accept", "accept_policy"),
+      Markup.button.callback(ctx.t("start.acceptButton"), "accept_policy"),
     ],
   ]);
 
-  ctx.reply(welcomeMessage, keyboard);
+  const botMessage = await ctx.reply(welcomeMessage, keyboard);
+  await rememberMenu(ctx, botMessage);
 }
 
 /**
@@ -219,72 +393,127 @@ async function startHandler(ctx) {
  * @param {Object} ctx - Telegraf context
  */
 async function acceptPolicyHandler(ctx) {
-  const userId = ctx.from.id;
-  const username = ctx.from.first_name || ctx.from.username || "there";
+  const username =
+    ctx.from.first_name || ctx.from.username || ctx.t("start.defaultName");
+
+  const showFailure = async (error) => {
+    console.error("Error in acceptPolicyHandler:", error);
+    await ctx.editMessageText(ctx.t("common.error")).catch(() => {});
+
+    // Show menu anyway
+    await showMainMenu(ctx, username);
+  };
 
   try {
-    await ctx.editMessageText("Logging you in...");
+    await ctx.editMessageText(ctx.t("start.loggingIn"));
 
-    // Extract and save user data
+    // Extract and save user data, which also marks the policy as accepted
     const userData = extractUserData(ctx);
     await saveUser(userData);
 
-    // Mark user as accepted in memory
-    userAcceptanceStore[userId] = true;
-
     await ctx.answerCbQuery();
 
-    await ctx.editMessageText("Connecting to server...");
-
-    // Run automation to get models
-    const result = await navigateToDuckAI();
-
-    if (result.success) {
-      // Store models for this user
-      userModelsStore[userId] = result.models;
-
-      // Update status message
-      await ctx.editMessageText("Connected successfully ✅");
-
-      await new Promise((resolve) => setTimeout(resolve, 1200));
-
-      const keyboard = Markup.keyboard([["🔄 Change Model"]])
-        .resize()
-        .placeholder("Ask anything...");
-
-      // Send final message that enables custom keyboard
-      await ctx.deleteMessage();
-      await ctx.reply(`You're all set, ${username}! 🎉`, keyboard);
-    } else {
-      await ctx.editMessageText(`❌ Connection failed: ${result.message}`);
-
-      // Still show menu even if automation failed
-      const keyboard = Markup.keyboard([["🔄 Change Model"]])
-        .resize()
-        .placeholder("Ask anything...");
-
-      await ctx.reply("You can try again later.", keyboard);
-    }
+    await ctx.editMessageText(ctx.t("start.connecting"));
   } catch (error) {
-    console.error("Error in acceptPolicyHandler:", error);
-    await ctx.editMessageText(`❌ An error occurred. Please try again.`);
-
-    // Show menu anyway
-    showMainMenu(ctx, username);
+    await showFailure(error);
+    return;
   }
+
+  finishInBackground(ctx, "acceptPolicyHandler", async () => {
+    try {
+      // Run automation to get models, unless the shared catalog is fresh
+      const result = isCatalogFresh(await getCatalog())
+        ? { success: true }
+        : await runCatalogRefresh(
+            ctx,
+            ctx.callbackQuery.message.message_id,
+            ctx.t("start.connecting")
+          );
+
+      if (result.success) {
+        // Update status message, it goes away after the user's preferred delay
+        await ctx.editMessageText(ctx.t("start.connected"));
+        scheduleStatusDeletion(
+          ctx,
+          ctx.callbackQuery.message.message_id,
+          await getPreferences(ctx.from.id)
+        );
+
+        // Send final message that enables custom keyboard
+        await showMainMenu(ctx, username);
+      } else {
+        await ctx.editMessageText(
+          ctx.t("start.connectionFailed", { reason: result.message })
+        );
+
+        // Still show menu even if automation failed
+        await ctx.reply(ctx.t("start.tryLater"), buildMainKeyboard(ctx.t));
+      }
+    } catch (error) {
+      await showFailure(error);
+    }
+  });
 }
 
 /**
  * Shows main menu with custom keyboard
  * @param {Object} ctx - Telegraf context
  * @param {string} username - User's name
+ * @returns {Promise<Object>} Sent message
  */
 function showMainMenu(ctx, username) {
-  const keyboard = Markup.keyboard([["🔄 Change Model"]])
-    .resize()
-    .placeholder("Ask anything...");
+  return ctx.reply(
+    ctx.t("start.ready", { name: username }),
+    buildMainKeyboard(ctx.t)
+  );
+}
+
+/**
+ * Builds the model menu keyboard, grouped by provider if there are several
+ * @param {Object[]} models - Models from the catalog
+ * @param {Function} t - Translator for the user's language
+ * @returns {Object} Inline keyboard markup
+ */
+function buildModelKeyboard(models, t) {
+  const groups = new Map();
+
+  for (const model of models) {
+    const providerId = getModelProviderId(model);
+    groups.set(providerId, [...(groups.get(providerId) || []), model]);
+  }
+
+  const modelButtons = [];
+
+  for (const [providerId, groupModels] of groups) {
+    // Header button naming the provider, pressing it does nothing
+    if (groups.size > 1) {
+      const provider = getProvider(providerId);
+      modelButtons.push([
+        Markup.button.callback(
+          `— ${provider ? provider.name : providerId} —`,
+          "provider_header"
+        ),
+      ]);
+    }
+
+    // Create inline buttons for each model
+    for (const model of groupModels) {
+      const buttonText = model.isBeta
+        ? `${model.name} [${model.isBeta}]`
+        : model.name;
+      modelButtons.push([
+        Markup.button.callback(
+          buttonText,
+          `view_model_${getModelKey(model.name)}`
+        ),
+      ]);
+    }
+  }
+
+  // Close button
+  modelButtons.push([Markup.button.callback(t("common.close"), "close_menu")]);
 
-  ctx.reply(`You're all set, ${username}! 🎉`, keyboard);
+  return Markup.inlineKeyboard(modelButtons);
 }
 
 /**
@@ -295,83 +524,74 @@ async function showModelMenu(ctx) {
   const userId = ctx.from.id;
 
   // Check if user has accepted policy
-  if (!userAcceptanceStore[userId]) {
-    ctx.reply(
-      "⚠️ Please start the bot with /start and accept the policy first."
-    );
+  if (!(await hasAcceptedPolicy(userId))) {
+    ctx.reply(ctx.t("common.policyRequired"));
     return;
   }
 
-  const userMessageId = ctx.message.message_id;
-  const chatId = ctx.chat.id;
-
-  const loadResult = await ensureModelsLoaded(ctx, userId);
-
-  if (!loadResult.success && !loadResult.alreadyLoaded) {
-    if (loadResult.message) {
-      ctx.reply(`⚠️ ${loadResult.message}\n\nPlease try again.`);
-    }
+  // A group shares one model, only its admins may change it
+  if (!(await isChatAdmin(ctx))) {
+    ctx.reply(ctx.t("groups.adminOnlyModel"), {
+      reply_to_message_id: ctx.message.message_id,
+    });
     return;
   }
 
-  // Get user's stored models
-  const models = userModelsStore[userId] || [];
+  // A stale catalog is refreshed through the queue first
+  finishInBackground(ctx, "showModelMenu", async () => {
+    const loadResult = await ensureModelsLoaded(ctx, userId);
 
-  if (models.length === 0) {
-    ctx.reply("⚠️ No models available. Please try again.");
-    return;
-  }
+    if (!loadResult.success && !loadResult.alreadyLoaded) {
+      if (loadResult.message) {
+        await ctx.reply(ctx.t("models.retry", { reason: loadResult.message }));
+      }
+      return;
+    }
 
-  // Create inline buttons for each model
-  const modelButtons = models.map((model) => {
-    const buttonText = model.isBeta
-      ? `${model.name} [${model.isBeta}]`
-      : model.name;
-    return [Markup.button.callback(buttonText, `view_model_${model.name}`)];
-  });
+    // Get user's stored models
+    const models = await getModels();
 
-  // Close button
-  modelButtons.push([Markup.button.callback("❌ Close", "close_menu")]);
+    if (models.length === 0) {
+      await ctx.reply(ctx.t("models.noneAvailable"));
+      return;
+    }
 
-  const keyboard = Markup.inlineKeyboard(modelButtons);
+    const keyboard = buildModelKeyboard(models, ctx.t);
 
-  const botMessage = await ctx.reply("🤖 Available Models:", keyboard);
+    const botMessage = await ctx.reply(ctx.t("models.title"), keyboard);
 
-  // Store both message IDs for later deletion
-  messageStore[chatId] = {
-    userMessageId: userMessageId,
-    botMessageId: botMessage.message_id,
-  };
+    // Remember the user's message too, both are deleted once a model is chosen
+    await rememberMenu(ctx, botMessage, {
+      userMessageId: ctx.message.message_id,
+    });
+  });
 }
 
 /**
  * Handles viewing model details
  * @param {Object} ctx - Telegraf context
- * @param {string} modelName - Name of the model
+ * @param {string} modelKey - Key of the model from getModelKey
  */
-async function viewModelDetails(ctx, modelName) {
-  const userId = ctx.from.id;
-  const models = userModelsStore[userId] || [];
-
+async function viewModelDetails(ctx, modelKey) {
   // Find the selected model
-  const model = models.find((m) => m.name === modelName);
+  const model = await findModelByKey(modelKey);
 
   if (!model) {
-    await ctx.answerCbQuery("❌ Model not found");
+    await ctx.answerCbQuery(ctx.t("models.notFound"));
     return;
   }
 
-  // Detailed list of models
-  let message = `🤖 *${model.name}*`;
+  // Detailed list of models, scraped names may contain Markdown characters
+  let message = `🤖 *${escapeMarkdown(model.name)}*`;
 
   if (model.isBeta) {
-    message += ` [${model.isBeta}]`;
+    message += escapeMarkdown(` [${model.isBeta}]`);
   }
 
   message += "\n\n";
 
   if (model.features && model.features.length > 0) {
-    message += "*Features:*\n";
+    message += `*${ctx.t("models.features")}*\n`;
     model.features.forEach((feature) => {
       let emoji = "  •";
       if (feature.includes("Image")) emoji = "  📷";
@@ -382,14 +602,17 @@ async function viewModelDetails(ctx, modelName) {
       else if (feature.includes("Open source")) emoji = "  🔓";
       else if (feature.includes("Created by")) emoji = "  👤";
 
-      message += `${emoji} ${feature}\n`;
+      message += `${emoji} ${escapeMarkdown(feature)}\n`;
     });
   }
 
   const keyboard = Markup.inlineKeyboard([
     [
-      Markup.button.callback("⬅️ Back", "back_to_models"),
-      Markup.button.callback("✅ Select", `select_model_${model.name}`),
+      Markup.button.callback(ctx.t("common.back"), "back_to_models"),
+      Markup.button.callback(
+        ctx.t("models.select"),
+        `select_model_${modelKey}`
+      ),
     ],
   ]);
 
@@ -401,7 +624,7 @@ async function viewModelDetails(ctx, modelName) {
     await ctx.answerCbQuery();
   } catch (error) {
     console.error("Error editing message:", error);
-    await ctx.answerCbQuery("Error displaying model details");
+    await ctx.answerCbQuery(ctx.t("models.detailsFailed"));
   }
 }
 
@@ -410,68 +633,73 @@ async function viewModelDetails(ctx, modelName) {
  * @param {Object} ctx - Telegraf context
  */
 async function backToModels(ctx) {
-  const userId = ctx.from.id;
-  const models = userModelsStore[userId] || [];
+  const models = await getModels();
 
   if (models.length === 0) {
-    await ctx.answerCbQuery("No models available");
+    await ctx.answerCbQuery(ctx.t("models.noneLoaded"));
     return;
   }
 
-  // Create inline buttons for each model
-  const modelButtons = models.map((model) => {
-    const buttonText = model.isBeta
-      ? `${model.name} [${model.isBeta}]`
-      : model.name;
-    return [Markup.button.callback(buttonText, `view_model_${model.name}`)];
-  });
-
-  // Close button
-  modelButtons.push([Markup.button.callback("❌ Close", "close_menu")]);
-
-  const keyboard = Markup.inlineKeyboard(modelButtons);
+  const keyboard = buildModelKeyboard(models, ctx.t);
 
   // Back to models list
   try {
-    await ctx.editMessageText("🤖 Available Models:", keyboard);
+    await ctx.editMessageText(ctx.t("models.title"), keyboard);
     await ctx.answerCbQuery();
   } catch (error) {
     console.error("Error editing message:", error);
-    await ctx.answerCbQuery("Error going back");
+    await ctx.answerCbQuery(ctx.t("models.backFailed"));
   }
 }
 
 /**
  * Handles model selection
  * @param {Object} ctx - Telegraf context
- * @param {string} modelName - Name of the selected model
+ * @param {string} modelKey - Key of the selected model from getModelKey
  */
-async function handleModelSelection(ctx, modelName) {
-  const userId = ctx.from.id;
+async function handleModelSelection(ctx, modelKey) {
   const chatId = ctx.chat.id;
+  const menuMessageId = ctx.callbackQuery.message.message_id;
+
+  // Buttons suggested for a photo can be pressed by anyone who sent one
+  if (!(await isChatAdmin(ctx))) {
+    await ctx.answerCbQuery(ctx.t("groups.adminOnlyModel"), {
+      show_alert: true,
+    });
+    return;
+  }
+
+  const model = await findModelByKey(modelKey);
+
+  if (!model) {
+    await ctx.answerCbQuery(ctx.t("models.notFound"));
+    return;
+  }
 
   // Store selected model
-  userSelectedModelStore[userId] = modelName;
+  await setSelectedModel(getModelScope(ctx), model.name);
 
   // Answer callback query with alert
-  await ctx.answerCbQuery(`✅ ${modelName} has been selected!`, {
-    show_alert: true,
-  });
+  await ctx.answerCbQuery(
+    ctx.t(isGroupChat(ctx) ? "groups.selected" : "models.selected", {
+      model: model.name,
+    }),
+    { show_alert: true }
+  );
 
   // Delete both messages
   try {
-    if (messageStore[chatId]) {
+    const menu = await getMenu(chatId, menuMessageId);
+
+    if (menu && menu.userMessageId) {
       // Delete bot's message
-      await ctx.deleteMessage(messageStore[chatId].botMessageId);
+      await ctx.deleteMessage(menuMessageId);
 
       // Delete user's message
-      await ctx.telegram.deleteMessage(
-        chatId,
-        messageStore[chatId].userMessageId
-      );
+      await ctx.telegram.deleteMessage(chatId, menu.userMessageId);
 
       // Clear stored IDs
-      delete messageStore[chatId];
+      await deleteMenu(chatId, menuMessageId);
     }
   } catch (error) {
     console.error("Error deleting messages:", error);
@@ -484,91 +712,996 @@ async function handleModelSelection(ctx, modelName) {
  */
 async function closeMenu(ctx) {
   const chatId = ctx.chat.id;
+  const menuMessageId = ctx.callbackQuery.message.message_id;
 
   try {
-    if (messageStore[chatId]) {
-      await ctx.deleteMessage(messageStore[chatId].botMessageId);
+    const menu = await getMenu(chatId, menuMessageId);
 
-      await ctx.telegram.deleteMessage(
-        chatId,
-        messageStore[chatId].userMessageId
-      );
+    if (menu) {
+      await ctx.deleteMessage(menuMessageId);
+
+      await ctx.telegram.deleteMessage(chatId, menu.userMessageId);
 
       // Clear stored IDs
-      delete messageStore[chatId];
+      await deleteMenu(chatId, menuMessageId);
     }
   } catch (error) {
     console.error("Error deleting messages:", error);
-    await ctx.answerCbQuery("Could not delete messages");
+    await ctx.answerCbQuery(ctx.t("common.deleteFailed"));
   }
 }
 
 /**
- * Handles settings - shows alert
+ * Returns the name of the user's interface language as shown in settings
  * @param {Object} ctx - Telegraf context
+ * @param {Object} preferences - User preferences
+ * @returns {string} Language name
  */
-function settingsHandler(ctx) {
-  ctx.answerCbQuery(
-    "⚙️ Settings feature is coming soon! 🚀\n\nWe're working hard to bring you awesome customization options. Stay tuned! 😊",
-    {
-      show_alert: true,
-    }
-  );
+function describeLanguage(ctx, preferences) {
+  const name = translate(ctx.locale, "language.name");
+
+  return preferences.language
+    ? name
+    : ctx.t("settings.languageAutoCurrent", { language: name });
 }
 
 /**
- * Handles /help command
+ * Builds the settings overview and its keyboard
  * @param {Object} ctx - Telegraf context
+ * @returns {Promise<Object>} Object with text and keyboard
  */
-function helpHandler(ctx) {
-  const helpMessage = `📚 Help Information
-
-Available features:
-• "Change Model" - Select from available AI models
-• "Settings" - Configure bot preferences (coming soon)
+async function buildSettingsMenu(ctx) {
+  const t = ctx.t;
+  const preferences = await getPreferences(ctx.from.id);
+
+  const text = t("settings.overview", {
+    defaultModel: preferences.defaultModel || t("settings.providerDefault"),
+    replyFormat: t(`settings.formats.${preferences.replyFormat}`),
+    statusDelete:
+      preferences.statusDeleteDelay > 0
+        ? t("settings.deleteAfter", { seconds: preferences.statusDeleteDelay })
+        : t("settings.deleteNever"),
+    language: describeLanguage(ctx, preferences),
+    streaming: preferences.streaming
+      ? t("settings.streamingOn")
+      : t("settings.streamingOff"),
+  });
 
-Bot commands:
-• /start - Show main menu
-• /help - Show this help message
-• /open - Launch Chrome, navigate to duck.ai, and extract available models`;
+  const keyboard = Markup.inlineKeyboard([
+    [
+      Markup.button.callback(
+        t("settings.buttons.defaultModel"),
+        "settings_menu_defaultModel"
+      ),
+      Markup.button.callback(
+        t("settings.buttons.replyFormat"),
+        "settings_menu_replyFormat"
+      ),
+    ],
+    [
+      Markup.button.callback(
+        t("settings.buttons.statusDeleteDelay"),
+        "settings_menu_statusDeleteDelay"
+      ),
+      Markup.button.callback(
+        t("settings.buttons.language"),
+        "settings_menu_language"
+      ),
+    ],
+    [
+      Markup.button.callback(
+        preferences.streaming
+          ? t("settings.buttons.streamingOff")
+          : t("settings.buttons.streamingOn"),
+        "settings_toggle_streaming"
+      ),
+    ],
+    [Markup.button.callback(t("common.close"), "settings_close")],
+  ]);
 
-  ctx.reply(helpMessage);
+  return { text, keyboard };
 }
 
 /**
- * Handles /open command - triggers Playwright automation
+ * Handles the Settings button - shows the settings menu
  * @param {Object} ctx - Telegraf context
  */
-async function openHandler(ctx) {
+async function settingsHandler(ctx) {
   const userId = ctx.from.id;
 
   // Check if user has accepted policy
-  if (!userAcceptanceStore[userId]) {
-    ctx.reply(
-      "⚠️ Please start the bot with /start and accept the policy first."
+  if (!(await hasAcceptedPolicy(userId))) {
+    ctx.reply(ctx.t("common.policyRequired"));
+    return;
+  }
+
+  const menu = await buildSettingsMenu(ctx);
+  const botMessage = await ctx.reply(menu.text, menu.keyboard);
+  await rememberMenu(ctx, botMessage);
+}
+
+/**
+ * Handles going back to the settings overview
+ * @param {Object} ctx - Telegraf context
+ */
+async function backToSettings(ctx) {
+  const menu = await buildSettingsMenu(ctx);
+
+  await ctx.editMessageText(menu.text, menu.keyboard);
+  await ctx.answerCbQuery();
+}
+
+/**
+ * Returns the choices for a setting
+ * @param {string} setting - Preference name
+ * @param {Function} t - Translator for the user's language
+ * @returns {Promise<Array>} Pairs of value and button label
+ */
+async function getSettingChoices(setting, t) {
+  switch (setting) {
+    case "defaultModel":
+      // Keys keep the callback data short, updateSetting stores the name
+      return (await getModels()).map((model) => [
+        getModelKey(model.name),
+        model.name,
+      ]);
+    case "replyFormat":
+      return Object.keys(REPLY_FORMATS).map((value) => [
+        value,
+        t(`settings.formats.${value}`),
+      ]);
+    case "statusDeleteDelay":
+      return STATUS_DELETE_DELAYS.map((delay) => [
+        String(delay),
+        delay > 0
+          ? t("settings.choices.deleteAfter", { seconds: delay })
+          : t("settings.choices.deleteNever"),
+      ]);
+    case "language":
+      // Each language is named in itself so users can find their own
+      return [
+        [AUTO_LANGUAGE, t("settings.languageAuto")],
+        ...getLocales().map((locale) => [
+          locale,
+          translate(locale, "language.name"),
+        ]),
+      ];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Handles opening a setting - shows its choices
+ * @param {Object} ctx - Telegraf context
+ * @param {string} setting - Preference name
+ */
+async function showSettingChoices(ctx, setting) {
+  const preferences = await getPreferences(ctx.from.id);
+  const choices = await getSettingChoices(setting, ctx.t);
+
+  if (choices.length === 0) {
+    await ctx.answerCbQuery(
+      ctx.t("settings.noModels", { changeModel: ctx.t("menu.changeModel") }),
+      { show_alert: true }
     );
     return;
   }
 
-  try {
-    await ctx.reply("🚀 Starting browser automation...");
+  let current = String(preferences[setting]);
+
+  if (setting === "language") {
+    current = preferences.language || AUTO_LANGUAGE;
+  } else if (setting === "defaultModel") {
+    current = preferences.defaultModel && getModelKey(preferences.defaultModel);
+  }
 
-    const result = await navigateToDuckAI();
+  const buttons = choices.map(([value, label]) => [
+    Markup.button.callback(
+      current === value ? `✅ ${label}` : label,
+      `settings_set_${setting}_${value}`
+    ),
+  ]);
 
-    if (result.success) {
-      // Store models for this user
-      userModelsStore[userId] = result.models;
+  // The default model can also be left to the provider
+  if (setting === "defaultModel") {
+    buttons.push([
+      Markup.button.callback(
+        preferences.defaultModel
+          ? ctx.t("settings.providerDefault")
+          : `✅ ${ctx.t("settings.providerDefault")}`,
+        "settings_clear_defaultModel"
+      ),
+    ]);
+  }
 
-      await ctx.reply(
-        `✅ Successfully loaded ${result.models.length} models!\n\nUse "🔄 Change Model" to see available options.`
-      );
-    } else {
-      await ctx.reply(`❌ ${result.message}`);
+  buttons.push([Markup.button.callback(ctx.t("common.back"), "settings_back")]);
+
+  await ctx.editMessageText(
+    ctx.t(`settings.titles.${setting}`),
+    Markup.inlineKeyboard(buttons)
+  );
+  await ctx.answerCbQuery();
+}
+
+/**
+ * Handles changing a setting
+ * @param {Object} ctx - Telegraf context
+ * @param {string} setting - Preference name
+ * @param {string|null} value - Chosen value from the callback data, null to reset
+ */
+async function updateSetting(ctx, setting, value) {
+  const userId = ctx.from.id;
+  let newValue = value;
+
+  if (setting === "streaming") {
+    newValue = !(await getPreferences(userId)).streaming;
+  } else if (value !== null) {
+    const choices = await getSettingChoices(setting, ctx.t);
+
+    // Reject stale buttons, e.g. a model that has since been removed
+    if (!choices.some(([choice]) => choice === value)) {
+      await ctx.answerCbQuery(ctx.t("settings.optionUnavailable"));
+      return;
     }
-  } catch (error) {
-    console.error("Error in openHandler:", error);
-    await ctx.reply(`❌ An error occurred. Please try again.`);
+
+    if (setting === "defaultModel") {
+      newValue = (await findModelByKey(value)).name;
+    } else if (setting === "statusDeleteDelay") {
+      newValue = Number(value);
+    } else if (setting === "language" && value === AUTO_LANGUAGE) {
+      newValue = null;
+    }
+  }
+
+  await setPreference(userId, setting, newValue);
+
+  // Answer in the new language right away
+  if (setting === "language") {
+    applyLocale(ctx, newValue);
   }
+
+  const menu = await buildSettingsMenu(ctx);
+  await ctx.editMessageText(menu.text, menu.keyboard);
+  await ctx.answerCbQuery(ctx.t("common.saved"));
+
+  // The reply keyboard only changes its labels when it is sent again
+  if (setting === "language") {
+    await ctx.reply(
+      ctx.t("settings.languageChanged", {
+        language: translate(ctx.locale, "language.name"),
+      }),
+      buildMainKeyboard(ctx.t)
+    );
+  }
+}
+
+/**
+ * Handles closing the settings menu
+ * @param {Object} ctx - Telegraf context
+ */
+async function closeSettings(ctx) {
+  try {
+    await ctx.deleteMessage();
+  } catch (error) {
+    console.error("Error deleting settings menu:", error);
+    await ctx.answerCbQuery(ctx.t("common.deleteFailed"));
+  }
+}
+
+/**
+ * Handles /help command
+ * @param {Object} ctx - Telegraf context
+ */
+async function helpHandler(ctx) {
+  let helpMessage = ctx.t("help.main");
+
+  if (await hasRole(ctx.from.id, ROLES.MODERATOR)) {
+    helpMessage += `\n\n${ctx.t("help.moderator")}`;
+  }
+
+  if (await hasRole(ctx.from.id, ROLES.ADMIN)) {
+    helpMessage += `\n\n${ctx.t("help.admin")}`;
+  }
+
+  ctx.reply(helpMessage);
+}
+
+/**
+ * Handles /open command - triggers Playwright automation
+ * @param {Object} ctx - Telegraf context
+ */
+async function openHandler(ctx) {
+  const userId = ctx.from.id;
+
+  // Check if user has accepted policy
+  if (!(await hasAcceptedPolicy(userId))) {
+    ctx.reply(ctx.t("common.policyRequired"));
+    return;
+  }
+
+  const statusMsg = await ctx.reply(ctx.t("open.starting"));
+
+  finishInBackground(ctx, "openHandler", async () => {
+    // Always scrape again so /open reflects the live model list
+    const result = await runCatalogRefresh(
+      ctx,
+      statusMsg.message_id,
+      ctx.t("open.starting")
+    );
+
+    if (result.success) {
+      await ctx.reply(
+        ctx.t("open.loaded", {
+          count: result.models.length,
+          changeModel: ctx.t("menu.changeModel"),
+        })
+      );
+    } else {
+      await ctx.reply(ctx.t("common.failed", { reason: result.message }));
+    }
+  });
+}
+
+/**
+ * Sends a prompt through the job queue and streams the answer into a reply.
+ * Returns once the status message is sent, the answer follows in the background.
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} request - What to send
+ * @param {string} request.prompt - Text to send
+ * @param {string} [request.historyText] - How the prompt is stored in the history, defaults to the prompt
+ * @param {Object[]} [request.attachments=[]] - Files with name, mimeType and buffer to upload
+ * @param {string[]} [request.preludes=[]] - Prompts sent first whose answers are not shown, e.g. parts of a long file
+ * @param {string|null} request.modelName - Model to use, or null for the default provider's default
+ * @param {Object} request.preferences - User preferences
+ */
+async function relayPrompt(ctx, request) {
+  const userId = ctx.from.id;
+  const {
+    prompt,
+    modelName,
+    preferences,
+    attachments = [],
+    preludes = [],
+  } = request;
+
+  const provider = getModelProvider(modelName && (await findModel(modelName)));
+
+  const startText = modelName
+    ? ctx.t("prompt.asking", { model: modelName })
+    : ctx.t("prompt.thinking");
+  const statusMsg = await ctx.reply(startText, {
+    reply_to_message_id: ctx.message.message_id,
+  });
+
+  // The job may wait in the queue, the answer is sent once it is done
+  finishInBackground(ctx, "relayPrompt", async () => {
+    let streamer = null;
+
+    const result = await runAutomationJob(
+      ctx,
+      {
+        name: "prompt",
+        statusMessageId: statusMsg.message_id,
+        startText: startText,
+        // Every prompt may take as long as a whole job normally does
+        timeout: config.queue.jobTimeout * (preludes.length + 1),
+      },
+      async (signal) => {
+        const send = (text, onProgress, files = []) =>
+          provider.streamPrompt(
+            {
+              sessionKey: getSessionKey(ctx),
+              prompt: text,
+              model: modelName,
+              attachments: files,
+              signal: signal,
+            },
+            onProgress
+          );
+
+        // A reopened thread is replayed so the model knows the context
+        const prompts = [...preludes, prompt];
+        prompts[0] = await buildPrompt(getHistoryScope(ctx), prompts[0]);
+
+        for (const [index, prelude] of prompts.slice(0, -1).entries()) {
+          await ctx.telegram
+            .editMessageText(
+              ctx.chat.id,
+              statusMsg.message_id,
+              undefined,
+              ctx.t("prompt.sendingPart", {
+                part: index + 1,
+                total: prompts.length,
+              })
+            )
+            .catch(() => {});
+
+          const partResult = await send(prelude);
+          if (!partResult.success) {
+            return partResult;
+          }
+        }
+
+        // Progressively edit the placeholder while the answer is generated
+        streamer = createMessageStreamer(ctx, statusMsg.message_id, {
+          parseMode: REPLY_FORMATS[preferences.replyFormat].parseMode,
+          streaming: preferences.streaming,
+        });
+
+        return send(prompts[prompts.length - 1], streamer.update, attachments);
+      }
+    );
+
+    if (result.success) {
+      await recordPrompt(userId);
+      await recordExchange(getHistoryScope(ctx), {
+        prompt: request.historyText || prompt,
+        answer: result.answer,
+        model: result.model || modelName,
+      });
+    }
+
+    if (!streamer) {
+      // The job never started
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        statusMsg.message_id,
+        undefined,
+        result.cancelled
+          ? ctx.t("prompt.cancelled")
+          : ctx.t("common.failed", { reason: result.message })
+      );
+    } else if (!result.success) {
+      await streamer.fail(result.message);
+    } else if (result.stopped) {
+      await streamer.stop(result.answer);
+    } else {
+      await streamer.complete(result.answer);
+    }
+  });
+}
+
+/**
+ * Handles free-text messages - relays the prompt to the model's provider and streams the answer back
+ * @param {Object} ctx - Telegraf context
+ */
+async function promptHandler(ctx) {
+  const userId = ctx.from.id;
+
+  // Ignore unknown commands
+  if (ctx.message.text.startsWith("/")) {
+    return;
+  }
+
+  // In groups the bot is mentioned, the mention is not part of the question
+  const prompt = removeBotMention(ctx, ctx.message.text);
+
+  if (!prompt) {
+    ctx.reply(ctx.t("groups.emptyMention"), {
+      reply_to_message_id: ctx.message.message_id,
+    });
+    return;
+  }
+
+  // Check if user has accepted policy
+  if (!(await hasAcceptedPolicy(userId))) {
+    ctx.reply(ctx.t("common.policyRequired"));
+    return;
+  }
+
+  const preferences = await getPreferences(userId);
+  const modelName = await getChatModel(ctx, preferences);
+
+  try {
+    await relayPrompt(ctx, { prompt, modelName, preferences });
+  } catch (error) {
+    console.error("Error in promptHandler:", error);
+    await ctx.reply(ctx.t("common.error"));
+  }
+}
+
+/**
+ * Handles photos - uploads them with their caption to an image-capable model
+ * @param {Object} ctx - Telegraf context
+ */
+async function photoHandler(ctx) {
+  const userId = ctx.from.id;
+
+  // Check if user has accepted policy
+  if (!(await hasAcceptedPolicy(userId))) {
+    ctx.reply(ctx.t("common.policyRequired"));
+    return;
+  }
+
+  const preferences = await getPreferences(userId);
+  const modelName = await getChatModel(ctx, preferences);
+  const model = modelName ? await findModel(modelName) : null;
+
+  if (!model || !supportsImages(model)) {
+    const imageModels = (await getModels()).filter(supportsImages);
+
+    if (imageModels.length === 0) {
+      ctx.reply(ctx.t("photo.noImageModels"), {
+        reply_to_message_id: ctx.message.message_id,
+      });
+      return;
+    }
+
+    const keyboard = Markup.inlineKeyboard(
+      imageModels.map((m) => [
+        Markup.button.callback(
+          `📷 ${m.name}`,
+          `select_model_${getModelKey(m.name)}`
+        ),
+      ])
+    );
+
+    const botMessage = await ctx.reply(
+      modelName
+        ? ctx.t("photo.modelCannotRead", { model: modelName })
+        : ctx.t("photo.noModelSelected"),
+      { reply_to_message_id: ctx.message.message_id, ...keyboard }
+    );
+    await rememberMenu(ctx, botMessage);
+    return;
+  }
+
+  try {
+    // The last size is the largest
+    const photo = ctx.message.photo[ctx.message.photo.length - 1];
+    const file = await downloadTelegramFile(
+      ctx.telegram,
+      photo.file_id,
+      config.media.maxPhotoSize,
+      ctx.t
+    );
+
+    const caption = removeBotMention(ctx, ctx.message.caption || "");
+
+    await relayPrompt(ctx, {
+      prompt: caption || ctx.t("photo.defaultPrompt"),
+      historyText: `[📷 Photo] ${caption}`.trim(),
+      attachments: [
+        { name: file.name, mimeType: "image/jpeg", buffer: file.buffer },
+      ],
+      modelName,
+      preferences,
+    });
+  } catch (error) {
+    console.error("Error in photoHandler:", error);
+    await ctx.reply(ctx.t("photo.sendFailed", { reason: error.message }));
+  }
+}
+
+/**
+ * Handles text documents - sends their content with the caption as the question
+ * @param {Object} ctx - Telegraf context
+ */
+async function documentHandler(ctx) {
+  const userId = ctx.from.id;
+  const document = ctx.message.document;
+
+  // Check if user has accepted policy
+  if (!(await hasAcceptedPolicy(userId))) {
+    ctx.reply(ctx.t("common.policyRequired"));
+    return;
+  }
+
+  const check = checkDocument(document, ctx.t);
+
+  if (!check.supported) {
+    ctx.reply(
+      ctx.t("documents.cannotRead", {
+        file: document.file_name,
+        reason: check.reason,
+      }),
+      { reply_to_message_id: ctx.message.message_id }
+    );
+    return;
+  }
+
+  const preferences = await getPreferences(userId);
+  const modelName = await getChatModel(ctx, preferences);
+  const caption = removeBotMention(ctx, ctx.message.caption || "");
+
+  try {
+    const file = await downloadTelegramFile(
+      ctx.telegram,
+      document.file_id,
+      config.media.maxDocumentSize,
+      ctx.t
+    );
+
+    let prompts;
+    try {
+      prompts = buildDocumentPrompts(
+        document.file_name,
+        decodeDocument(file.buffer, ctx.t),
+        caption || ctx.t("documents.defaultPrompt"),
+        ctx.t
+      );
+    } catch (error) {
+      ctx.reply(
+        ctx.t("documents.cannotRead", {
+          file: document.file_name,
+          reason: error.message,
+        }),
+        { reply_to_message_id: ctx.message.message_id }
+      );
+      return;
+    }
+
+    await relayPrompt(ctx, {
+      preludes: prompts.slice(0, -1),
+      prompt: prompts[prompts.length - 1],
+      historyText: `[📄 ${document.file_name}] ${caption}`.trim(),
+      modelName,
+      preferences,
+    });
+  } catch (error) {
+    console.error("Error in documentHandler:", error);
+    await ctx.reply(ctx.t("documents.sendFailed", { reason: error.message }));
+  }
+}
+
+/**
+ * Handles /new command - starts a fresh conversation
+ * @param {Object} ctx - Telegraf context
+ */
+async function newHandler(ctx) {
+  const userId = ctx.from.id;
+
+  // Check if user has accepted policy
+  if (!(await hasAcceptedPolicy(userId))) {
+    ctx.reply(ctx.t("common.policyRequired"));
+    return;
+  }
+
+  await startNewThread(getHistoryScope(ctx));
+
+  const statusMsg = await ctx.reply(ctx.t("conversation.starting"));
+
+  finishInBackground(ctx, "newHandler", async () => {
+    // Clear the conversation so the model forgets the old context
+    const result = await runAutomationJob(
+      ctx,
+      {
+        name: "new",
+        statusMessageId: statusMsg.message_id,
+        startText: ctx.t("conversation.starting"),
+      },
+      (signal) => resetConversations(getSessionKey(ctx), signal)
+    );
+
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      statusMsg.message_id,
+      undefined,
+      result.success
+        ? ctx.t("conversation.started")
+        : ctx.t("conversation.resetFailed", { reason: result.message })
+    );
+  });
+}
+
+/**
+ * Builds the message text and keyboard listing a chat's recent threads
+ * @param {number} chatId - Chat ID
+ * @param {Function} t - Translator for the user's language
+ * @returns {Promise<Object>} Object with text and keyboard
+ */
+async function buildHistoryMenu(chatId, t) {
+  const threads = await listThreads(chatId);
+
+  if (threads.length === 0) {
+    return {
+      text: t("history.empty"),
+      keyboard: Markup.inlineKeyboard([]),
+    };
+  }
+
+  const buttons = threads.map((thread) => [
+    Markup.button.callback(
+      `${thread.title} · ${thread.updatedAt.slice(0, 10)}`,
+      `history_view_${thread.id}`
+    ),
+  ]);
+
+  return {
+    text: t("history.title"),
+    keyboard: Markup.inlineKeyboard(buttons),
+  };
+}
+
+/**
+ * Handles /history command - lists recent conversations
+ * @param {Object} ctx - Telegraf context
+ */
+async function historyHandler(ctx) {
+  const userId = ctx.from.id;
+
+  // Check if user has accepted policy
+  if (!(await hasAcceptedPolicy(userId))) {
+    ctx.reply(ctx.t("common.policyRequired"));
+    return;
+  }
+
+  const menu = await buildHistoryMenu(getHistoryScope(ctx), ctx.t);
+  const botMessage = await ctx.reply(menu.text, menu.keyboard);
+  await rememberMenu(ctx, botMessage);
+}
+
+/**
+ * Handles going back to the conversation list
+ * @param {Object} ctx - Telegraf context
+ */
+async function backToHistory(ctx) {
+  const menu = await buildHistoryMenu(getHistoryScope(ctx), ctx.t);
+
+  await ctx.editMessageText(menu.text, menu.keyboard);
+  await ctx.answerCbQuery();
+}
+
+/**
+ * Handles viewing a conversation - shows a summary with reopen and export buttons
+ * @param {Object} ctx - Telegraf context
+ * @param {string} threadId - Thread ID
+ */
+async function viewThread(ctx, threadId) {
+  const thread = await getThread(getHistoryScope(ctx), threadId);
+
+  if (!thread) {
+    await ctx.answerCbQuery(ctx.t("history.notFound"));
+    return;
+  }
+
+  const lastQuestion = [...thread.messages]
+    .reverse()
+    .find((message) => message.role === "user");
+
+  let details = ctx.t("history.details", {
+    title: thread.title,
+    model: thread.model || ctx.t("history.defaultModel"),
+    started: thread.createdAt.slice(0, 16).replace("T", " "),
+    count: thread.messages.length,
+  });
+
+  if (lastQuestion) {
+    details += `\n\n${ctx.t("history.lastQuestion")}\n${lastQuestion.text.slice(
+      0,
+      300
+    )}`;
+  }
+
+  const keyboard = Markup.inlineKeyboard([
+    [
+      Markup.button.callback(
+        ctx.t("history.continue"),
+        `history_resume_${thread.id}`
+      ),
+    ],
+    [
+      Markup.button.callback("📝 Markdown", `history_export_md_${thread.id}`),
+      Markup.button.callback("🧾 JSON", `history_export_json_${thread.id}`),
+    ],
+    [Markup.button.callback(ctx.t("common.back"), "back_to_history")],
+  ]);
+
+  await ctx.editMessageText(details, keyboard);
+  await ctx.answerCbQuery();
+}
+
+/**
+ * Handles reopening a conversation so the next prompt continues it
+ * @param {Object} ctx - Telegraf context
+ * @param {string} threadId - Thread ID
+ */
+async function resumeThread(ctx, threadId) {
+  const thread = await reopenThread(getHistoryScope(ctx), threadId);
+
+  if (!thread) {
+    await ctx.answerCbQuery(ctx.t("history.notFound"));
+    return;
+  }
+
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(ctx.t("history.reopening"));
+
+  finishInBackground(ctx, "resumeThread", async () => {
+    // Start from a clean conversation, the thread is replayed with the next prompt
+    const result = await runAutomationJob(
+      ctx,
+      {
+        name: "new",
+        statusMessageId: ctx.callbackQuery.message.message_id,
+        startText: ctx.t("history.reopening"),
+      },
+      (signal) => resetConversations(getSessionKey(ctx), signal)
+    );
+
+    await ctx.editMessageText(
+      result.success
+        ? ctx.t("history.continuing", { title: thread.title })
+        : ctx.t("history.reopenFailed", { reason: result.message })
+    );
+  });
+}
+
+/**
+ * Handles exporting a conversation as a document
+ * @param {Object} ctx - Telegraf context
+ * @param {string} threadId - Thread ID
+ * @param {string} format - Either "md" or "json"
+ */
+async function exportThreadHandler(ctx, threadId, format) {
+  const thread = await getThread(getHistoryScope(ctx), threadId);
+
+  if (!thread) {
+    await ctx.answerCbQuery(ctx.t("history.notFound"));
+    return;
+  }
+
+  await ctx.answerCbQuery();
+
+  try {
+    const { filename, content } = exportThread(thread, format);
+
+    await ctx.replyWithDocument({
+      source: Buffer.from(content, "utf8"),
+      filename: filename,
+    });
+  } catch (error) {
+    console.error("Error exporting conversation:", error);
+    await ctx.reply(ctx.t("history.exportFailed"));
+  }
+}
+
+/**
+ * Handles /cancel command - aborts the user's pending or running requests in this chat
+ * @param {Object} ctx - Telegraf context
+ */
+function cancelHandler(ctx) {
+  const cancelled = cancelJobs(ctx.from.id, { chatId: ctx.chat.id });
+
+  if (cancelled > 0) {
+    ctx.reply(ctx.t("cancel.cancelled", { count: cancelled }));
+  } else {
+    ctx.reply(ctx.t("cancel.nothing"));
+  }
+}
+
+/**
+ * Handles /subscribe command - toggles notifications about new models
+ * @param {Object} ctx - Telegraf context
+ */
+async function subscribeHandler(ctx) {
+  const userId = ctx.from.id;
+
+  // Check if user has accepted policy
+  if (!(await hasAcceptedPolicy(userId))) {
+    ctx.reply(ctx.t("common.policyRequired"));
+    return;
+  }
+
+  const subscribed = !(await isSubscribed(userId));
+  await setSubscribed(userId, subscribed);
+
+  ctx.reply(subscribed ? ctx.t("subscribe.on") : ctx.t("subscribe.off"));
+}
+
+/**
+ * Notifies users about catalog changes: subscribers about new models and
+ * everyone whose selected model was removed
+ * @param {Object} telegram - Telegraf Telegram API instance
+ * @param {Object} changes - Change set with added, removed and changed models
+ */
+async function notifyCatalogChanges(telegram, changes) {
+  // Notifications are sent outside of an update, in each user's own language
+  const send = async (userId, key, params) => {
+    const locale = await getUserLocale(userId);
+    const text = translate(locale, key, {
+      ...params,
+      changeModel: translate(locale, "menu.changeModel"),
+      settings: translate(locale, "menu.settings"),
+    });
+
+    await telegram.sendMessage(userId, text).catch((error) => {
+      console.warn(`Could not notify ${userId}:`, error.message);
+    });
+  };
+
+  if (changes.added.length > 0) {
+    const names = changes.added.map((model) => `• ${model.name}`).join("\n");
+
+    for (const userId of await listSubscribers()) {
+      await send(userId, "notifications.newModels", {
+        count: changes.added.length,
+        models: names,
+      });
+    }
+  }
+
+  if (changes.removed.length > 0) {
+    const removedNames = changes.removed.map((model) => model.name);
+
+    // Groups are told as well, their chat ID is negative
+    for (const [chatId, modelName] of await listSelectedModels()) {
+      if (removedNames.includes(modelName)) {
+        await clearSelectedModel(chatId);
+        await send(chatId, "notifications.modelRemoved", { model: modelName });
+      }
+    }
+
+    // A default model from settings would keep failing the same way
+    for (const [userId, modelName] of await listDefaultModels()) {
+      if (removedNames.includes(modelName)) {
+        await setPreference(userId, "defaultModel", null);
+        await send(userId, "notifications.defaultModelRemoved", {
+          model: modelName,
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Handles /selfcheck command - reports which selector strategy finds each duck.ai element
+ * @param {Object} ctx - Telegraf context
+ */
+async function selfcheckHandler(ctx) {
+  if (!(await hasRole(ctx.from.id, ROLES.ADMIN))) {
+    ctx.reply(ctx.t("common.adminOnly"));
+    return;
+  }
+
+  const statusMsg = await ctx.reply(ctx.t("selfcheck.running"));
+
+  finishInBackground(ctx, "selfcheckHandler", async () => {
+    const result = await runAutomationJob(
+      ctx,
+      {
+        name: "selfcheck",
+        statusMessageId: statusMsg.message_id,
+        startText: ctx.t("selfcheck.running"),
+      },
+      (signal) => runSelfCheck(getSessionKey(ctx), signal)
+    );
+
+    if (!result.success) {
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        statusMsg.message_id,
+        undefined,
+        ctx.t("selfcheck.failed", { reason: result.message })
+      );
+      return;
+    }
+
+    const lines = result.report.map((entry) => {
+      if (entry.strategy) {
+        return ctx.t("selfcheck.found", entry);
+      }
+      return entry.optional
+        ? ctx.t("selfcheck.absent", entry)
+        : ctx.t("selfcheck.notFound", entry);
+    });
+
+    const missing = result.report.filter(
+      (entry) => !entry.strategy && !entry.optional
+    ).length;
+
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      statusMsg.message_id,
+      undefined,
+      `${ctx.t("selfcheck.title")}\n\n${lines.join("\n")}\n\n${
+        missing > 0
+          ? ctx.t("selfcheck.missing", { count: missing })
+          : ctx.t("selfcheck.allFound")
+      }`
+    );
+  });
 }
 
 module.exports = {
@@ -579,8 +1712,25 @@ module.exports = {
   showModelMenu,
   handleModelSelection,
   settingsHandler,
+  backToSettings,
+  showSettingChoices,
+  updateSetting,
+  closeSettings,
   closeMenu,
   acceptPolicyHandler,
   viewModelDetails,
   backToModels,
+  promptHandler,
+  photoHandler,
+  documentHandler,
+  cancelHandler,
+  newHandler,
+  historyHandler,
+  backToHistory,
+  viewThread,
+  resumeThread,
+  exportThreadHandler,
+  subscribeHandler,
+  notifyCatalogChanges,
+  selfcheckHandler,
 };
@@ -0,0 +1,279 @@
+const crypto = require("crypto");
+const { enqueueJob, cancelJobs } = require("../automation/queue");
+const config = require("../config/config");
+const {
+  hasAcceptedPolicy,
+  recordPrompt,
+  getPreferences,
+  getSelectedModel,
+} = require("../storage/users");
+const { findModel } = require("../services/modelCatalog");
+const { getModelProvider } = require("../providers");
+
+// Queue name of inline answers, each user has at most one
+const INLINE_JOB = "inline";
+
+// Telegram's limits for message texts and result descriptions
+const MAX_MESSAGE_LENGTH = 4096;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// Recent answers keyed by model and question, oldest first
+const answerCache = new Map();
+
+// Inline answers being generated, keyed by user ID
+const runningAnswers = new Map();
+
+/**
+ * Returns a cached answer unless it has expired
+ * @param {string} key - Cache key from getCacheKey
+ * @returns {Object|null} Cached answer with text and model
+ */
+function getCachedAnswer(key) {
+  const entry = answerCache.get(key);
+
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.expiresAt <= Date.now()) {
+    answerCache.delete(key);
+    return null;
+  }
+
+  return entry;
+}
+
+/**
+ * Stores an answer, dropping the oldest ones once the cache is full
+ * @param {string} key - Cache key from getCacheKey
+ * @param {Object} answer - Answer with text and model
+ */
+function cacheAnswer(key, answer) {
+  answerCache.delete(key);
+  answerCache.set(key, {
+    ...answer,
+    expiresAt: Date.now() + config.inline.cacheTtl,
+  });
+
+  while (answerCache.size > config.inline.cacheSize) {
+    answerCache.delete(answerCache.keys().next().value);
+  }
+}
+
+/**
+ * Builds the key an answer is cached under
+ * @param {string|null} modelName - Model asked, null for the default one
+ * @param {string} question - Trimmed inline query
+ * @returns {string} Cache key
+ */
+function getCacheKey(modelName, question) {
+  return `${modelName || ""}\n${question}`;
+}
+
+/**
+ * Shortens text to a maximum length, marking the cut
+ * @param {string} text - Text to shorten
+ * @param {number} length - Maximum length
+ * @returns {string} Text of at most the given length
+ */
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+/**
+ * Builds the article result that sends a message into the chat
+ * @param {string} key - Cache key, results for the same question get the same ID
+ * @param {string} title - Result title
+ * @param {string} description - Line shown below the title
+ * @param {string} text - Message sent when the result is chosen
+ * @returns {Object} Inline query result
+ */
+function buildArticle(key, title, description, text) {
+  return {
+    type: "article",
+    // Result IDs may be at most 64 bytes long
+    id: crypto.createHash("sha1").update(key).digest("hex"),
+    title: title,
+    description: truncate(description, MAX_DESCRIPTION_LENGTH),
+    input_message_content: {
+      message_text: truncate(text, MAX_MESSAGE_LENGTH),
+    },
+  };
+}
+
+/**
+ * Asks the model through the job queue in a conversation of its own, so
+ * inline answers neither see nor change the user's chat with the bot.
+ * An answer that is still being generated for the same question is reused,
+ * one for a different question is cancelled.
+ * @param {Object} ctx - Telegraf context
+ * @param {string} question - Trimmed inline query
+ * @param {string|null} modelName - Model to use, or null for the default provider's default
+ * @returns {Promise<Object>} Result object with success status and answer
+ */
+async function askModel(ctx, question, modelName) {
+  const userId = ctx.from.id;
+  const key = getCacheKey(modelName, question);
+  const running = runningAnswers.get(userId);
+
+  if (running && running.key === key) {
+    return running.promise;
+  }
+
+  if (running) {
+    cancelJobs(userId, { name: INLINE_JOB });
+  }
+
+  const provider = getModelProvider(modelName && (await findModel(modelName)));
+  const sessionKey = `inline:${userId}`;
+  const entry = { key };
+
+  entry.promise = enqueueJob({
+    ownerId: userId,
+    name: INLINE_JOB,
+    run: async (signal) => {
+      const reset = await provider.resetConversation(sessionKey, signal);
+      if (!reset.success) {
+        return reset;
+      }
+
+      return provider.sendPrompt({
+        sessionKey: sessionKey,
+        prompt: question,
+        model: modelName,
+        attachments: [],
+        signal: signal,
+      });
+    },
+  })
+    .then(async (result) => {
+      if (result.success) {
+        // Answers are cached even if Telegram stopped waiting for them
+        cacheAnswer(key, {
+          text: result.answer,
+          model: result.model || modelName || provider.name,
+        });
+        await recordPrompt(userId);
+      }
+      return result;
+    })
+    .catch((error) => ({
+      success: false,
+      cancelled: error.code === "CANCELLED",
+      message:
+        error.code === "TIMEOUT" ? ctx.t("queue.timedOut") : error.message,
+    }))
+    .finally(() => {
+      if (runningAnswers.get(userId) === entry) {
+        runningAnswers.delete(userId);
+      }
+    });
+
+  runningAnswers.set(userId, entry);
+  return entry.promise;
+}
+
+/**
+ * Handles inline queries - answers "@bot question" in any chat with the
+ * user's selected model
+ * @param {Object} ctx - Telegraf context
+ */
+async function inlineQueryHandler(ctx) {
+  const userId = ctx.from.id;
+  const question = ctx.inlineQuery.query.trim();
+
+  // Personal answers must not be shown to other users asking the same
+  const extra = { cache_time: 0, is_personal: true };
+
+  try {
+    if (!(await hasAcceptedPolicy(userId))) {
+      await ctx.answerInlineQuery([], {
+        ...extra,
+        button: { text: ctx.t("inline.startFirst"), start_parameter: "inline" },
+      });
+      return;
+    }
+
+    // Telegram sends an empty query as soon as the bot's name is typed
+    if (!question) {
+      return;
+    }
+
+    // Inline queries have no chat, so the model selected in private chat is used
+    const preferences = await getPreferences(userId);
+    const modelName =
+      (await getSelectedModel(userId)) || preferences.defaultModel;
+    const key = getCacheKey(modelName, question);
+
+    let answer = getCachedAnswer(key);
+
+    if (!answer) {
+      let timer;
+      const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(null), config.inline.answerTimeout);
+      });
+
+      const result = await Promise.race([
+        askModel(ctx, question, modelName),
+        timeout,
+      ]);
+      clearTimeout(timer);
+
+      if (!result) {
+        // The answer lands in the cache, the next identical query shows it
+        await ctx.answerInlineQuery(
+          [
+            buildArticle(
+              key,
+              ctx.t("inline.thinkingTitle"),
+              ctx.t("inline.thinkingDescription"),
+              ctx.t("inline.question", { question })
+            ),
+          ],
+          extra
+        );
+        return;
+      }
+
+      if (result.cancelled) {
+        // A newer query replaced this one, it is answered instead
+        return;
+      }
+
+      if (!result.success) {
+        await ctx.answerInlineQuery(
+          [
+            buildArticle(
+              key,
+              ctx.t("inline.failedTitle"),
+              result.message,
+              ctx.t("inline.question", { question })
+            ),
+          ],
+          extra
+        );
+        return;
+      }
+
+      answer = getCachedAnswer(key);
+    }
+
+    await ctx.answerInlineQuery(
+      [
+        buildArticle(
+          key,
+          ctx.t("inline.answerTitle", { model: answer.model }),
+          answer.text,
+          ctx.t("inline.message", { question, answer: answer.text })
+        ),
+      ],
+      extra
+    );
+  } catch (error) {
+    console.error("Error in inlineQueryHandler:", error);
+  }
+}
+
+module.exports = {
+  inlineQueryHandler,
+};
@@ -1,11 +1,7 @@
 require("dotenv").config();
+const { loadConfig } = require("./loader");
 
-module.exports = {
-  telegram: {
-    botToken: process.env.BOT_TOKEN,
-  },
-  playwright: {
-    headless: process.env.HEADLESS === "true",
-    browserType: process.env.BROWSER_TYPE || "chromium",
-  },
-};
+// Settings, defaults and environment variables are listed in schema.js.
+// Invalid values fall back to their defaults here, index.js refuses to
+// start while loadConfig reports problems.
+module.exports = loadConfig(process.env).config;
@@ -0,0 +1,332 @@
+/**
+ * Builds the config object from the schema: defaults, overlaid by an
+ * optional JSON config file, overlaid by environment variables. Every
+ * problem is collected instead of stopping at the first one.
+ */
+const fs = require("fs");
+const path = require("path");
+const SCHEMA = require("./schema");
+
+// Read when CONFIG_FILE is not set and the file exists
+const DEFAULT_CONFIG_FILE = path.join(__dirname, "config.json");
+
+// Multipliers from a setting's unit to milliseconds or bytes
+const UNIT_FACTORS = {
+  seconds: 1000,
+  minutes: 60 * 1000,
+  kilobytes: 1024,
+  megabytes: 1024 * 1024,
+};
+
+const TRUE_VALUES = ["true", "1", "yes", "on"];
+const FALSE_VALUES = ["false", "0", "no", "off"];
+
+/**
+ * Checks whether a schema entry is a setting rather than a section
+ * @param {Object} node - Schema entry
+ * @returns {boolean} True for settings
+ */
+function isSetting(node) {
+  return typeof node.type === "string";
+}
+
+/**
+ * Parses an environment variable into the setting's type
+ * @param {Object} setting - Setting from the schema
+ * @param {string} raw - Variable value
+ * @returns {Object} Object with either value or error
+ */
+function parseEnvValue(setting, raw) {
+  switch (setting.type) {
+    case "integer":
+      return /^-?\d+$/.test(raw.trim())
+        ? { value: parseInt(raw, 10) }
+        : { error: `must be a whole number, got "${raw}"` };
+    case "boolean": {
+      const normalized = raw.trim().toLowerCase();
+      if (TRUE_VALUES.includes(normalized)) return { value: true };
+      if (FALSE_VALUES.includes(normalized)) return { value: false };
+      return { error: `must be true or false, got "${raw}"` };
+    }
+    case "list": {
+      const items = raw
+        .split(setting.separator || ",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+      if (setting.items !== "integer") {
+        return { value: items };
+      }
+
+      const invalid = items.filter((item) => !/^-?\d+$/.test(item));
+      return invalid.length > 0
+        ? {
+            error: `must only hold whole numbers, got "${invalid.join('", "')}"`,
+          }
+        : { value: items.map((item) => parseInt(item, 10)) };
+    }
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Checks that a config file value has the setting's type
+ * @param {Object} setting - Setting from the schema
+ * @param {*} value - Value from the file
+ * @returns {Object} Object with either value or error
+ */
+function parseFileValue(setting, value) {
+  switch (setting.type) {
+    case "integer":
+      return Number.isInteger(value)
+        ? { value }
+        : { error: `must be a whole number, got ${JSON.stringify(value)}` };
+    case "boolean":
+      return typeof value === "boolean"
+        ? { value }
+        : { error: `must be true or false, got ${JSON.stringify(value)}` };
+    case "list": {
+      const itemType = setting.items === "integer" ? "number" : "string";
+      const valid =
+        Array.isArray(value) &&
+        value.every(
+          (item) =>
+            typeof item === itemType &&
+            (itemType === "string" || Number.isInteger(item))
+        );
+      return valid
+        ? { value }
+        : {
+            error: `must be a list of ${
+              itemType === "number" ? "whole numbers" : "strings"
+            }, got ${JSON.stringify(value)}`,
+          };
+    }
+    default:
+      return typeof value === "string"
+        ? { value }
+        : { error: `must be a string, got ${JSON.stringify(value)}` };
+  }
+}
+
+/**
+ * Checks a parsed value against the setting's bounds, allowed values and format
+ * @param {Object} setting - Setting from the schema
+ * @param {*} value - Parsed value
+ * @returns {string|null} Problem, or null if the value is fine
+ */
+function checkValue(setting, value) {
+  if (setting.min !== undefined && value < setting.min) {
+    return `must be at least ${setting.min}, got ${value}`;
+  }
+  if (setting.max !== undefined && value > setting.max) {
+    return `must be at most ${setting.max}, got ${value}`;
+  }
+
+  if (setting.values) {
+    const invalid = (Array.isArray(value) ? value : [value]).filter(
+      (item) => !setting.values.includes(item)
+    );
+    if (invalid.length > 0) {
+      return `must be one of ${setting.values.join(", ")}, got "${invalid.join(
+        '", "'
+      )}"`;
+    }
+  }
+
+  if (setting.format === "url" && value) {
+    try {
+      new URL(value);
+    } catch (error) {
+      return `must be an absolute URL, got "${value}"`;
+    }
+  }
+
+  if (setting.pattern && value && !setting.pattern.test(value)) {
+    return `must be ${setting.hint}`;
+  }
+
+  if (setting.required && (value === "" || value === undefined)) {
+    return "is required";
+  }
+
+  return null;
+}
+
+/**
+ * Converts a checked value into what the rest of the code expects
+ * @param {Object} setting - Setting from the schema
+ * @param {*} value - Checked value
+ * @returns {*} Value in milliseconds or bytes for settings with a unit
+ */
+function convertValue(setting, value) {
+  if (setting.unit) {
+    return value * UNIT_FACTORS[setting.unit];
+  }
+  if (setting.lowercase) {
+    return value.map((item) => item.toLowerCase());
+  }
+  return value;
+}
+
+/**
+ * Reads the JSON config file
+ * @param {string} file - Path to the file
+ * @param {boolean} optional - Whether a missing file is fine
+ * @param {string[]} problems - Collected problems
+ * @returns {Object} File contents, empty if it could not be read
+ */
+function readConfigFile(file, optional, problems) {
+  if (optional && !fs.existsSync(file)) {
+    return {};
+  }
+
+  try {
+    const contents = JSON.parse(fs.readFileSync(file, "utf8"));
+
+    if (!contents || typeof contents !== "object" || Array.isArray(contents)) {
+      problems.push(`Config file ${file} must hold a JSON object`);
+      return {};
+    }
+
+    return contents;
+  } catch (error) {
+    problems.push(`Could not read config file ${file}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Builds one section of the config object
+ * @param {Object} schema - Schema of the section
+ * @param {Object} fileSection - Same section of the config file
+ * @param {Object} env - Environment variables
+ * @param {string} prefix - Dotted path of the section, empty at the top
+ * @param {string[]} problems - Collected problems
+ * @returns {Object} Config section
+ */
+function buildSection(schema, fileSection, env, prefix, problems) {
+  const section = {};
+
+  for (const key of Object.keys(fileSection)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      problems.push(`${prefix}${key}: unknown setting in the config file`);
+    }
+  }
+
+  for (const [key, node] of Object.entries(schema)) {
+    const name = `${prefix}${key}`;
+
+    if (!isSetting(node)) {
+      const nested = fileSection[key];
+      const isObject =
+        nested && typeof nested === "object" && !Array.isArray(nested);
+
+      if (nested !== undefined && !isObject) {
+        problems.push(`${name}: must be a section in the config file`);
+      }
+
+      section[key] = buildSection(
+        node,
+        isObject ? nested : {},
+        env,
+        `${name}.`,
+        problems
+      );
+      continue;
+    }
+
+    let value = node.default;
+    let source = "default";
+
+    if (fileSection[key] !== undefined) {
+      const parsed = parseFileValue(node, fileSection[key]);
+      if (parsed.error) {
+        problems.push(`${name} (config file): ${parsed.error}`);
+      } else {
+        value = parsed.value;
+        source = "config file";
+      }
+    }
+
+    // Only strings can be set to empty, e.g. BROWSER_CHANNEL= for the bundled browser
+    const raw = node.env ? env[node.env] : undefined;
+    if (raw !== undefined && (raw.trim() !== "" || node.type === "string")) {
+      const parsed = parseEnvValue(node, raw);
+      if (parsed.error) {
+        problems.push(`${name} (${node.env}): ${parsed.error}`);
+      } else {
+        value = parsed.value;
+        source = node.env;
+      }
+    }
+
+    const problem = checkValue(node, value);
+    if (problem) {
+      const where =
+        source === "default" && node.env ? `set ${node.env}` : source;
+      problems.push(`${name} (${where}): ${problem}`);
+      value = node.default;
+    }
+
+    section[key] = convertValue(node, value);
+  }
+
+  return section;
+}
+
+/**
+ * Checks rules that involve more than one setting
+ * @param {Object} config - Built config object
+ * @param {string[]} problems - Collected problems
+ */
+function checkCombinations(config, problems) {
+  const { proxy, channel, browserType } = config.playwright;
+
+  if (config.telegram.mode === "webhook") {
+    if (!config.telegram.webhookUrl) {
+      problems.push(
+        "telegram.webhookUrl: WEBHOOK_URL is required in webhook mode"
+      );
+    }
+    if (config.server.port === 0) {
+      problems.push("server.port: PORT is required in webhook mode");
+    }
+  }
+
+  if (channel && browserType !== "chromium") {
+    problems.push(
+      `playwright.channel: channels only exist for chromium, clear BROWSER_CHANNEL to use the bundled ${browserType}`
+    );
+  }
+
+  if ((proxy.username || proxy.password || proxy.bypass) && !proxy.server) {
+    problems.push(
+      "playwright.proxy: username, password and bypass need a server (PROXY_SERVER)"
+    );
+  }
+}
+
+/**
+ * Builds the config object and lists everything wrong with it
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Object with config and problems (empty when valid)
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+  const fileContents = readConfigFile(
+    env.CONFIG_FILE || DEFAULT_CONFIG_FILE,
+    !env.CONFIG_FILE,
+    problems
+  );
+
+  const config = buildSection(SCHEMA, fileContents, env, "", problems);
+  checkCombinations(config, problems);
+
+  return { config, problems };
+}
+
+module.exports = {
+  loadConfig,
+};
@@ -0,0 +1,523 @@
+const path = require("path");
+
+/**
+ * Every setting the bot reads. Sections mirror the config object, anything
+ * with a "type" is a setting:
+ *
+ *   type      - "string", "integer", "boolean" or "list"
+ *   env       - Environment variable, overrides the config file
+ *   default   - Used when neither the file nor the environment sets it
+ *   unit      - "seconds", "minutes", "kilobytes" or "megabytes". The file and
+ *               the environment use this unit, the config object holds
+ *               milliseconds or bytes
+ *   min, max  - Bounds of integers
+ *   values    - Allowed strings or list items
+ *   items     - "integer" for lists of numbers
+ *   separator - Separator of list items in the environment, "," by default
+ *   lowercase - Lowercase list items
+ *   format    - "url" for strings that must be an absolute URL when not empty
+ *   pattern   - Regular expression non-empty strings must match, described
+ *               by "hint" so problems do not print secrets
+ *   required  - Must be set
+ */
+module.exports = {
+  telegram: {
+    botToken: { type: "string", env: "BOT_TOKEN", default: "", required: true },
+    // Bot API server, overridable to run against a local fake in tests
+    apiRoot: {
+      type: "string",
+      env: "TELEGRAM_API_ROOT",
+      default: "https://api.telegram.org",
+      format: "url",
+    },
+    // Telegram user IDs allowed to run admin commands
+    adminIds: { type: "list", items: "integer", env: "ADMIN_IDS", default: [] },
+    // "polling" asks Telegram for updates, "webhook" has Telegram post them to the HTTP server
+    mode: {
+      type: "string",
+      env: "BOT_MODE",
+      default: "polling",
+      values: ["polling", "webhook"],
+    },
+    // Public HTTPS address of the HTTP server, e.g. https://bot.example.com
+    webhookUrl: {
+      type: "string",
+      env: "WEBHOOK_URL",
+      default: "",
+      format: "url",
+    },
+    // Secret in the webhook path and header, a random one is used on every start when empty
+    webhookSecret: {
+      type: "string",
+      env: "WEBHOOK_SECRET",
+      default: "",
+      pattern: /^[A-Za-z0-9_-]{1,256}$/,
+      hint: "up to 256 letters, digits, _ and -",
+    },
+    // How long shutdown waits for updates that are still being handled
+    drainTimeout: {
+      type: "integer",
+      env: "DRAIN_TIMEOUT_SECONDS",
+      default: 30,
+      unit: "seconds",
+      min: 0,
+    },
+    // Delay between messages sent by /broadcast (ms), Telegram allows about 30 per second
+    broadcastInterval: {
+      type: "integer",
+      env: "BROADCAST_INTERVAL_MS",
+      default: 50,
+      min: 0,
+    },
+  },
+  server: {
+    // Port of the HTTP server with the webhook and /healthz and /readyz, 0 disables it in polling mode
+    port: { type: "integer", env: "PORT", default: 0, min: 0, max: 65535 },
+    host: { type: "string", env: "HOST", default: "0.0.0.0" },
+  },
+  playwright: {
+    headless: { type: "boolean", env: "HEADLESS", default: false },
+    browserType: {
+      type: "string",
+      env: "BROWSER_TYPE",
+      default: "chromium",
+      values: ["chromium", "firefox", "webkit"],
+    },
+    // Installed browser to launch instead of Playwright's bundled one, e.g.
+    // "chrome" or "msedge". Chromium only, empty uses the bundled browser.
+    channel: { type: "string", env: "BROWSER_CHANNEL", default: "" },
+    // Command line switches added to the engine's own, separated by spaces
+    launchArgs: {
+      type: "list",
+      env: "BROWSER_ARGS",
+      separator: " ",
+      default: [],
+    },
+    // Every context looks like the same desktop browser
+    viewport: {
+      width: { type: "integer", env: "VIEWPORT_WIDTH", default: 1920, min: 1 },
+      height: {
+        type: "integer",
+        env: "VIEWPORT_HEIGHT",
+        default: 1080,
+        min: 1,
+      },
+    },
+    // Empty uses a desktop user agent matching the engine
+    userAgent: { type: "string", env: "USER_AGENT", default: "" },
+    locale: { type: "string", env: "BROWSER_LOCALE", default: "en-US" },
+    timezoneId: {
+      type: "string",
+      env: "BROWSER_TIMEZONE",
+      default: "America/New_York",
+    },
+    acceptLanguage: {
+      type: "string",
+      env: "ACCEPT_LANGUAGE",
+      default: "en-US,en;q=0.9",
+    },
+    // Route browser traffic through a proxy, e.g. http://proxy:3128 or socks5://proxy:1080
+    proxy: {
+      server: { type: "string", env: "PROXY_SERVER", default: "" },
+      username: { type: "string", env: "PROXY_USERNAME", default: "" },
+      password: { type: "string", env: "PROXY_PASSWORD", default: "" },
+      // Comma separated hosts that skip the proxy, e.g. ".example.com,localhost"
+      bypass: { type: "string", env: "PROXY_BYPASS", default: "" },
+    },
+    // Maximum number of isolated browser contexts (one per chat)
+    maxContexts: {
+      type: "integer",
+      env: "MAX_BROWSER_CONTEXTS",
+      default: 5,
+      min: 1,
+    },
+    // Close contexts that have not been used for this long
+    contextIdleTimeout: {
+      type: "integer",
+      env: "CONTEXT_IDLE_MINUTES",
+      default: 15,
+      unit: "minutes",
+      min: 1,
+    },
+    // How often the watchdog checks that the browser and idle pages respond, 0 disables
+    watchdogInterval: {
+      type: "integer",
+      env: "WATCHDOG_INTERVAL_SECONDS",
+      default: 30,
+      unit: "seconds",
+      min: 0,
+    },
+    // Keep cookies and local storage of each context across restarts
+    persistSessions: {
+      type: "boolean",
+      env: "PERSIST_SESSIONS",
+      default: true,
+    },
+    // How often open contexts are saved, 0 only saves them when they close
+    stateSaveInterval: {
+      type: "integer",
+      env: "SESSION_SAVE_MINUTES",
+      default: 5,
+      unit: "minutes",
+      min: 0,
+    },
+  },
+  duckai: {
+    // Site the automation drives, overridable to point at local fixtures
+    baseUrl: {
+      type: "string",
+      env: "DUCKAI_URL",
+      default: "https://duck.ai",
+      format: "url",
+      required: true,
+    },
+    // Time limit for loading duck.ai
+    navigationTimeout: {
+      type: "integer",
+      env: "NAVIGATION_TIMEOUT_SECONDS",
+      default: 30,
+      unit: "seconds",
+      min: 1,
+    },
+    // Time limit for finding and clicking elements on the page
+    actionTimeout: {
+      type: "integer",
+      env: "ACTION_TIMEOUT_SECONDS",
+      default: 10,
+      unit: "seconds",
+      min: 1,
+    },
+    // Pause for duck.ai's dynamic content to render, e.g. after loading the page
+    settleDelay: {
+      type: "integer",
+      env: "PAGE_SETTLE_MS",
+      default: 2000,
+      min: 0,
+    },
+    // Pause after attaching files so duck.ai can process the upload
+    uploadDelay: {
+      type: "integer",
+      env: "UPLOAD_SETTLE_MS",
+      default: 1000,
+      min: 0,
+    },
+    // How long to wait for an answer to start, then to finish
+    answerStartTimeout: {
+      type: "integer",
+      env: "ANSWER_START_TIMEOUT_SECONDS",
+      default: 30,
+      unit: "seconds",
+      min: 1,
+    },
+    answerTimeout: {
+      type: "integer",
+      env: "ANSWER_TIMEOUT_SECONDS",
+      default: 120,
+      unit: "seconds",
+      min: 1,
+    },
+  },
+  providers: {
+    duckai: {
+      // Set to false to only use the HTTP provider
+      enabled: { type: "boolean", env: "DUCKAI_ENABLED", default: true },
+    },
+    openai: {
+      // Any OpenAI-compatible API, e.g. http://localhost:11434/v1 for Ollama, empty disables it
+      baseUrl: {
+        type: "string",
+        env: "OPENAI_BASE_URL",
+        default: "",
+        format: "url",
+      },
+      apiKey: { type: "string", env: "OPENAI_API_KEY", default: "" },
+      // Name shown above the provider's models in the model menu
+      name: {
+        type: "string",
+        env: "OPENAI_PROVIDER_NAME",
+        default: "OpenAI-compatible",
+      },
+      // Model IDs, empty to list whatever the API reports
+      models: { type: "list", env: "OPENAI_MODELS", default: [] },
+      // Models that accept images, the API does not report this
+      imageModels: { type: "list", env: "OPENAI_IMAGE_MODELS", default: [] },
+    },
+  },
+  challenge: {
+    // How long jobs wait for an admin to solve a CAPTCHA before failing
+    timeout: {
+      type: "integer",
+      env: "CHALLENGE_TIMEOUT_MINUTES",
+      default: 10,
+      unit: "minutes",
+      min: 1,
+    },
+  },
+  queue: {
+    // Number of automation jobs that may drive the browser at the same time
+    concurrency: {
+      type: "integer",
+      env: "QUEUE_CONCURRENCY",
+      default: 2,
+      min: 1,
+    },
+    // Default time limit for a single job
+    jobTimeout: {
+      type: "integer",
+      env: "JOB_TIMEOUT_SECONDS",
+      default: 180,
+      unit: "seconds",
+      min: 1,
+    },
+  },
+  catalog: {
+    // How long the shared model list is considered fresh
+    ttl: {
+      type: "integer",
+      env: "CATALOG_TTL_MINUTES",
+      default: 60,
+      unit: "minutes",
+      min: 1,
+    },
+    // How often the model list is refreshed in the background, 0 disables
+    refreshInterval: {
+      type: "integer",
+      env: "CATALOG_REFRESH_MINUTES",
+      default: 30,
+      unit: "minutes",
+      min: 0,
+    },
+  },
+  inline: {
+    // How long the user must stop typing before an inline query is answered
+    debounce: {
+      type: "integer",
+      env: "INLINE_DEBOUNCE_MS",
+      default: 800,
+      min: 0,
+    },
+    // How long Telegram is kept waiting before a "still thinking" result is shown
+    answerTimeout: {
+      type: "integer",
+      env: "INLINE_ANSWER_SECONDS",
+      default: 8,
+      unit: "seconds",
+      min: 1,
+    },
+    // How long answers are reused for the same question and model
+    cacheTtl: {
+      type: "integer",
+      env: "INLINE_CACHE_MINUTES",
+      default: 30,
+      unit: "minutes",
+      min: 1,
+    },
+    // Most answers kept in the cache, the oldest are dropped first
+    cacheSize: {
+      type: "integer",
+      env: "INLINE_CACHE_SIZE",
+      default: 200,
+      min: 1,
+    },
+  },
+  media: {
+    // Message types that are deleted with a warning instead of being handled
+    blockedTypes: {
+      type: "list",
+      env: "BLOCKED_MEDIA_TYPES",
+      default: [
+        "voice",
+        "video_note",
+        "sticker",
+        "animation",
+        "video",
+        "audio",
+      ],
+    },
+    // Largest photo that is downloaded and uploaded to duck.ai
+    maxPhotoSize: {
+      type: "integer",
+      env: "MAX_PHOTO_MB",
+      default: 10,
+      unit: "megabytes",
+      min: 1,
+    },
+    // Text documents accepted as prompt context
+    documentExtensions: {
+      type: "list",
+      env: "DOCUMENT_EXTENSIONS",
+      lowercase: true,
+      default: [
+        "txt",
+        "md",
+        "json",
+        "csv",
+        "log",
+        "xml",
+        "yml",
+        "yaml",
+        "toml",
+        "ini",
+        "js",
+        "ts",
+        "jsx",
+        "tsx",
+        "py",
+        "java",
+        "c",
+        "cpp",
+        "h",
+        "cs",
+        "go",
+        "rs",
+        "rb",
+        "php",
+        "html",
+        "css",
+        "sh",
+        "sql",
+      ],
+    },
+    // Largest document that is read
+    maxDocumentSize: {
+      type: "integer",
+      env: "MAX_DOCUMENT_KB",
+      default: 64,
+      unit: "kilobytes",
+      min: 1,
+    },
+    // Documents longer than this many characters are sent in several prompts
+    documentChunkSize: {
+      type: "integer",
+      env: "DOCUMENT_CHUNK_CHARS",
+      default: 12000,
+      min: 100,
+    },
+    maxDocumentChunks: {
+      type: "integer",
+      env: "MAX_DOCUMENT_CHUNKS",
+      default: 6,
+      min: 1,
+    },
+  },
+  rateLimit: {
+    // Token buckets: up to "capacity" requests at once, one more every "refillSeconds"
+    default: {
+      capacity: {
+        type: "integer",
+        env: "RATE_LIMIT_BURST",
+        default: 20,
+        min: 1,
+      },
+      refillSeconds: {
+        type: "integer",
+        env: "RATE_LIMIT_REFILL_SECONDS",
+        default: 3,
+        min: 1,
+      },
+    },
+    // Stricter buckets for requests that drive the browser
+    commands: {
+      open: {
+        capacity: {
+          type: "integer",
+          env: "OPEN_RATE_BURST",
+          default: 2,
+          min: 1,
+        },
+        refillSeconds: {
+          type: "integer",
+          env: "OPEN_RATE_REFILL_SECONDS",
+          default: 60,
+          min: 1,
+        },
+      },
+      models: {
+        capacity: {
+          type: "integer",
+          env: "MODELS_RATE_BURST",
+          default: 3,
+          min: 1,
+        },
+        refillSeconds: {
+          type: "integer",
+          env: "MODELS_RATE_REFILL_SECONDS",
+          default: 30,
+          min: 1,
+        },
+      },
+      prompt: {
+        capacity: {
+          type: "integer",
+          env: "PROMPT_RATE_BURST",
+          default: 5,
+          min: 1,
+        },
+        refillSeconds: {
+          type: "integer",
+          env: "PROMPT_RATE_REFILL_SECONDS",
+          default: 12,
+          min: 1,
+        },
+      },
+    },
+    // Prompts per user per day (UTC), 0 disables the quota
+    dailyPromptQuota: {
+      type: "integer",
+      env: "DAILY_PROMPT_QUOTA",
+      default: 100,
+      min: 0,
+    },
+    // Roles that are never limited
+    exemptRoles: {
+      type: "list",
+      env: "RATE_LIMIT_EXEMPT_ROLES",
+      default: ["admin", "moderator"],
+      values: ["user", "moderator", "admin"],
+    },
+    // How often changed counters are written to storage
+    flushInterval: {
+      type: "integer",
+      env: "RATE_LIMIT_FLUSH_SECONDS",
+      default: 10,
+      unit: "seconds",
+      min: 1,
+    },
+  },
+  diagnostics: {
+    // Keep a trace, logs, screenshot and HTML of every failed automation run
+    enabled: { type: "boolean", env: "DIAGNOSTICS_ENABLED", default: true },
+    // Traces are the largest part of a bundle and slow runs down a little
+    trace: { type: "boolean", env: "DIAGNOSTICS_TRACE", default: true },
+    dir: {
+      type: "string",
+      env: "DIAGNOSTICS_DIR",
+      default: path.join(__dirname, "../data/diagnostics"),
+    },
+    // Older bundles are deleted beyond this number
+    maxBundles: {
+      type: "integer",
+      env: "DIAGNOSTICS_MAX_BUNDLES",
+      default: 20,
+      min: 1,
+    },
+  },
+  storage: {
+    driver: {
+      type: "string",
+      env: "STORAGE_DRIVER",
+      default: "json",
+      values: ["json", "sqlite"],
+    },
+    jsonPath: {
+      type: "string",
+      env: "STORAGE_JSON_PATH",
+      default: path.join(__dirname, "../data/store.json"),
+    },
+    sqlitePath: {
+      type: "string",
+      env: "STORAGE_SQLITE_PATH",
+      default: path.join(__dirname, "../data/bot.db"),
+    },
+  },
+};
@@ -1,83 +1,122 @@
-const { Telegraf } = require("telegraf");
 const config = require("./config/config");
+const { loadConfig } = require("./config/loader");
+const { createBot } = require("./bot");
 const {
   initializeBotData,
-  startHandler,
-  helpHandler,
-  openHandler,
-  showModelMenu,
-  handleModelSelection,
-  settingsHandler,
-  closeMenu,
-  acceptPolicyHandler,
-  viewModelDetails,
-  backToModels,
+  notifyCatalogChanges,
 } = require("./commands/handlers");
+const {
+  onCatalogChange,
+  startCatalogRefresh,
+  stopCatalogRefresh,
+} = require("./services/modelCatalog");
+const { closeBrowser } = require("./automation/tasks");
+const { waitForIdle, getQueueStats } = require("./automation/queue");
+const { closeStorage } = require("./storage");
+const {
+  startWebServer,
+  stopWebServer,
+  markBotStarted,
+  startDraining,
+} = require("./services/webServer");
+const { getUpdatesInFlight, waitForUpdates } = require("./middleware/inFlight");
+const { flushRateLimits } = require("./middleware/rateLimit");
 
-// Validate bot token
-if (!config.telegram.botToken) {
-  console.error("Error: BOT_TOKEN is not defined in .env file");
+// Report every configuration problem at once instead of failing later
+const { problems } = loadConfig(process.env);
+if (problems.length > 0) {
+  console.error(
+    `Invalid configuration:\n${problems
+      .map((problem) => `  - ${problem}`)
+      .join("\n")}`
+  );
   process.exit(1);
 }
 
 // Initialize bot
-const bot = new Telegraf(config.telegram.botToken);
+const bot = createBot();
+
+// Launch bot with initialization
+(async () => {
+  try {
+    await initializeBotData();
 
-// Register command handlers
-bot.start(startHandler);
-bot.help(helpHandler);
-bot.command("open", openHandler);
+    // Keep the shared model list fresh and tell users what changed
+    onCatalogChange((changes) => notifyCatalogChanges(bot.telegram, changes));
+    startCatalogRefresh();
 
-// Register policy acceptance handler
-bot.action("accept_policy", acceptPolicyHandler);
+    const onStarted = () => {
+      markBotStarted();
+      console.log(`Bot started successfully (${config.telegram.mode})!`);
+      console.log("Waiting for commands...");
+    };
 
-// Register reply keyboard button handlers
-bot.hears("Change Model", (ctx) => {
-  showModelMenu(ctx);
-});
+    // Webhook mode needs the server, polling only serves the health endpoints
+    if (config.telegram.mode === "webhook") {
+      await startWebServer(bot);
+      onStarted();
+    } else {
+      if (config.server.port > 0) {
+        await startWebServer(bot);
+      }
 
-bot.hears("Settings", (ctx) => {
-  settingsHandler(ctx);
-});
+      // Resolves only once polling stops
+      await bot.launch(onStarted);
+    }
+  } catch (err) {
+    console.error("Failed to start bot:", err);
+    process.exit(1);
+  }
+})();
 
-// Register callback handlers for model viewing
-bot.action(/^view_model_(.+)$/, (ctx) => {
-  const modelName = ctx.match[1];
-  viewModelDetails(ctx, modelName);
-});
+/**
+ * Lets updates and queued jobs finish, stops taking new ones, saves every
+ * browser session and closes the browser
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down...`);
 
-// Register back to models handler
-bot.action("back_to_models", backToModels);
+  const deadline = Date.now() + config.telegram.drainTimeout;
 
-// Register model selection handler
-bot.action(/^select_model_(.+)$/, (ctx) => {
-  const modelName = ctx.match[1];
-  handleModelSelection(ctx, modelName);
-});
+  // Stop fetching updates in polling mode, the drain only covers those taken
+  try {
+    bot.stop(signal);
+  } catch (error) {
+    // The bot was still starting, or runs on the webhook server
+  }
 
-// Register close menu handler
-bot.action("close_menu", closeMenu);
+  // New webhook updates are refused and /readyz fails while waiting.
+  // Updates count until their reply is sent, including queued prompts.
+  startDraining();
+  if (!(await waitForUpdates(config.telegram.drainTimeout))) {
+    console.warn(
+      `Stopping with ${getUpdatesInFlight()} updates still being handled`
+    );
+  }
 
-// Global error handling
-bot.catch((err, ctx) => {
-  console.error(`Error for ${ctx.updateType}`, err);
-  ctx.reply("An error occurred while processing your request");
-});
+  // Jobs nobody waits on, e.g. scheduled catalog refreshes
+  if (!(await waitForIdle(Math.max(deadline - Date.now(), 0)))) {
+    const { pending, running } = getQueueStats();
+    console.warn(`Stopping with ${pending + running} jobs still queued`);
+  }
 
-// Launch bot with initialization
-(async () => {
   try {
-    await initializeBotData();
-    await bot.launch();
+    await stopWebServer();
+    stopCatalogRefresh();
 
-    console.log("Bot started successfully!");
-    console.log("Waiting for commands...");
-  } catch (err) {
-    console.error("Failed to start bot:", err);
+    // Closing each context saves its cookies and local storage first
+    await closeBrowser();
+    await flushRateLimits();
+    await closeStorage();
+  } catch (error) {
+    console.error("Error during shutdown:", error);
     process.exit(1);
   }
-})();
+
+  process.exit(0);
+}
 
 // Graceful shutdown
-process.once("SIGINT", () => bot.stop("SIGINT"));
-process.once("SIGTERM", () => bot.stop("SIGTERM"));
+process.once("SIGINT", () => shutdown("SIGINT"));
+process.once("SIGTERM", () => shutdown("SIGTERM"));
@@ -0,0 +1,32 @@
+const { getBan } = require("../storage/users");
+const { ROLES, hasRole } = require("../services/roles");
+
+/**
+ * Middleware that stops banned users before any handler runs.
+ * Admins can never lock themselves out.
+ * @param {Object} ctx - Telegraf context
+ * @param {Function} next - Next middleware
+ */
+async function blockBannedUsers(ctx, next) {
+  if (!ctx.from) {
+    return next();
+  }
+
+  const ban = await getBan(ctx.from.id);
+
+  if (!ban || (await hasRole(ctx.from.id, ROLES.ADMIN))) {
+    return next();
+  }
+
+  const notice = ban.reason
+    ? ctx.t("access.bannedReason", { reason: ban.reason })
+    : ctx.t("access.banned");
+
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery(notice, { show_alert: true }).catch(() => {});
+  } else if (ctx.chat && ctx.chat.type === "private") {
+    await ctx.reply(notice).catch(() => {});
+  }
+}
+
+module.exports = blockBannedUsers;
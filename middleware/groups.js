@@ -0,0 +1,138 @@
+const { getMenu } = require("../storage/users");
+
+// Chat member statuses allowed to change a group's settings
+const GROUP_ADMIN_STATUSES = ["creator", "administrator"];
+
+/**
+ * Checks whether an update comes from a group or supergroup
+ * @param {Object} ctx - Telegraf context
+ * @returns {boolean} True in groups
+ */
+function isGroupChat(ctx) {
+  return (
+    !!ctx.chat && (ctx.chat.type === "group" || ctx.chat.type === "supergroup")
+  );
+}
+
+/**
+ * Checks whether a group message is meant for the bot: a command, a mention
+ * of the bot or a reply to one of its messages
+ * @param {Object} ctx - Telegraf context
+ * @param {Object} message - Telegram message
+ * @returns {boolean} True if the bot should handle the message
+ */
+function isAddressedToBot(ctx, message) {
+  const text = message.text || message.caption || "";
+  const entities = message.entities || message.caption_entities || [];
+  const username = `@${ctx.botInfo.username}`.toLowerCase();
+
+  if (message.reply_to_message && message.reply_to_message.from) {
+    if (message.reply_to_message.from.id === ctx.botInfo.id) {
+      return true;
+    }
+  }
+
+  return entities.some((entity) => {
+    const value = text.slice(entity.offset, entity.offset + entity.length);
+
+    switch (entity.type) {
+      case "bot_command":
+        return entity.offset === 0;
+      case "mention":
+        return value.toLowerCase() === username;
+      case "text_mention":
+        return entity.user.id === ctx.botInfo.id;
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Removes mentions of the bot from a prompt
+ * @param {Object} ctx - Telegraf context
+ * @param {string} text - Message text or caption
+ * @returns {string} Text without the mentions
+ */
+function removeBotMention(ctx, text) {
+  const pattern = new RegExp(`[ \\t]*@${ctx.botInfo.username}\\b[ \\t]*`, "gi");
+  return text
+    .replace(pattern, (match, offset) => {
+      // Keep one space between words, none at the start or end of a line
+      const before = text[offset - 1];
+      const after = text[offset + match.length];
+      const atLineEdge =
+        before === undefined ||
+        before === "\n" ||
+        after === undefined ||
+        after === "\n";
+      return atLineEdge ? "" : " ";
+    })
+    .trim();
+}
+
+/**
+ * Checks whether the user may change settings shared by the whole chat.
+ * Everyone may in private chats, only admins in groups.
+ * @param {Object} ctx - Telegraf context
+ * @returns {Promise<boolean>} True if the user may change them
+ */
+async function isChatAdmin(ctx) {
+  if (!isGroupChat(ctx)) {
+    return true;
+  }
+
+  try {
+    const member = await ctx.getChatMember(ctx.from.id);
+    return GROUP_ADMIN_STATUSES.includes(member.status);
+  } catch (error) {
+    console.error("Error checking group admin:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Middleware that ignores group messages not meant for the bot, so it only
+ * answers when mentioned, replied to or given a command
+ * @param {Object} ctx - Telegraf context
+ * @param {Function} next - Next middleware
+ */
+async function ignoreUnaddressedMessages(ctx, next) {
+  if (ctx.message && isGroupChat(ctx) && !isAddressedToBot(ctx, ctx.message)) {
+    return;
+  }
+
+  return next();
+}
+
+/**
+ * Middleware that lets only the person who opened a menu press its buttons.
+ * Menus are shared messages in groups, in private chats only the owner sees them.
+ * @param {Object} ctx - Telegraf context
+ * @param {Function} next - Next middleware
+ */
+async function restrictMenusToOwner(ctx, next) {
+  if (!ctx.callbackQuery || !ctx.callbackQuery.message || !isGroupChat(ctx)) {
+    return next();
+  }
+
+  const menu = await getMenu(ctx.chat.id, ctx.callbackQuery.message.message_id);
+
+  if (menu && menu.ownerId !== ctx.from.id) {
+    await ctx
+      .answerCbQuery(ctx.t("groups.notYourMenu"), { show_alert: true })
+      .catch(() => {});
+    return;
+  }
+
+  return next();
+}
+
+module.exports = {
+  isGroupChat,
+  isAddressedToBot,
+  removeBotMention,
+  isChatAdmin,
+  ignoreUnaddressedMessages,
+  restrictMenusToOwner,
+};
@@ -0,0 +1,44 @@
+const { getPreferences, getUser } = require("../storage/users");
+const { resolveLocale, createTranslator } = require("../utils/i18n");
+
+/**
+ * Sets ctx.locale and ctx.t for a language chosen in settings
+ * @param {Object} ctx - Telegraf context
+ * @param {string|null} language - Language from settings, null to follow Telegram
+ */
+function applyLocale(ctx, language) {
+  ctx.locale = resolveLocale(language, ctx.from && ctx.from.language_code);
+  ctx.t = createTranslator(ctx.locale);
+}
+
+/**
+ * Middleware that gives every handler ctx.t, translating into the user's language
+ * @param {Object} ctx - Telegraf context
+ * @param {Function} next - Next middleware
+ */
+async function attachTranslator(ctx, next) {
+  const preferences = ctx.from ? await getPreferences(ctx.from.id) : {};
+
+  applyLocale(ctx, preferences.language);
+  return next();
+}
+
+/**
+ * Returns the locale of a user outside of an update, e.g. for notifications
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} Locale code
+ */
+async function getUserLocale(userId) {
+  const [preferences, user] = await Promise.all([
+    getPreferences(userId),
+    getUser(userId),
+  ]);
+
+  return resolveLocale(preferences.language, user && user.languageCode);
+}
+
+module.exports = {
+  attachTranslator,
+  applyLocale,
+  getUserLocale,
+};
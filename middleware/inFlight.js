@@ -0,0 +1,83 @@
+// Updates whose handlers have not finished yet
+let inFlight = 0;
+
+// Shutdown callbacks waiting for the handlers to finish
+let drainWaiters = [];
+
+/**
+ * Middleware that counts updates while their handlers run, so shutdown can
+ * let them finish before stopping the bot
+ * @param {Object} ctx - Telegraf context
+ * @param {Function} next - Next middleware
+ */
+async function trackUpdates(ctx, next) {
+  inFlight++;
+
+  try {
+    await next();
+  } finally {
+    finishUpdate();
+  }
+}
+
+/**
+ * Marks one update as handled and wakes shutdown once none are left
+ */
+function finishUpdate() {
+  inFlight--;
+
+  if (inFlight === 0) {
+    drainWaiters.forEach((resolve) => resolve(true));
+    drainWaiters = [];
+  }
+}
+
+/**
+ * Counts work a handler left running after it returned, e.g. a reply that
+ * waits for the job queue, as part of its update until it is done
+ * @param {Promise} promise - Work that must not reject
+ */
+function trackBackgroundTask(promise) {
+  inFlight++;
+  promise.finally(finishUpdate);
+}
+
+/**
+ * Returns the number of updates being handled
+ * @returns {number} Updates in flight
+ */
+function getUpdatesInFlight() {
+  return inFlight;
+}
+
+/**
+ * Waits until every update being handled is done
+ * @param {number} timeout - Longest wait in milliseconds
+ * @returns {Promise<boolean>} True if every handler finished, false on timeout
+ */
+function waitForUpdates(timeout) {
+  if (inFlight === 0) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      drainWaiters = drainWaiters.filter((waiter) => waiter !== done);
+      resolve(false);
+    }, timeout);
+
+    const done = (drained) => {
+      clearTimeout(timer);
+      resolve(drained);
+    };
+
+    drainWaiters.push(done);
+  });
+}
+
+module.exports = {
+  trackUpdates,
+  trackBackgroundTask,
+  getUpdatesInFlight,
+  waitForUpdates,
+};
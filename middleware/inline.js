@@ -0,0 +1,41 @@
+const config = require("../config/config");
+
+// Inline queries waiting for the user to stop typing, keyed by user ID
+const pendingQueries = new Map();
+
+/**
+ * Middleware that holds inline queries until the user stops typing.
+ * Telegram sends one on every keystroke, only the last one is answered.
+ * @param {Object} ctx - Telegraf context
+ * @param {Function} next - Next middleware
+ */
+async function debounceInlineQueries(ctx, next) {
+  if (!ctx.inlineQuery) {
+    return next();
+  }
+
+  const userId = ctx.from.id;
+  const previous = pendingQueries.get(userId);
+
+  if (previous) {
+    // A newer query replaces the one still waiting
+    clearTimeout(previous.timer);
+    previous.resolve(false);
+  }
+
+  const settled = await new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(true), config.inline.debounce);
+    pendingQueries.set(userId, { timer, resolve });
+  });
+
+  if (!settled) {
+    return;
+  }
+
+  pendingQueries.delete(userId);
+  return next();
+}
+
+module.exports = {
+  debounceInlineQueries,
+};
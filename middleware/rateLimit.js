@@ -0,0 +1,383 @@
+/**
+ * Limits how often each user may use the bot.
+ * Every update takes a token from the user's default bucket, browser-heavy
+ * requests also from their own bucket, and prompts count against a daily
+ * quota. Counters are stored so a restart does not reset them; changes
+ * are collected in memory and written every few seconds.
+ */
+const config = require("../config/config");
+const { getStorage } = require("../storage");
+const { getRole } = require("../services/roles");
+const { getAllTranslations } = require("../utils/i18n");
+
+// Storage collection holding every user's counters, keyed by user ID
+const RATE_LIMIT_COLLECTION = "rateLimits";
+
+// Counters of users seen since the last flush, keyed by user ID
+const cachedCounters = new Map();
+
+// Users whose counters changed since the last flush
+const changedUsers = new Set();
+
+let flushTimer = null;
+let flushing = Promise.resolve();
+
+// Reply keyboard buttons in every language, which are not prompts
+const KEYBOARD_BUTTONS = Object.fromEntries([
+  ...getAllTranslations("menu.changeModel").map((label) => [label, "models"]),
+  ...getAllTranslations("menu.settings").map((label) => [label, "settings"]),
+]);
+
+// Commands that share the bucket of a differently named one
+const COMMAND_BUCKETS = {
+  model: "models",
+};
+
+/**
+ * Works out which command bucket an update belongs to
+ * @param {Object} ctx - Telegraf context
+ * @returns {string|null} Bucket name, or null if only the default bucket applies
+ */
+function getCommandName(ctx) {
+  // Inline queries are questions for the model, empty ones are not sent
+  if (ctx.inlineQuery) {
+    return ctx.inlineQuery.query.trim() ? "prompt" : null;
+  }
+
+  const message = ctx.message;
+
+  if (!message) {
+    return null;
+  }
+
+  // Photos and files are sent to the model like text prompts
+  if (message.photo || message.document) {
+    return "prompt";
+  }
+
+  const text = message.text;
+
+  if (!text) {
+    return null;
+  }
+
+  if (text.startsWith("/")) {
+    // "/open@my_bot args" -> "open"
+    const command = text.slice(1).split(/[\s@]/)[0].toLowerCase();
+    return COMMAND_BUCKETS[command] || command;
+  }
+
+  if (KEYBOARD_BUTTONS[text]) {
+    return KEYBOARD_BUTTONS[text];
+  }
+
+  return "prompt";
+}
+
+/**
+ * Returns the limits of a bucket
+ * @param {string} name - "default" or a command bucket name
+ * @returns {Object|undefined} Limits with capacity and refillSeconds
+ */
+function getBucketLimit(name) {
+  return name === "default"
+    ? config.rateLimit.default
+    : config.rateLimit.commands[name];
+}
+
+/**
+ * Refills a bucket for the time that passed since it was last used
+ * @param {Object|undefined} state - Stored bucket with tokens and updatedAt
+ * @param {Object} limit - Bucket limits with capacity and refillSeconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Bucket with the current number of tokens
+ */
+function refillBucket(state, limit, now) {
+  if (!state) {
+    return { tokens: limit.capacity, updatedAt: now, notifiedUntil: 0 };
+  }
+
+  const refilled = (now - state.updatedAt) / (limit.refillSeconds * 1000);
+
+  return {
+    ...state,
+    tokens: Math.min(limit.capacity, state.tokens + refilled),
+    updatedAt: now,
+  };
+}
+
+/**
+ * Returns the current UTC day
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function getDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Takes a token from every bucket that applies and counts prompts against
+ * the daily quota. Nothing is taken unless every limit allows the request.
+ * @param {Object|undefined} stored - Counters of the user with buckets and quota
+ * @param {string[]} bucketNames - Buckets that apply to the request
+ * @param {boolean} isPrompt - Whether the request counts against the quota
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} New counters and the verdict
+ */
+function consume(stored, bucketNames, isPrompt, now) {
+  const counters = { buckets: {}, quota: null, ...stored };
+  const buckets = { ...counters.buckets };
+  let retryAfter = 0;
+  let limitedBucket = null;
+
+  for (const name of bucketNames) {
+    const limit = getBucketLimit(name);
+    const bucket = refillBucket(buckets[name], limit, now);
+    buckets[name] = bucket;
+
+    if (bucket.tokens < 1) {
+      const wait = Math.ceil((1 - bucket.tokens) * limit.refillSeconds);
+      if (wait > retryAfter) {
+        retryAfter = wait;
+        limitedBucket = name;
+      }
+    }
+  }
+
+  // Daily quota resets at midnight UTC
+  const quota =
+    counters.quota && counters.quota.day === getDay(now)
+      ? { ...counters.quota }
+      : { day: getDay(now), used: 0, notified: false };
+  const quotaLimit = config.rateLimit.dailyPromptQuota;
+  const quotaExceeded = isPrompt && quotaLimit > 0 && quota.used >= quotaLimit;
+
+  let notify = false;
+
+  if (limitedBucket) {
+    // Only tell the user once per waiting period
+    notify = buckets[limitedBucket].notifiedUntil <= now;
+    buckets[limitedBucket] = {
+      ...buckets[limitedBucket],
+      notifiedUntil: now + retryAfter * 1000,
+    };
+  } else if (quotaExceeded) {
+    notify = !quota.notified;
+    quota.notified = true;
+  } else {
+    for (const name of bucketNames) {
+      buckets[name] = { ...buckets[name], tokens: buckets[name].tokens - 1 };
+    }
+    if (isPrompt) {
+      quota.used++;
+    }
+  }
+
+  return {
+    counters: { buckets, quota },
+    allowed: !limitedBucket && !quotaExceeded,
+    quotaExceeded: !limitedBucket && quotaExceeded,
+    retryAfter: retryAfter,
+    notify: notify,
+  };
+}
+
+/**
+ * Drops buckets that have refilled completely and whose notice expired,
+ * a missing bucket starts out full anyway
+ * @param {Object} counters - Counters with buckets and quota
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|undefined} Counters worth keeping, undefined if none are
+ */
+function pruneCounters(counters, now) {
+  const buckets = {};
+
+  for (const [name, state] of Object.entries(counters.buckets || {})) {
+    const limit = getBucketLimit(name);
+    if (!limit) {
+      continue;
+    }
+
+    const bucket = refillBucket(state, limit, now);
+    if (bucket.tokens < limit.capacity || bucket.notifiedUntil > now) {
+      buckets[name] = state;
+    }
+  }
+
+  // Yesterday's quota no longer counts
+  const quota =
+    counters.quota && counters.quota.day === getDay(now)
+      ? counters.quota
+      : null;
+
+  if (Object.keys(buckets).length === 0 && !quota) {
+    return undefined;
+  }
+
+  return { buckets, quota };
+}
+
+/**
+ * Reads a user's counters from storage unless they are cached already
+ * @param {number} userId - User ID
+ */
+async function loadCounters(userId) {
+  if (cachedCounters.has(userId)) {
+    return;
+  }
+
+  const stored = await getStorage().get(RATE_LIMIT_COLLECTION, userId);
+
+  // Another update of the user may have loaded them in the meantime
+  if (!cachedCounters.has(userId)) {
+    cachedCounters.set(userId, stored);
+  }
+}
+
+/**
+ * Writes the counters that changed since the last flush and forgets the
+ * cached ones, so memory only holds users active in the last few seconds
+ * @returns {Promise<void>} Resolves once everything is written
+ */
+function flushRateLimits() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  flushing = flushing.then(async () => {
+    const now = Date.now();
+    const userIds = [...changedUsers];
+    changedUsers.clear();
+
+    for (const userId of userIds) {
+      const counters = pruneCounters(cachedCounters.get(userId) || {}, now);
+
+      try {
+        if (counters) {
+          await getStorage().set(RATE_LIMIT_COLLECTION, userId, counters);
+        } else {
+          await getStorage().delete(RATE_LIMIT_COLLECTION, userId);
+        }
+      } catch (error) {
+        console.error(`Could not save rate limits of ${userId}:`, error);
+      }
+    }
+
+    // Users who sent something during the writes are kept for the next flush
+    for (const userId of [...cachedCounters.keys()]) {
+      if (!changedUsers.has(userId)) {
+        cachedCounters.delete(userId);
+      }
+    }
+  });
+
+  return flushing;
+}
+
+/**
+ * Schedules a flush unless one is pending
+ */
+function scheduleFlush() {
+  if (flushTimer) {
+    return;
+  }
+
+  flushTimer = setTimeout(flushRateLimits, config.rateLimit.flushInterval);
+  flushTimer.unref();
+}
+
+/**
+ * Formats the time until the daily quota resets
+ * @param {number} now - Current time in milliseconds
+ * @param {Function} t - Translator
+ * @returns {string} Time such as "3h 20m"
+ */
+function formatTimeUntilReset(now, t) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+
+  const minutes = Math.ceil((midnight.getTime() - now) / 60000);
+  return minutes >= 60
+    ? t("rateLimit.hoursMinutes", {
+        hours: Math.floor(minutes / 60),
+        minutes: minutes % 60,
+      })
+    : t("rateLimit.minutes", { minutes });
+}
+
+/**
+ * Middleware that enforces the token buckets and the daily prompt quota
+ * @param {Object} ctx - Telegraf context
+ * @param {Function} next - Next middleware
+ */
+async function rateLimit(ctx, next) {
+  if (!ctx.from) {
+    return next();
+  }
+
+  const userId = ctx.from.id;
+
+  if (config.rateLimit.exemptRoles.includes(await getRole(userId))) {
+    return next();
+  }
+
+  const commandName = getCommandName(ctx);
+  const bucketNames = ["default"];
+
+  if (commandName && config.rateLimit.commands[commandName]) {
+    bucketNames.push(commandName);
+  }
+
+  await loadCounters(userId);
+
+  // Nothing is awaited from here on, so concurrent updates cannot lose tokens
+  const now = Date.now();
+  const verdict = consume(
+    cachedCounters.get(userId),
+    bucketNames,
+    commandName === "prompt",
+    now
+  );
+
+  cachedCounters.set(userId, verdict.counters);
+  changedUsers.add(userId);
+  scheduleFlush();
+
+  if (verdict.allowed) {
+    return next();
+  }
+
+  if (!verdict.notify) {
+    // Already told the user, ignore silently
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery().catch(() => {});
+    }
+    return;
+  }
+
+  const notice = verdict.quotaExceeded
+    ? ctx.t("rateLimit.quotaExceeded", {
+        quota: config.rateLimit.dailyPromptQuota,
+        time: formatTimeUntilReset(now, ctx.t),
+      })
+    : ctx.t("rateLimit.slowDown", { count: verdict.retryAfter });
+
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery(notice, { show_alert: true }).catch(() => {});
+  } else if (ctx.inlineQuery) {
+    // Inline queries have no chat to reply in, the notice goes above the results
+    await ctx
+      .answerInlineQuery([], {
+        cache_time: 0,
+        is_personal: true,
+        button: { text: notice, start_parameter: "inline" },
+      })
+      .catch(() => {});
+  } else {
+    await ctx.reply(notice).catch(() => {});
+  }
+}
+
+module.exports = {
+  rateLimit,
+  flushRateLimits,
+};
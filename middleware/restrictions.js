@@ -1,15 +1,20 @@
+const config = require("../config/config");
+
 /**
- * Blocks unwanted media types (voice, video, stickers, GIFs, photos, documents, etc.)
- * Only allows plain text messages and commands to pass through
+ * Blocks the media types listed in config.media.blockedTypes
+ * (voice, video, stickers, GIFs, documents, etc.)
  */
-const BLOCKED_TYPES = [
+
+// Media types with a label in the catalogs, under media.types
+const LABELED_TYPES = [
   "voice",
   "video_note",
   "sticker",
-  "animation", // GIFs
+  "animation",
   "photo",
   "video",
   "document",
+  "audio",
 ];
 
 /**
@@ -19,16 +24,31 @@ const BLOCKED_TYPES = [
  */
 async function restrictMedia(ctx, next) {
   const message = ctx.message;
+  const blockedTypes = config.media.blockedTypes;
 
-  if (message && BLOCKED_TYPES.some((type) => message[type])) {
+  if (message && blockedTypes.some((type) => message[type])) {
     // Delete message
     ctx.deleteMessage().catch((err) => {
       console.warn("Could not delete restricted message:", err.message);
     });
 
+    const blocked = blockedTypes.map((type) =>
+      LABELED_TYPES.includes(type) ? ctx.t(`media.types.${type}`) : type
+    );
+    const accepted = [ctx.t("media.text")];
+    if (!blockedTypes.includes("photo")) {
+      accepted.push(ctx.t("media.types.photo"));
+    }
+    if (!blockedTypes.includes("document")) {
+      accepted.push(ctx.t("media.textFiles"));
+    }
+
     // User warning
     ctx.reply(
-      "This bot only accepts text messages. Please avoid sending voice notes, videos, stickers, GIFs, or files.",
+      ctx.t("media.onlyAccepts", {
+        accepted: accepted.join(", "),
+        blocked: blocked.join(", "),
+      }),
       { reply_to_message_id: message.message_id }
     );
     return;
@@ -0,0 +1,74 @@
+const {
+  navigateToDuckAI,
+  sendPrompt,
+  startNewConversation,
+} = require("../automation/tasks");
+
+// Provider ID stored with duck.ai models in the catalog
+const DUCKAI_PROVIDER_ID = "duckai";
+
+/**
+ * Creates the provider that drives duck.ai in a browser with Playwright
+ * @returns {Object} AI provider, see providers/index.js
+ */
+function createDuckAIProvider() {
+  return {
+    id: DUCKAI_PROVIDER_ID,
+    name: "duck.ai",
+
+    /**
+     * Scrapes the free models from duck.ai's model picker
+     * @param {Object} options - Listing options
+     * @param {string|number} options.sessionKey - Browser context used for scraping
+     * @param {AbortSignal} [options.signal] - Stops the scrape once aborted
+     * @returns {Promise<Object>} Result object with success status and models array
+     */
+    listModels({ sessionKey, signal }) {
+      return navigateToDuckAI(sessionKey, true, signal);
+    },
+
+    /**
+     * Sends a prompt and waits for the whole answer
+     * @param {Object} request - Prompt request, see providers/index.js
+     * @returns {Promise<Object>} Result object with success status and answer text
+     */
+    sendPrompt(request) {
+      return this.streamPrompt(request);
+    },
+
+    /**
+     * Sends a prompt and reports the answer while duck.ai types it
+     * @param {Object} request - Prompt request, see providers/index.js
+     * @param {Function} [onProgress] - Called with the partial answer text
+     * @returns {Promise<Object>} Result object with success status and answer text
+     */
+    streamPrompt(
+      { sessionKey, prompt, model, attachments = [], signal },
+      onProgress
+    ) {
+      return sendPrompt(
+        sessionKey,
+        prompt,
+        model,
+        onProgress,
+        attachments,
+        signal
+      );
+    },
+
+    /**
+     * Clears the duck.ai chat open in a browser context
+     * @param {string|number} sessionKey - User or chat whose browser context is used
+     * @param {AbortSignal} [signal] - Skips the reset once aborted
+     * @returns {Promise<Object>} Result object with success status
+     */
+    resetConversation(sessionKey, signal) {
+      return startNewConversation(sessionKey, signal);
+    },
+  };
+}
+
+module.exports = {
+  DUCKAI_PROVIDER_ID,
+  createDuckAIProvider,
+};
@@ -0,0 +1,96 @@
+/**
+ * Registry of the AI providers that answer prompts.
+ *
+ * Every provider is an object with:
+ *   id, name                              - Stored with models / shown in menus
+ *   listModels({ sessionKey, signal })    - Result with success and models
+ *   sendPrompt(request)                   - Result with success and answer
+ *   streamPrompt(request, onProgress)     - Same, reporting the partial answer
+ *   resetConversation(sessionKey, signal) - Result with success
+ *
+ * A request has sessionKey, prompt, model (null for the provider's default),
+ * attachments (files with name, mimeType and buffer) and an optional abort signal.
+ * An aborted request stops only its own work, other jobs may share the session.
+ */
+const config = require("../config/config");
+const { DUCKAI_PROVIDER_ID, createDuckAIProvider } = require("./duckai");
+const { createOpenAIProvider } = require("./openai");
+
+// Providers in the order they appear in the model menu, created on first use
+let providers = null;
+
+/**
+ * Returns every enabled provider
+ * @returns {Object[]} Providers, the first one is the default
+ */
+function getProviders() {
+  if (!providers) {
+    providers = [];
+
+    if (config.providers.duckai.enabled) {
+      providers.push(createDuckAIProvider());
+    }
+    if (config.providers.openai.baseUrl) {
+      providers.push(createOpenAIProvider(config.providers.openai));
+    }
+  }
+
+  return providers;
+}
+
+/**
+ * Finds an enabled provider by ID
+ * @param {string} providerId - Provider ID
+ * @returns {Object|null} Provider or null
+ */
+function getProvider(providerId) {
+  return getProviders().find((provider) => provider.id === providerId) || null;
+}
+
+/**
+ * Returns the ID of the provider a catalog model belongs to
+ * @param {Object} model - Model from the catalog
+ * @returns {string} Provider ID
+ */
+function getModelProviderId(model) {
+  // Catalogs stored before providers existed only hold duck.ai models
+  return model.provider || DUCKAI_PROVIDER_ID;
+}
+
+/**
+ * Returns the provider that serves a catalog model
+ * @param {Object|null} model - Model from the catalog, or null for the default model
+ * @returns {Object|null} Provider, or null if no provider is enabled
+ */
+function getModelProvider(model) {
+  return (
+    (model && getProvider(getModelProviderId(model))) ||
+    getProviders()[0] ||
+    null
+  );
+}
+
+/**
+ * Starts a fresh conversation with every provider
+ * @param {string|number} sessionKey - User or chat whose conversation is reset
+ * @param {AbortSignal} [signal] - Stops the reset once aborted
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function resetConversations(sessionKey, signal) {
+  for (const provider of getProviders()) {
+    const result = await provider.resetConversation(sessionKey, signal);
+    if (!result.success) {
+      return result;
+    }
+  }
+
+  return { success: true, message: "New conversation started" };
+}
+
+module.exports = {
+  getProviders,
+  getProvider,
+  getModelProviderId,
+  getModelProvider,
+  resetConversations,
+};
@@ -0,0 +1,281 @@
+// Time limit for listing models, prompts are limited by the job queue
+const LIST_MODELS_TIMEOUT = 30000;
+
+// Messages remembered per conversation, oldest are dropped first
+const MAX_CONVERSATION_MESSAGES = 40;
+
+/**
+ * Builds the message content for a prompt, adding images as data URLs
+ * @param {string} prompt - Text to send
+ * @param {Object[]} attachments - Files with name, mimeType and buffer
+ * @returns {string|Object[]} Plain text, or content parts if there are images
+ */
+function buildContent(prompt, attachments) {
+  const images = attachments.filter((file) =>
+    file.mimeType.startsWith("image/")
+  );
+
+  if (images.length === 0) {
+    return prompt;
+  }
+
+  return [
+    { type: "text", text: prompt },
+    ...images.map((image) => ({
+      type: "image_url",
+      image_url: {
+        url: `data:${image.mimeType};base64,${image.buffer.toString("base64")}`,
+      },
+    })),
+  ];
+}
+
+/**
+ * Reads a server-sent event stream of chat completion chunks
+ * @param {Object} body - Response body stream
+ * @param {Function} [onProgress] - Called with the answer received so far
+ * @returns {Promise<Object>} Object with the answer text and finish reason
+ */
+async function readStream(body, onProgress) {
+  const decoder = new TextDecoder();
+  let buffered = "";
+  let text = "";
+  let finishReason = null;
+
+  for await (const chunk of body) {
+    buffered += decoder.decode(chunk, { stream: true });
+
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+
+    for (const line of lines) {
+      const data = line.replace(/^data:\s*/, "").trim();
+
+      if (!line.startsWith("data:") || !data || data === "[DONE]") {
+        continue;
+      }
+
+      const event = JSON.parse(data);
+      if (event.error) {
+        throw new Error(event.error.message || "The API reported an error");
+      }
+
+      const choice = event.choices && event.choices[0];
+      if (!choice) {
+        continue;
+      }
+
+      if (choice.delta && choice.delta.content) {
+        text += choice.delta.content;
+        if (onProgress) {
+          await onProgress(text);
+        }
+      }
+
+      finishReason = choice.finish_reason || finishReason;
+    }
+  }
+
+  return { text, finishReason };
+}
+
+/**
+ * Creates a provider for any API that implements OpenAI's chat completions,
+ * such as Ollama, llama.cpp's server or vLLM
+ * @param {Object} options - Provider settings from config.providers.openai
+ * @param {string} options.baseUrl - API root including the version, e.g. http://localhost:11434/v1
+ * @param {string} [options.apiKey] - Sent as a bearer token if set
+ * @param {string} options.name - Name shown in the model menu
+ * @param {string[]} [options.models=[]] - Model IDs to offer, empty to ask the API
+ * @param {string[]} [options.imageModels=[]] - Model IDs that accept images
+ * @returns {Object} AI provider, see providers/index.js
+ */
+function createOpenAIProvider(options) {
+  const baseUrl = options.baseUrl.replace(/\/+$/, "");
+  const modelIds = options.models || [];
+  const imageModels = options.imageModels || [];
+
+  // The API is stateless, so earlier messages are sent with every prompt
+  const conversations = new Map();
+
+  /**
+   * Calls the API and fails on error responses
+   * @param {string} path - Endpoint below the base URL
+   * @param {Object} [init] - Fetch options
+   * @returns {Promise<Object>} Fetch response
+   */
+  async function request(path, init = {}) {
+    const headers = { "Content-Type": "application/json" };
+    if (options.apiKey) {
+      headers.Authorization = `Bearer ${options.apiKey}`;
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, { ...init, headers });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => null);
+      const detail =
+        (body && body.error && body.error.message) || response.statusText;
+      throw new Error(`${response.status} ${detail}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Returns the configured model IDs, or the ones the API reports
+   * @param {AbortSignal} [signal] - Stops the request once aborted
+   * @returns {Promise<string[]>} Model IDs
+   */
+  async function fetchModelIds(signal) {
+    if (modelIds.length > 0) {
+      return modelIds;
+    }
+
+    const timeout = AbortSignal.timeout(LIST_MODELS_TIMEOUT);
+    const response = await request("/models", {
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+    });
+    const body = await response.json();
+    return body.data.map((model) => model.id);
+  }
+
+  return {
+    id: "openai",
+    name: options.name,
+
+    /**
+     * Lists the models the API serves
+     * @param {Object} [options] - Listing options
+     * @param {AbortSignal} [options.signal] - Stops the request once aborted
+     * @returns {Promise<Object>} Result object with success status and models array
+     */
+    async listModels({ signal } = {}) {
+      try {
+        const models = (await fetchModelIds(signal)).map((id) => ({
+          name: id,
+          isBeta: null,
+          features: imageModels.includes(id)
+            ? ["Image input", `Served by ${options.name}`]
+            : [`Served by ${options.name}`],
+        }));
+
+        return {
+          success: true,
+          message: `Successfully listed ${models.length} models!`,
+          models: models,
+        };
+      } catch (error) {
+        return {
+          success: false,
+          message: `Error: ${error.message}`,
+          error: error.message,
+          models: [],
+        };
+      }
+    },
+
+    /**
+     * Sends a prompt and waits for the whole answer
+     * @param {Object} request - Prompt request, see providers/index.js
+     * @returns {Promise<Object>} Result object with success status and answer text
+     */
+    sendPrompt(request) {
+      return this.streamPrompt(request);
+    },
+
+    /**
+     * Sends a prompt, streaming the answer if onProgress is given
+     * @param {Object} request - Prompt request, see providers/index.js
+     * @param {Function} [onProgress] - Called with the partial answer text
+     * @returns {Promise<Object>} Result object with success status and answer text
+     */
+    async streamPrompt(
+      { sessionKey, prompt, model, attachments = [], signal },
+      onProgress
+    ) {
+      try {
+        const modelName = model || (await fetchModelIds())[0];
+        const history = conversations.get(sessionKey) || [];
+
+        const response = await request("/chat/completions", {
+          method: "POST",
+          signal: signal,
+          body: JSON.stringify({
+            model: modelName,
+            messages: [
+              ...history,
+              { role: "user", content: buildContent(prompt, attachments) },
+            ],
+            stream: !!onProgress,
+          }),
+        });
+
+        let answer;
+        if (onProgress) {
+          answer = await readStream(response.body, onProgress);
+        } else {
+          const body = await response.json();
+          const choice = body.choices && body.choices[0];
+          if (!choice) {
+            throw new Error(
+              (body.error && body.error.message) || "The API returned no answer"
+            );
+          }
+
+          answer = {
+            text: (choice.message && choice.message.content) || "",
+            finishReason: choice.finish_reason,
+          };
+        }
+
+        if (!answer.text) {
+          throw new Error("The model returned an empty answer");
+        }
+
+        // Images are not kept, they would be resent with every prompt
+        conversations.set(
+          sessionKey,
+          [
+            ...history,
+            { role: "user", content: prompt },
+            { role: "assistant", content: answer.text },
+          ].slice(-MAX_CONVERSATION_MESSAGES)
+        );
+
+        const stopped = answer.finishReason === "length";
+
+        return {
+          success: true,
+          message: stopped
+            ? "Answer generation stopped before it finished"
+            : "Answer received",
+          answer: answer.text,
+          stopped: stopped,
+          model: modelName,
+        };
+      } catch (error) {
+        return {
+          success: false,
+          message: `Error: ${error.message}`,
+          error: error.message,
+          answer: null,
+        };
+      }
+    },
+
+    /**
+     * Forgets the messages of a conversation
+     * @param {string|number} sessionKey - User or chat the conversation belongs to
+     * @returns {Promise<Object>} Result object with success status
+     */
+    async resetConversation(sessionKey) {
+      conversations.delete(sessionKey);
+      return { success: true, message: "New conversation started" };
+    },
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+};
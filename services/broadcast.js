@@ -0,0 +1,63 @@
+const config = require("../config/config");
+
+/**
+ * Sends the same message to many users, one at a time to stay below
+ * Telegram's flood limits
+ * @param {Object} telegram - Telegraf Telegram API instance
+ * @param {number[]} userIds - Recipients
+ * @param {string} text - Message text
+ * @param {Function} [onProgress] - Called with the report after every send
+ * @returns {Promise<Object>} Report with delivered, failed and blocked counts
+ */
+async function broadcastMessage(telegram, userIds, text, onProgress) {
+  const report = {
+    total: userIds.length,
+    delivered: 0,
+    failed: 0,
+    // Users who blocked the bot or deleted their account
+    blocked: 0,
+  };
+
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  for (const userId of userIds) {
+    let attempts = 0;
+
+    while (true) {
+      try {
+        await telegram.sendMessage(userId, text);
+        report.delivered++;
+        break;
+      } catch (error) {
+        const retryAfter = error.parameters && error.parameters.retry_after;
+
+        // Wait out flood control once before giving up on this user
+        if (retryAfter && attempts === 0) {
+          attempts++;
+          await wait(retryAfter * 1000);
+          continue;
+        }
+
+        if (error.code === 403) {
+          report.blocked++;
+        } else {
+          report.failed++;
+          console.warn(`Broadcast to ${userId} failed:`, error.message);
+        }
+        break;
+      }
+    }
+
+    if (onProgress) {
+      await onProgress(report);
+    }
+
+    await wait(config.telegram.broadcastInterval);
+  }
+
+  return report;
+}
+
+module.exports = {
+  broadcastMessage,
+};
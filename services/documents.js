@@ -0,0 +1,159 @@
+const path = require("path");
+const config = require("../config/config");
+const { DEFAULT_LOCALE, createTranslator } = require("../utils/i18n");
+
+// Extensions that are clearly binary, rejected with a specific explanation
+const BINARY_EXPLANATIONS = {
+  pdf: "documents.pdf",
+  doc: "documents.word",
+  docx: "documents.word",
+  xls: "documents.spreadsheet",
+  xlsx: "documents.spreadsheet",
+  zip: "documents.archive",
+  rar: "documents.archive",
+  "7z": "documents.archive",
+  gz: "documents.archive",
+  exe: "documents.program",
+};
+
+// Explanations are in English unless the caller passes the user's translator
+const translateDefault = createTranslator(DEFAULT_LOCALE);
+
+/**
+ * Checks whether a Telegram document can be used as prompt context
+ * @param {Object} document - Telegram document with file_name, mime_type and file_size
+ * @param {Function} [t] - Translator for the reason
+ * @returns {Object} Object with supported flag and a reason if it is not
+ */
+function checkDocument(document, t = translateDefault) {
+  const fileName = document.file_name || "";
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+  const maxKb = Math.floor(config.media.maxDocumentSize / 1024);
+
+  if (document.mime_type && document.mime_type.startsWith("image/")) {
+    return {
+      supported: false,
+      reason: t("documents.imageAsFile"),
+    };
+  }
+
+  if (!config.media.documentExtensions.includes(extension)) {
+    const explanation = BINARY_EXPLANATIONS[extension]
+      ? t(BINARY_EXPLANATIONS[extension])
+      : extension
+        ? t("documents.unsupportedExtension", { extension })
+        : t("documents.noExtension");
+    const supportedTypes = config.media.documentExtensions
+      .map((ext) => `.${ext}`)
+      .join(", ");
+
+    return {
+      supported: false,
+      reason: `${explanation}\n\n${t("documents.supportedFiles", {
+        types: supportedTypes,
+      })}`,
+    };
+  }
+
+  if (document.file_size && document.file_size > config.media.maxDocumentSize) {
+    return {
+      supported: false,
+      reason: t("documents.tooLarge", { maxKb }),
+    };
+  }
+
+  return { supported: true };
+}
+
+/**
+ * Decodes a downloaded document as UTF-8 text
+ * @param {Buffer} buffer - File content
+ * @param {Function} [t] - Translator for the error message
+ * @returns {string} Text without a byte order mark
+ * @throws {Error} If the file is not valid UTF-8 text
+ */
+function decodeDocument(buffer, t = translateDefault) {
+  // Text files never contain NUL bytes, binary files almost always do
+  if (buffer.includes(0)) {
+    throw new Error(t("documents.binary"));
+  }
+
+  let text;
+  try {
+    text = new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+  } catch (error) {
+    throw new Error(t("documents.notUtf8"));
+  }
+
+  if (!text.trim()) {
+    throw new Error(t("documents.empty"));
+  }
+
+  // The decoder already drops a byte order mark
+  return text;
+}
+
+/**
+ * Splits text into chunks, preferring to cut at line breaks
+ * @param {string} text - Text to split
+ * @param {number} size - Maximum chunk length
+ * @returns {string[]} Chunks
+ */
+function chunkText(text, size) {
+  const chunks = [];
+  let rest = text;
+
+  while (rest.length > size) {
+    let cut = rest.lastIndexOf("\n", size);
+    if (cut <= 0) {
+      cut = size;
+    }
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^\n/, "");
+  }
+
+  chunks.push(rest);
+  return chunks;
+}
+
+/**
+ * Builds the prompts that carry a document and the question about it.
+ * Large files are sent in several parts, only the last one asks the question.
+ * @param {string} fileName - Document name
+ * @param {string} text - Document content
+ * @param {string} question - What the user wants to know
+ * @param {Function} [t] - Translator for the error message
+ * @returns {string[]} Prompts in sending order
+ */
+function buildDocumentPrompts(fileName, text, question, t = translateDefault) {
+  const chunks = chunkText(text, config.media.documentChunkSize);
+
+  if (chunks.length === 1) {
+    return [`Here is the file "${fileName}":\n\n${text}\n\n${question}`];
+  }
+
+  if (chunks.length > config.media.maxDocumentChunks) {
+    throw new Error(
+      t("documents.tooLong", {
+        count: chunks.length,
+        limit: config.media.maxDocumentChunks,
+      })
+    );
+  }
+
+  return chunks.map((chunk, index) => {
+    const part = `part ${index + 1} of ${chunks.length}`;
+
+    if (index < chunks.length - 1) {
+      return `I am sending the file "${fileName}" in ${chunks.length} parts. This is ${part}. Reply only with "OK" until you have received every part.\n\n${chunk}`;
+    }
+
+    return `This is the last ${part} of the file "${fileName}":\n\n${chunk}\n\nNow that you have the whole file: ${question}`;
+  });
+}
+
+module.exports = {
+  checkDocument,
+  decodeDocument,
+  buildDocumentPrompts,
+};
@@ -0,0 +1,226 @@
+const { getStorage } = require("../storage");
+
+// Storage collection holding every chat's threads, keyed by chat ID. Private
+// chats have the user's ID, each group shares the threads of its conversation.
+const HISTORY_COLLECTION = "history";
+
+// Oldest threads and messages are dropped beyond these limits
+const MAX_THREADS = 50;
+const MAX_MESSAGES_PER_THREAD = 200;
+
+// Length of the thread title taken from the first prompt
+const TITLE_LENGTH = 40;
+
+/**
+ * Creates the history record of a chat without threads
+ * @returns {Object} Object with activeThreadId, resumeThreadId and threads
+ */
+function createEmptyHistory() {
+  return { activeThreadId: null, resumeThreadId: null, threads: [] };
+}
+
+/**
+ * Returns a chat's history record
+ * @param {number} chatId - Chat ID
+ * @returns {Promise<Object>} Object with activeThreadId, resumeThreadId and threads
+ */
+async function getHistory(chatId) {
+  return (
+    (await getStorage().get(HISTORY_COLLECTION, chatId)) || createEmptyHistory()
+  );
+}
+
+/**
+ * Builds a thread title from its first prompt
+ * @param {string} prompt - First prompt of the thread
+ * @returns {string} Short single-line title
+ */
+function createTitle(prompt) {
+  const title = prompt.replace(/\s+/g, " ").trim();
+  return title.length > TITLE_LENGTH
+    ? `${title.slice(0, TITLE_LENGTH - 1)}…`
+    : title;
+}
+
+/**
+ * Stores a prompt and its answer in the chat's active thread, starting a
+ * new thread if there is none
+ * @param {number} chatId - Chat ID
+ * @param {Object} exchange - Exchange to record
+ * @param {string} exchange.prompt - Text the user sent
+ * @param {string} exchange.answer - Text the model answered
+ * @param {string|null} exchange.model - Model that answered
+ * @returns {Promise<Object>} The updated thread
+ */
+async function recordExchange(chatId, { prompt, answer, model }) {
+  const now = new Date().toISOString();
+  let thread = null;
+
+  await getStorage().update(HISTORY_COLLECTION, chatId, (current) => {
+    const history = current || createEmptyHistory();
+
+    thread = history.threads.find((t) => t.id === history.activeThreadId);
+
+    if (!thread) {
+      thread = {
+        id: Date.now().toString(36),
+        title: createTitle(prompt),
+        model: model,
+        createdAt: now,
+        updatedAt: now,
+        messages: [],
+      };
+      history.threads.unshift(thread);
+      history.activeThreadId = thread.id;
+    }
+
+    thread.messages.push(
+      { role: "user", text: prompt, model: model, timestamp: now },
+      { role: "assistant", text: answer, model: model, timestamp: now }
+    );
+    thread.messages = thread.messages.slice(-MAX_MESSAGES_PER_THREAD);
+    thread.model = model || thread.model;
+    thread.updatedAt = now;
+
+    // The replayed context is now part of the browser conversation
+    history.resumeThreadId = null;
+
+    // Keep the most recently used threads first
+    history.threads = [
+      thread,
+      ...history.threads.filter((t) => t.id !== thread.id),
+    ].slice(0, MAX_THREADS);
+
+    return history;
+  });
+
+  return thread;
+}
+
+/**
+ * Ends the active thread so the next prompt starts a new one
+ * @param {number} chatId - Chat ID
+ */
+async function startNewThread(chatId) {
+  await getStorage().update(HISTORY_COLLECTION, chatId, (history) =>
+    history
+      ? { ...history, activeThreadId: null, resumeThreadId: null }
+      : undefined
+  );
+}
+
+/**
+ * Returns a chat's threads, most recently used first
+ * @param {number} chatId - Chat ID
+ * @param {number} [limit=10] - Maximum number of threads
+ * @returns {Promise<Object[]>} Threads
+ */
+async function listThreads(chatId, limit = 10) {
+  const history = await getHistory(chatId);
+  return history.threads.slice(0, limit);
+}
+
+/**
+ * Finds one of a chat's threads
+ * @param {number} chatId - Chat ID
+ * @param {string} threadId - Thread ID
+ * @returns {Promise<Object|null>} Thread or null
+ */
+async function getThread(chatId, threadId) {
+  const history = await getHistory(chatId);
+  return history.threads.find((thread) => thread.id === threadId) || null;
+}
+
+/**
+ * Makes a thread active again. Its messages are replayed to the model with
+ * the next prompt, because duck.ai does not keep conversations between chats.
+ * @param {number} chatId - Chat ID
+ * @param {string} threadId - Thread ID
+ * @returns {Promise<Object|null>} The reopened thread, or null if not found
+ */
+async function reopenThread(chatId, threadId) {
+  let thread = null;
+
+  await getStorage().update(HISTORY_COLLECTION, chatId, (history) => {
+    if (!history) {
+      return undefined;
+    }
+
+    thread = history.threads.find((t) => t.id === threadId) || null;
+    if (!thread) {
+      return history;
+    }
+
+    return { ...history, activeThreadId: threadId, resumeThreadId: threadId };
+  });
+
+  return thread;
+}
+
+/**
+ * Builds the prompt to send to duck.ai, prefixed with the transcript of a
+ * thread that was just reopened
+ * @param {number} chatId - Chat ID
+ * @param {string} prompt - Text the user sent
+ * @returns {Promise<string>} Prompt to send
+ */
+async function buildPrompt(chatId, prompt) {
+  const history = await getHistory(chatId);
+  const thread = history.threads.find((t) => t.id === history.resumeThreadId);
+
+  if (!thread || thread.messages.length === 0) {
+    return prompt;
+  }
+
+  const transcript = thread.messages
+    .map((message) =>
+      message.role === "user"
+        ? `User: ${message.text}`
+        : `Assistant: ${message.text}`
+    )
+    .join("\n\n");
+
+  return `Here is our previous conversation:\n\n${transcript}\n\nContinue it and answer my next message.\n\nUser: ${prompt}`;
+}
+
+/**
+ * Renders a thread as a downloadable document
+ * @param {Object} thread - Thread to export
+ * @param {string} format - Either "md" or "json"
+ * @returns {Object} Object with filename and content
+ */
+function exportThread(thread, format) {
+  const date = thread.createdAt.slice(0, 10);
+  const filename = `conversation-${date}-${thread.id}.${format}`;
+
+  if (format === "json") {
+    return { filename, content: JSON.stringify(thread, null, 2) };
+  }
+
+  const lines = [
+    `# ${thread.title}`,
+    "",
+    `- Model: ${thread.model || "default"}`,
+    `- Started: ${thread.createdAt}`,
+    `- Last message: ${thread.updatedAt}`,
+    "",
+  ];
+
+  for (const message of thread.messages) {
+    const author =
+      message.role === "user" ? "You" : message.model || "Assistant";
+    lines.push(`## ${author} (${message.timestamp})`, "", message.text, "");
+  }
+
+  return { filename, content: lines.join("\n") };
+}
+
+module.exports = {
+  recordExchange,
+  startNewThread,
+  listThreads,
+  getThread,
+  reopenThread,
+  buildPrompt,
+  exportThread,
+};
@@ -0,0 +1,407 @@
+const crypto = require("crypto");
+const config = require("../config/config");
+const { getProviders, getModelProviderId } = require("../providers");
+const { PRIORITY, enqueueJob } = require("../automation/queue");
+const { getStorage } = require("../storage");
+
+// Storage collection and keys used by the catalog
+const CATALOG_COLLECTION = "catalog";
+const SUBSCRIBERS_COLLECTION = "catalogSubscribers";
+
+// Browser context used for scraping the shared model list
+const CATALOG_SESSION_KEY = "catalog";
+
+// Owner of scheduled refresh jobs in the queue
+const SYSTEM_OWNER_ID = 0;
+
+// Number of change sets kept in the history
+const MAX_CHANGE_HISTORY = 20;
+
+// Listeners notified when the catalog changes
+const changeListeners = [];
+
+// Refresh in progress, shared by concurrent callers
+let refreshing = null;
+let refreshTimer = null;
+
+/**
+ * Returns the cached catalog
+ * @returns {Promise<Object|null>} Object with models and fetchedAt, or null if never fetched
+ */
+async function getCatalog() {
+  return (await getStorage().get(CATALOG_COLLECTION, "current")) || null;
+}
+
+/**
+ * Checks whether a cached catalog is younger than the configured TTL
+ * @param {Object|null} catalog - Cached catalog
+ * @param {number} [margin=0] - Time in milliseconds the catalog must stay fresh for
+ * @returns {boolean} True if the catalog can be used without refreshing
+ */
+function isCatalogFresh(catalog, margin = 0) {
+  return (
+    !!catalog &&
+    catalog.models.length > 0 &&
+    Date.now() - new Date(catalog.fetchedAt).getTime() <
+      config.catalog.ttl - margin
+  );
+}
+
+/**
+ * Returns the cached models, even if they are stale
+ * @returns {Promise<Object[]>} Models, empty if the catalog was never fetched
+ */
+async function getModels() {
+  const catalog = await getCatalog();
+  return catalog ? catalog.models : [];
+}
+
+/**
+ * Finds a cached model by name
+ * @param {string} modelName - Model name
+ * @returns {Promise<Object|null>} Model or null
+ */
+async function findModel(modelName) {
+  const models = await getModels();
+  return models.find((model) => model.name === modelName) || null;
+}
+
+/**
+ * Returns a short key for a model to put into callback data, which Telegram
+ * limits to 64 bytes. Unlike a list index it survives catalog refreshes.
+ * @param {string} modelName - Model name
+ * @returns {string} 16 hex characters
+ */
+function getModelKey(modelName) {
+  return crypto.createHash("sha1").update(modelName).digest("hex").slice(0, 16);
+}
+
+/**
+ * Finds a cached model by its key from getModelKey
+ * @param {string} modelKey - Model key
+ * @returns {Promise<Object|null>} Model or null
+ */
+async function findModelByKey(modelKey) {
+  const models = await getModels();
+  return models.find((model) => getModelKey(model.name) === modelKey) || null;
+}
+
+/**
+ * Checks whether a model accepts images, based on its scraped features
+ * @param {Object} model - Model from the catalog
+ * @returns {boolean} True if the model lists image input
+ */
+function supportsImages(model) {
+  return model.features.some((feature) => /image/i.test(feature));
+}
+
+/**
+ * Compares two model lists
+ * @param {Object[]} previous - Models before the refresh
+ * @param {Object[]} current - Models after the refresh
+ * @returns {Object} Added, removed and changed models
+ */
+function diffModels(previous, current) {
+  const previousByName = new Map(previous.map((model) => [model.name, model]));
+  const currentByName = new Map(current.map((model) => [model.name, model]));
+
+  const added = current.filter((model) => !previousByName.has(model.name));
+  const removed = previous.filter((model) => !currentByName.has(model.name));
+
+  const changed = current
+    .filter((model) => previousByName.has(model.name))
+    .map((model) => {
+      const before = previousByName.get(model.name);
+      const changes = {};
+
+      if (before.isBeta !== model.isBeta) {
+        changes.isBeta = { before: before.isBeta, after: model.isBeta };
+      }
+
+      const addedFeatures = model.features.filter(
+        (feature) => !before.features.includes(feature)
+      );
+      const removedFeatures = before.features.filter(
+        (feature) => !model.features.includes(feature)
+      );
+
+      if (addedFeatures.length > 0 || removedFeatures.length > 0) {
+        changes.features = { added: addedFeatures, removed: removedFeatures };
+      }
+
+      return { name: model.name, changes: changes };
+    })
+    .filter((entry) => Object.keys(entry.changes).length > 0);
+
+  return { added, removed, changed };
+}
+
+/**
+ * Scrapes the model list, stores it and records what changed.
+ * Concurrent calls share the same scrape, which stops once every caller
+ * that passed a signal has aborted and no other caller is waiting.
+ * @param {AbortSignal} [signal] - Stops this caller's wait once aborted
+ * @returns {Promise<Object>} Result object with success status, models and changes
+ */
+function refreshCatalog(signal) {
+  if (!refreshing) {
+    const controller = new AbortController();
+    const refresh = {
+      controller: controller,
+      waiting: 0,
+      result: scrapeCatalog(controller.signal).finally(() => {
+        if (refreshing === refresh) {
+          refreshing = null;
+        }
+      }),
+    };
+    refreshing = refresh;
+  }
+
+  const refresh = refreshing;
+  refresh.waiting += 1;
+
+  if (!signal) {
+    return refresh.result;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      refresh.waiting -= 1;
+      if (refresh.waiting > 0) {
+        reject(signal.reason);
+        return;
+      }
+
+      // The last caller stops the scrape and waits for it, so its job
+      // keeps the queue slot until the browser is free again
+      if (refreshing === refresh) {
+        refreshing = null;
+      }
+      refresh.controller.abort(signal.reason);
+      refresh.result.catch(() => {}).then(() => reject(signal.reason));
+    };
+
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal.addEventListener("abort", onAbort, { once: true });
+    refresh.result.then(resolve, reject).finally(() => {
+      signal.removeEventListener("abort", onAbort);
+    });
+  });
+}
+
+/**
+ * Lists the models of every provider and updates the stored catalog
+ * @param {AbortSignal} signal - Stops the scrape once aborted
+ * @returns {Promise<Object>} Result object with success status, models and changes
+ */
+async function scrapeCatalog(signal) {
+  const storage = getStorage();
+  const previous = await getCatalog();
+  const models = [];
+  const failures = [];
+
+  for (const provider of getProviders()) {
+    signal.throwIfAborted();
+
+    const result = await provider.listModels({
+      sessionKey: CATALOG_SESSION_KEY,
+      signal: signal,
+    });
+
+    if (result.success) {
+      models.push(
+        ...result.models.map((model) => ({ ...model, provider: provider.id }))
+      );
+      continue;
+    }
+
+    failures.push(`${provider.name}: ${result.message}`);
+
+    // Keep the models of a provider that is only unreachable for now
+    if (previous) {
+      models.push(
+        ...previous.models.filter(
+          (model) => getModelProviderId(model) === provider.id
+        )
+      );
+    }
+  }
+
+  // Don't store what an aborted scrape kept from the previous catalog
+  signal.throwIfAborted();
+
+  if (failures.length === getProviders().length || models.length === 0) {
+    return {
+      success: false,
+      message: failures.length > 0 ? failures.join("\n") : "No models found",
+      models: [],
+    };
+  }
+
+  if (failures.length > 0) {
+    console.warn("Some providers could not list models:", failures.join("; "));
+  }
+
+  const result = {
+    success: true,
+    message: `Loaded ${models.length} models`,
+    models: models,
+  };
+
+  const fetchedAt = new Date().toISOString();
+
+  await storage.set(CATALOG_COLLECTION, "current", {
+    models: result.models,
+    fetchedAt: fetchedAt,
+  });
+
+  // The first fetch has nothing to compare against
+  if (!previous) {
+    return { ...result, changes: null };
+  }
+
+  const changes = diffModels(previous.models, result.models);
+  const hasChanges =
+    changes.added.length > 0 ||
+    changes.removed.length > 0 ||
+    changes.changed.length > 0;
+
+  if (!hasChanges) {
+    return { ...result, changes: null };
+  }
+
+  const entry = { detectedAt: fetchedAt, ...changes };
+
+  await storage.update(CATALOG_COLLECTION, "changes", (history) =>
+    [entry, ...(history || [])].slice(0, MAX_CHANGE_HISTORY)
+  );
+
+  changeListeners.forEach((listener) => {
+    Promise.resolve()
+      .then(() => listener(entry))
+      .catch((error) => {
+        console.error("Error in catalog change listener:", error);
+      });
+  });
+
+  return { ...result, changes: entry };
+}
+
+/**
+ * Returns the recorded catalog changes, newest first
+ * @returns {Promise<Object[]>} Change history
+ */
+async function getCatalogChanges() {
+  return (await getStorage().get(CATALOG_COLLECTION, "changes")) || [];
+}
+
+/**
+ * Registers a listener called with every change set
+ * @param {Function} listener - Receives an object with added, removed and changed models
+ */
+function onCatalogChange(listener) {
+  changeListeners.push(listener);
+}
+
+/**
+ * Starts refreshing the catalog in the background on the configured schedule
+ */
+function startCatalogRefresh() {
+  if (refreshTimer || config.catalog.refreshInterval <= 0) {
+    return;
+  }
+
+  const scheduleRefresh = async () => {
+    // Refresh while the catalog would otherwise go stale before the next tick
+    if (isCatalogFresh(await getCatalog(), config.catalog.refreshInterval)) {
+      return;
+    }
+
+    const result = await enqueueJob({
+      ownerId: SYSTEM_OWNER_ID,
+      name: "catalog",
+      priority: PRIORITY.LOW,
+      run: (signal) => refreshCatalog(signal),
+    });
+
+    if (!result.success) {
+      console.warn("Scheduled model refresh failed:", result.message);
+    }
+  };
+
+  refreshTimer = setInterval(() => {
+    scheduleRefresh().catch((error) => {
+      console.error("Error refreshing model catalog:", error);
+    });
+  }, config.catalog.refreshInterval);
+
+  // Don't keep the process alive just for this timer
+  refreshTimer.unref();
+
+  scheduleRefresh().catch((error) => {
+    console.error("Error refreshing model catalog:", error);
+  });
+}
+
+/**
+ * Stops the background refresh
+ */
+function stopCatalogRefresh() {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+}
+
+/**
+ * Subscribes or unsubscribes a user from new model notifications
+ * @param {number} userId - User ID
+ * @param {boolean} subscribed - Whether the user wants notifications
+ */
+async function setSubscribed(userId, subscribed) {
+  if (subscribed) {
+    await getStorage().set(SUBSCRIBERS_COLLECTION, userId, true);
+  } else {
+    await getStorage().delete(SUBSCRIBERS_COLLECTION, userId);
+  }
+}
+
+/**
+ * Checks whether a user is subscribed to new model notifications
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} True if subscribed
+ */
+async function isSubscribed(userId) {
+  return !!(await getStorage().get(SUBSCRIBERS_COLLECTION, userId));
+}
+
+/**
+ * Returns the IDs of every subscribed user
+ * @returns {Promise<number[]>} User IDs
+ */
+async function listSubscribers() {
+  const entries = await getStorage().entries(SUBSCRIBERS_COLLECTION);
+  return entries.map(([userId]) => Number(userId));
+}
+
+module.exports = {
+  CATALOG_SESSION_KEY,
+  getCatalog,
+  isCatalogFresh,
+  getModels,
+  findModel,
+  getModelKey,
+  findModelByKey,
+  supportsImages,
+  refreshCatalog,
+  getCatalogChanges,
+  onCatalogChange,
+  startCatalogRefresh,
+  stopCatalogRefresh,
+  setSubscribed,
+  isSubscribed,
+  listSubscribers,
+};
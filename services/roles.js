@@ -0,0 +1,74 @@
+const config = require("../config/config");
+const { getStorage } = require("../storage");
+
+// Storage collection holding promoted users, keyed by user ID
+const ROLES_COLLECTION = "roles";
+
+const ROLES = {
+  USER: "user",
+  MODERATOR: "moderator",
+  ADMIN: "admin",
+};
+
+// Higher ranks include every permission of the lower ones
+const ROLE_RANKS = {
+  [ROLES.USER]: 0,
+  [ROLES.MODERATOR]: 1,
+  [ROLES.ADMIN]: 2,
+};
+
+/**
+ * Returns a user's role. Admins are configured with ADMIN_IDS, moderators
+ * are promoted by admins at runtime.
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} One of ROLES
+ */
+async function getRole(userId) {
+  if (config.telegram.adminIds.includes(userId)) {
+    return ROLES.ADMIN;
+  }
+
+  return (await getStorage().get(ROLES_COLLECTION, userId)) || ROLES.USER;
+}
+
+/**
+ * Checks whether a user has at least the given role
+ * @param {number} userId - User ID
+ * @param {string} role - Minimum role, one of ROLES
+ * @returns {Promise<boolean>} True if the user's role is high enough
+ */
+async function hasRole(userId, role) {
+  return ROLE_RANKS[await getRole(userId)] >= ROLE_RANKS[role];
+}
+
+/**
+ * Promotes a user to moderator or demotes them back to a regular user
+ * @param {number} userId - User ID
+ * @param {boolean} isModerator - Whether the user should be a moderator
+ */
+async function setModerator(userId, isModerator) {
+  if (isModerator) {
+    await getStorage().set(ROLES_COLLECTION, userId, ROLES.MODERATOR);
+  } else {
+    await getStorage().delete(ROLES_COLLECTION, userId);
+  }
+}
+
+/**
+ * Returns the IDs of every moderator
+ * @returns {Promise<number[]>} User IDs
+ */
+async function listModerators() {
+  const entries = await getStorage().entries(ROLES_COLLECTION);
+  return entries
+    .filter(([, role]) => role === ROLES.MODERATOR)
+    .map(([userId]) => Number(userId));
+}
+
+module.exports = {
+  ROLES,
+  getRole,
+  hasRole,
+  setModerator,
+  listModerators,
+};
@@ -0,0 +1,282 @@
+/**
+ * HTTP server for webhook mode and for health checks behind a reverse proxy:
+ *   POST /telegram/<secret> - Updates from Telegram, the secret header must match
+ *   GET /healthz            - The process is up
+ *   GET /readyz             - The bot can answer: started, browser usable, models loaded
+ */
+const http = require("http");
+const crypto = require("crypto");
+const config = require("../config/config");
+const { getBrowserStatus } = require("../automation/contextPool");
+const { getProvider } = require("../providers");
+const { DUCKAI_PROVIDER_ID } = require("../providers/duckai");
+const { getModels } = require("./modelCatalog");
+
+// Updates are posted to this path followed by the secret
+const WEBHOOK_PATH_PREFIX = "/telegram/";
+
+// Header Telegram repeats the secret in
+const SECRET_HEADER = "x-telegram-bot-api-secret-token";
+
+// Largest update body accepted, real updates are a few kilobytes
+const MAX_BODY_SIZE = 1024 * 1024;
+
+let server = null;
+let webhookSecret = null;
+let botStarted = false;
+let draining = false;
+
+/**
+ * Sends a JSON response
+ * @param {Object} res - Server response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Compares a header against the secret in constant time
+ * @param {string|undefined} value - Header value
+ * @returns {boolean} True if it matches the secret
+ */
+function isValidSecret(value) {
+  if (typeof value !== "string") {
+    return false;
+  }
+
+  const expected = Buffer.from(webhookSecret);
+  const actual = Buffer.from(value);
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+}
+
+/**
+ * Checks whether the bot can answer requests
+ * @returns {Promise<Object>} Object with ready flag and the result of each check
+ */
+async function checkReadiness() {
+  const checks = {
+    bot: {
+      ok: botStarted && !draining,
+      detail: draining ? "shutting down" : botStarted ? "started" : "starting",
+    },
+  };
+
+  // The browser only matters while duck.ai answers prompts
+  if (getProvider(DUCKAI_PROVIDER_ID)) {
+    const browser = getBrowserStatus();
+    const failing = !browser.running && browser.launchFailures > 0;
+
+    checks.browser = {
+      ok: !failing,
+      detail: browser.running
+        ? `${browser.engine} running`
+        : failing
+          ? `${browser.launchFailures} failed launches, retrying`
+          : "starts with the next request",
+    };
+  }
+
+  try {
+    const models = await getModels();
+    checks.catalog = {
+      ok: models.length > 0,
+      detail:
+        models.length > 0 ? `${models.length} models` : "no models loaded yet",
+    };
+  } catch (error) {
+    checks.catalog = { ok: false, detail: error.message };
+  }
+
+  return {
+    ready: Object.values(checks).every((check) => check.ok),
+    checks: checks,
+  };
+}
+
+/**
+ * Reads an update posted by Telegram and lets the bot handle it
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Server response
+ */
+async function handleWebhookUpdate(bot, req, res) {
+  // Decode only once everything arrived, a character may span two chunks
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      // The rest of the body stays unread, so the connection can't be reused
+      res.setHeader("Connection", "close");
+      sendJson(res, 413, { error: "Update too large" });
+      return;
+    }
+  }
+
+  let update;
+  try {
+    update = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (error) {
+    sendJson(res, 400, { error: "Invalid JSON" });
+    return;
+  }
+
+  // Ends the response once the handlers are done
+  await bot.handleUpdate(update, res);
+
+  if (!res.writableEnded) {
+    res.end();
+  }
+}
+
+/**
+ * Routes a request to the webhook or a health endpoint
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Server response
+ */
+async function handleRequest(bot, req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+
+  if (req.method === "GET" && pathname === "/healthz") {
+    sendJson(res, 200, {
+      status: "ok",
+      uptime: Math.round(process.uptime()),
+    });
+    return;
+  }
+
+  if (req.method === "GET" && pathname === "/readyz") {
+    const { ready, checks } = await checkReadiness();
+    sendJson(res, ready ? 200 : 503, {
+      status: ready ? "ready" : "not ready",
+      checks: checks,
+    });
+    return;
+  }
+
+  // A reverse proxy may keep its own prefix in front of the webhook path
+  if (
+    webhookSecret &&
+    req.method === "POST" &&
+    pathname.endsWith(`${WEBHOOK_PATH_PREFIX}${webhookSecret}`)
+  ) {
+    if (!isValidSecret(req.headers[SECRET_HEADER])) {
+      sendJson(res, 403, { error: "Invalid secret token" });
+      return;
+    }
+
+    // Telegram retries later, by then another instance may be up
+    if (draining) {
+      sendJson(res, 503, { error: "Shutting down" });
+      return;
+    }
+
+    await handleWebhookUpdate(bot, req, res);
+    return;
+  }
+
+  sendJson(res, 404, { error: "Not found" });
+}
+
+/**
+ * Starts the HTTP server and, in webhook mode, tells Telegram where to post updates
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.port] - Port to listen on, the configured one by default
+ * @param {string} [options.host] - Address to listen on, the configured one by default
+ * @returns {Promise<Object>} Object with the port the server listens on
+ */
+async function startWebServer(
+  bot,
+  { port = config.server.port, host = config.server.host } = {}
+) {
+  server = http.createServer((req, res) => {
+    handleRequest(bot, req, res).catch((error) => {
+      console.error("Error handling HTTP request:", error);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: "Internal error" });
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  console.log(`HTTP server listening on ${host}:${address.port}`);
+
+  if (config.telegram.mode === "webhook") {
+    webhookSecret =
+      config.telegram.webhookSecret || crypto.randomBytes(32).toString("hex");
+
+    const baseUrl = config.telegram.webhookUrl.replace(/\/+$/, "");
+
+    if (!bot.botInfo) {
+      bot.botInfo = await bot.telegram.getMe();
+    }
+    await bot.telegram.setWebhook(
+      `${baseUrl}${WEBHOOK_PATH_PREFIX}${webhookSecret}`,
+      { secret_token: webhookSecret }
+    );
+
+    console.log(`Webhook set to ${baseUrl}${WEBHOOK_PATH_PREFIX}<secret>`);
+  }
+
+  return { port: address.port };
+}
+
+/**
+ * Marks the bot as started, /readyz reports ready from now on if the other checks pass
+ */
+function markBotStarted() {
+  botStarted = true;
+}
+
+/**
+ * Stops accepting webhook updates and fails /readyz so the proxy stops routing here
+ */
+function startDraining() {
+  draining = true;
+}
+
+/**
+ * Stops the HTTP server, cutting off requests that are still open. Call it
+ * once the updates had their time to drain.
+ * @returns {Promise<void>} Resolves once the server is closed
+ */
+async function stopWebServer() {
+  if (!server) {
+    return;
+  }
+
+  const closing = server;
+  server = null;
+  webhookSecret = null;
+  botStarted = false;
+  draining = false;
+
+  await new Promise((resolve) => {
+    closing.close(() => resolve());
+    closing.closeAllConnections();
+  });
+}
+
+module.exports = {
+  startWebServer,
+  stopWebServer,
+  markBotStarted,
+  startDraining,
+  checkReadiness,
+};
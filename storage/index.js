@@ -0,0 +1,56 @@
+const config = require("../config/config");
+const { createJsonAdapter } = require("./jsonAdapter");
+const { createSqliteAdapter } = require("./sqliteAdapter");
+
+/**
+ * Every adapter implements the same async interface:
+ * - get(collection, key) - Returns the stored value or undefined
+ * - set(collection, key, value) - Stores a JSON-serializable value
+ * - update(collection, key, updater) - Atomically replaces the value with
+ *   updater(currentValue); returning undefined removes the item. The updater
+ *   must be synchronous
+ * - delete(collection, key) - Removes the item
+ * - entries(collection) - Returns all [key, value] pairs of a collection
+ * - close() - Flushes pending work and releases the backend
+ */
+const ADAPTERS = {
+  json: () => createJsonAdapter(config.storage.jsonPath),
+  sqlite: () => createSqliteAdapter(config.storage.sqlitePath),
+};
+
+let storage = null;
+
+/**
+ * Returns the shared storage adapter selected in the config
+ * @returns {Object} Storage adapter
+ */
+function getStorage() {
+  if (!storage) {
+    const createAdapter = ADAPTERS[config.storage.driver];
+
+    if (!createAdapter) {
+      throw new Error(
+        `Unknown storage driver "${config.storage.driver}". Use one of: ${Object.keys(ADAPTERS).join(", ")}`
+      );
+    }
+
+    storage = createAdapter();
+  }
+
+  return storage;
+}
+
+/**
+ * Closes the shared storage adapter
+ */
+async function closeStorage() {
+  if (storage) {
+    await storage.close();
+    storage = null;
+  }
+}
+
+module.exports = {
+  getStorage,
+  closeStorage,
+};
@@ -0,0 +1,123 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Creates a storage adapter that keeps every collection in one JSON file.
+ * All operations run one at a time and every change is written atomically
+ * (to a temporary file that then replaces the original).
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Object} Storage adapter
+ */
+function createJsonAdapter(filePath) {
+  let data = null;
+  let queue = Promise.resolve();
+
+  /**
+   * Runs an operation after every previously queued one has finished
+   * @param {Function} operation - Async function to run
+   * @returns {Promise<*>} Whatever the operation returns
+   */
+  function serialize(operation) {
+    const run = queue.then(operation);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Loads the file on first use
+   * @returns {Promise<Object>} Collections object
+   */
+  async function load() {
+    if (data) {
+      return data;
+    }
+
+    try {
+      const raw = await fs.readFile(filePath, "utf8");
+      data = JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw new Error(`Could not read storage file: ${error.message}`);
+      }
+      data = {};
+    }
+
+    return data;
+  }
+
+  /**
+   * Writes the collections to disk atomically
+   */
+  async function persist() {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), "utf8");
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Returns a deep copy so callers cannot change stored data by accident
+   * @param {*} value - Stored value
+   * @returns {*} Copy of the value
+   */
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  return {
+    get: (collection, key) =>
+      serialize(async () => {
+        const collections = await load();
+        const items = collections[collection] || {};
+        return clone(items[String(key)]);
+      }),
+
+    set: (collection, key, value) =>
+      serialize(async () => {
+        const collections = await load();
+        collections[collection] = collections[collection] || {};
+        collections[collection][String(key)] = clone(value);
+        await persist();
+      }),
+
+    update: (collection, key, updater) =>
+      serialize(async () => {
+        const collections = await load();
+        collections[collection] = collections[collection] || {};
+
+        const current = clone(collections[collection][String(key)]);
+        const next = updater(current);
+
+        if (next === undefined) {
+          delete collections[collection][String(key)];
+        } else {
+          collections[collection][String(key)] = clone(next);
+        }
+
+        await persist();
+        return clone(next);
+      }),
+
+    delete: (collection, key) =>
+      serialize(async () => {
+        const collections = await load();
+        if (collections[collection]) {
+          delete collections[collection][String(key)];
+          await persist();
+        }
+      }),
+
+    entries: (collection) =>
+      serialize(async () => {
+        const collections = await load();
+        return Object.entries(clone(collections[collection] || {}));
+      }),
+
+    close: () => serialize(async () => {}),
+  };
+}
+
+module.exports = {
+  createJsonAdapter,
+};
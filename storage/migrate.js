@@ -0,0 +1,82 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { getStorage, closeStorage } = require("./index");
+const { COLLECTIONS } = require("./users");
+
+// Users file written by earlier versions of the bot
+const LEGACY_USERS_FILE = path.join(__dirname, "../data/users.json");
+
+// Collection that records which migrations already ran
+const MIGRATIONS_COLLECTION = "migrations";
+
+/**
+ * Imports users from the legacy users.json file, keeping records that already exist
+ * @param {string} [filePath=LEGACY_USERS_FILE] - Path of the legacy file
+ * @returns {Promise<Object>} Numbers of imported and skipped users
+ */
+async function importUsersJson(filePath = LEGACY_USERS_FILE) {
+  let users = [];
+
+  try {
+    const parsed = JSON.parse(await fs.readFile(filePath, "utf8"));
+    users = Array.isArray(parsed.users) ? parsed.users : [];
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Could not read ${filePath}: ${error.message}`);
+    }
+  }
+
+  const storage = getStorage();
+  let imported = 0;
+
+  for (const user of users) {
+    await storage.update(COLLECTIONS.USERS, user.id, (existing) => {
+      if (existing) {
+        return existing;
+      }
+      imported++;
+      return user;
+    });
+  }
+
+  return { imported: imported, skipped: users.length - imported };
+}
+
+/**
+ * Runs every migration that has not run yet
+ */
+async function runMigrations() {
+  const storage = getStorage();
+
+  if (!(await storage.get(MIGRATIONS_COLLECTION, "importUsersJson"))) {
+    const result = await importUsersJson();
+    await storage.set(MIGRATIONS_COLLECTION, "importUsersJson", {
+      ranAt: new Date().toISOString(),
+      ...result,
+    });
+
+    if (result.imported > 0) {
+      console.log(`✅ Imported ${result.imported} users from users.json`);
+    }
+  }
+}
+
+module.exports = {
+  importUsersJson,
+  runMigrations,
+};
+
+// Allow running the import manually: npm run migrate [path/to/users.json]
+if (require.main === module) {
+  importUsersJson(process.argv[2] ? path.resolve(process.argv[2]) : undefined)
+    .then(async (result) => {
+      console.log(
+        `✅ Imported ${result.imported} users, skipped ${result.skipped} existing`
+      );
+      await closeStorage();
+    })
+    .catch((error) => {
+      console.error("Migration failed:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,98 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Creates a storage adapter backed by an embedded SQLite database.
+ * Values are stored as JSON text in a single key-value table.
+ * @param {string} filePath - Path of the database file
+ * @returns {Object} Storage adapter
+ */
+function createSqliteAdapter(filePath) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (error) {
+    throw new Error(
+      'SQLite storage requires the "better-sqlite3" package. Install it with: npm install better-sqlite3'
+    );
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kv (
+      collection TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (collection, key)
+    )
+  `);
+
+  const selectOne = db.prepare(
+    "SELECT value FROM kv WHERE collection = ? AND key = ?"
+  );
+  const selectAll = db.prepare(
+    "SELECT key, value FROM kv WHERE collection = ? ORDER BY rowid"
+  );
+  const upsert = db.prepare(`
+    INSERT INTO kv (collection, key, value) VALUES (?, ?, ?)
+    ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value
+  `);
+  const remove = db.prepare("DELETE FROM kv WHERE collection = ? AND key = ?");
+
+  /**
+   * Reads and parses one value
+   * @param {string} collection - Collection name
+   * @param {string|number} key - Item key
+   * @returns {*} Stored value or undefined
+   */
+  function read(collection, key) {
+    const row = selectOne.get(collection, String(key));
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  /**
+   * Writes or removes one value
+   * @param {string} collection - Collection name
+   * @param {string|number} key - Item key
+   * @param {*} value - Value to store, undefined removes the item
+   */
+  function write(collection, key, value) {
+    if (value === undefined) {
+      remove.run(collection, String(key));
+    } else {
+      upsert.run(collection, String(key), JSON.stringify(value));
+    }
+  }
+
+  return {
+    get: async (collection, key) => read(collection, key),
+
+    set: async (collection, key, value) => write(collection, key, value),
+
+    update: async (collection, key, updater) =>
+      // Read and write inside one transaction so updates never interleave
+      db.transaction(() => {
+        const next = updater(read(collection, key));
+        write(collection, key, next);
+        return next;
+      })(),
+
+    delete: async (collection, key) => {
+      remove.run(collection, String(key));
+    },
+
+    entries: async (collection) =>
+      selectAll.all(collection).map((row) => [row.key, JSON.parse(row.value)]),
+
+    close: async () => {
+      db.close();
+    },
+  };
+}
+
+module.exports = {
+  createSqliteAdapter,
+};
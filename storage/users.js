@@ -0,0 +1,273 @@
+const { getStorage } = require("./index");
+
+// Collection names used for per-user and per-chat state
+const COLLECTIONS = {
+  USERS: "users",
+  SELECTED_MODELS: "selectedModels",
+  MENUS: "menus",
+  PREFERENCES: "preferences",
+  BANS: "bans",
+};
+
+// Open menus remembered per chat, older ones lose their owner check
+const MAX_MENUS_PER_CHAT = 20;
+
+// Preferences of users who never changed their settings
+const DEFAULT_PREFERENCES = {
+  // Model used when none is selected, null for duck.ai's default
+  defaultModel: null,
+  // "plain", "markdown" or "html"
+  replyFormat: "plain",
+  // Seconds before status messages are deleted, 0 to keep them
+  statusDeleteDelay: 2,
+  // Interface language, null to follow the user's Telegram language
+  language: null,
+  // Whether answers are shown while they are generated
+  streaming: true,
+};
+
+/**
+ * Saves a user record, merging it with any existing one
+ * @param {Object} userData - User data to save
+ * @returns {Promise<boolean>} True if saved successfully, false otherwise
+ */
+async function saveUser(userData) {
+  try {
+    await getStorage().update(COLLECTIONS.USERS, userData.id, (existing) =>
+      existing
+        ? { ...existing, ...userData, lastUpdated: new Date().toISOString() }
+        : { ...userData, joinedAt: new Date().toISOString() }
+    );
+
+    return true;
+  } catch (error) {
+    console.error("Error saving user data:", error);
+    return false;
+  }
+}
+
+/**
+ * Returns a stored user record
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} User record or null
+ */
+async function getUser(userId) {
+  return (await getStorage().get(COLLECTIONS.USERS, userId)) || null;
+}
+
+/**
+ * Returns every stored user record
+ * @returns {Promise<Object[]>} User records
+ */
+async function listUsers() {
+  const entries = await getStorage().entries(COLLECTIONS.USERS);
+  return entries.map(([, user]) => user);
+}
+
+/**
+ * Checks whether a user has accepted the policy (users are saved on acceptance)
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} True if the user accepted the policy
+ */
+async function hasAcceptedPolicy(userId) {
+  return (await getUser(userId)) !== null;
+}
+
+/**
+ * Counts a prompt sent by a user and remembers when they were last active
+ * @param {number} userId - User ID
+ */
+async function recordPrompt(userId) {
+  await getStorage().update(COLLECTIONS.USERS, userId, (user) =>
+    user
+      ? {
+          ...user,
+          promptCount: (user.promptCount || 0) + 1,
+          lastPromptAt: new Date().toISOString(),
+        }
+      : undefined
+  );
+}
+
+/**
+ * Bans a user from using the bot
+ * @param {number} userId - User ID
+ * @param {Object} details - Ban details
+ * @param {number} details.bannedBy - ID of the admin or moderator who banned the user
+ * @param {string|null} details.reason - Reason shown to the user
+ */
+async function banUser(userId, { bannedBy, reason }) {
+  await getStorage().set(COLLECTIONS.BANS, userId, {
+    bannedBy: bannedBy,
+    reason: reason || null,
+    bannedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Lifts a user's ban
+ * @param {number} userId - User ID
+ */
+async function unbanUser(userId) {
+  await getStorage().delete(COLLECTIONS.BANS, userId);
+}
+
+/**
+ * Returns a user's ban
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Ban details or null if not banned
+ */
+async function getBan(userId) {
+  return (await getStorage().get(COLLECTIONS.BANS, userId)) || null;
+}
+
+/**
+ * Returns the IDs of every banned user
+ * @returns {Promise<number[]>} User IDs
+ */
+async function listBannedUserIds() {
+  const entries = await getStorage().entries(COLLECTIONS.BANS);
+  return entries.map(([userId]) => Number(userId));
+}
+
+/**
+ * Returns the model selected in a chat
+ * @param {number} chatId - Chat ID, which is the user's ID in private chats
+ * @returns {Promise<string|null>} Model name or null
+ */
+async function getSelectedModel(chatId) {
+  return (await getStorage().get(COLLECTIONS.SELECTED_MODELS, chatId)) || null;
+}
+
+/**
+ * Stores the model selected in a chat
+ * @param {number} chatId - Chat ID, which is the user's ID in private chats
+ * @param {string} modelName - Model name
+ */
+async function setSelectedModel(chatId, modelName) {
+  await getStorage().set(COLLECTIONS.SELECTED_MODELS, chatId, modelName);
+}
+
+/**
+ * Forgets the model selected in a chat
+ * @param {number} chatId - Chat ID
+ */
+async function clearSelectedModel(chatId) {
+  await getStorage().delete(COLLECTIONS.SELECTED_MODELS, chatId);
+}
+
+/**
+ * Returns the selected model of every chat
+ * @returns {Promise<Array>} Pairs of chat ID and model name
+ */
+async function listSelectedModels() {
+  const entries = await getStorage().entries(COLLECTIONS.SELECTED_MODELS);
+  return entries.map(([chatId, modelName]) => [Number(chatId), modelName]);
+}
+
+/**
+ * Returns a user's preferences, with defaults for anything not set
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Preferences
+ */
+async function getPreferences(userId) {
+  const stored = await getStorage().get(COLLECTIONS.PREFERENCES, userId);
+  return { ...DEFAULT_PREFERENCES, ...stored };
+}
+
+/**
+ * Returns the default model of every user who chose one in settings
+ * @returns {Promise<Array>} Pairs of user ID and model name
+ */
+async function listDefaultModels() {
+  const entries = await getStorage().entries(COLLECTIONS.PREFERENCES);
+  return entries
+    .filter(([, preferences]) => preferences.defaultModel)
+    .map(([userId, preferences]) => [Number(userId), preferences.defaultModel]);
+}
+
+/**
+ * Changes one of a user's preferences
+ * @param {number} userId - User ID
+ * @param {string} key - Preference name
+ * @param {*} value - New value
+ * @returns {Promise<Object>} Updated preferences
+ */
+async function setPreference(userId, key, value) {
+  if (!(key in DEFAULT_PREFERENCES)) {
+    throw new Error(`Unknown preference "${key}"`);
+  }
+
+  await getStorage().update(COLLECTIONS.PREFERENCES, userId, (stored) => ({
+    ...stored,
+    [key]: value,
+  }));
+
+  return getPreferences(userId);
+}
+
+/**
+ * Returns an open menu
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - ID of the bot message showing the menu
+ * @returns {Promise<Object|null>} Object with ownerId and optionally userMessageId, or null
+ */
+async function getMenu(chatId, messageId) {
+  const menus = await getStorage().get(COLLECTIONS.MENUS, chatId);
+  return (menus && menus[messageId]) || null;
+}
+
+/**
+ * Stores an open menu. Each chat keeps its most recent menus, so several
+ * people can have menus open in the same group.
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - ID of the bot message showing the menu
+ * @param {Object} menu - Object with ownerId and optionally userMessageId
+ */
+async function setMenu(chatId, messageId, menu) {
+  await getStorage().update(COLLECTIONS.MENUS, chatId, (menus) => {
+    // Message IDs are integer keys, so older menus come first
+    const kept = Object.entries(menus || {})
+      .filter(([, value]) => value && typeof value === "object")
+      .slice(-(MAX_MENUS_PER_CHAT - 1));
+
+    return { ...Object.fromEntries(kept), [messageId]: menu };
+  });
+}
+
+/**
+ * Forgets an open menu
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - ID of the bot message showing the menu
+ */
+async function deleteMenu(chatId, messageId) {
+  await getStorage().update(COLLECTIONS.MENUS, chatId, (menus) => {
+    const rest = { ...menus };
+    delete rest[messageId];
+    return Object.keys(rest).length > 0 ? rest : undefined;
+  });
+}
+
+module.exports = {
+  COLLECTIONS,
+  DEFAULT_PREFERENCES,
+  saveUser,
+  getUser,
+  listUsers,
+  hasAcceptedPolicy,
+  recordPrompt,
+  banUser,
+  unbanUser,
+  getBan,
+  listBannedUserIds,
+  getSelectedModel,
+  setSelectedModel,
+  clearSelectedModel,
+  listSelectedModels,
+  getPreferences,
+  listDefaultModels,
+  setPreference,
+  getMenu,
+  setMenu,
+  deleteMenu,
+};
@@ -0,0 +1,1448 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { startFixtureServer } = require("./harness/fixtureServer");
+const {
+  startFakeTelegram,
+  createUser,
+  createGroupChat,
+  createUpdateSimulator,
+} = require("./harness/fakeTelegram");
+const { startFakeOpenAI } = require("./harness/fakeOpenAI");
+
+// Models served by test/fixtures/duckai/index.html
+const FIXTURE_MODELS = [
+  {
+    name: "GPT-4o mini",
+    isBeta: null,
+    features: ["General-purpose", "Image input", "Created by OpenAI"],
+  },
+  { name: "Claude Haiku 3.5", isBeta: null, features: [] },
+  { name: "Llama 4 Scout", isBeta: "Beta", features: [] },
+];
+
+// Models served by the fake OpenAI-compatible API
+const MOCK_MODEL_IDS = ["mock-llama", "mock-qwen"];
+
+/**
+ * Checks whether Playwright has a browser it can launch here
+ * @returns {boolean} True if the bundled Chromium is installed
+ */
+function hasBrowser() {
+  try {
+    return fs.existsSync(require("playwright").chromium.executablePath());
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Returns the callback data of a model button
+ * @param {string} action - "view_model" or "select_model"
+ * @param {string} modelName - Model name
+ * @returns {string} Callback data
+ */
+function modelButton(action, modelName) {
+  const { getModelKey } = require("../services/modelCatalog");
+  return `${action}_${getModelKey(modelName)}`;
+}
+
+let fixtureServer;
+let telegram;
+let openai;
+let dataDir;
+let bot;
+let simulator;
+
+before(async () => {
+  fixtureServer = await startFixtureServer();
+  telegram = await startFakeTelegram();
+  openai = await startFakeOpenAI(MOCK_MODEL_IDS);
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "duckai-bot-test-"));
+
+  // Configuration is read on first require, so set it up before loading the bot
+  process.env.BOT_TOKEN = "123456:TEST";
+  process.env.TELEGRAM_API_ROOT = telegram.apiRoot;
+  process.env.DUCKAI_URL = fixtureServer.url;
+  process.env.STORAGE_DRIVER = "json";
+  process.env.STORAGE_JSON_PATH = path.join(dataDir, "store.json");
+  process.env.HEADLESS = "true";
+  process.env.BROWSER_CHANNEL = "";
+  process.env.ADMIN_IDS = "1";
+  process.env.BROADCAST_INTERVAL_MS = "1";
+  process.env.INLINE_DEBOUNCE_MS = "50";
+  process.env.OPENAI_BASE_URL = openai.baseUrl;
+  process.env.OPENAI_PROVIDER_NAME = "Mock server";
+  process.env.DIAGNOSTICS_DIR = path.join(dataDir, "diagnostics");
+
+  const { createBot } = require("../bot");
+  await require("../commands/handlers").initializeBotData();
+
+  bot = createBot();
+  simulator = createUpdateSimulator(bot, telegram);
+});
+
+after(async () => {
+  await require("../automation/tasks").closeBrowser();
+  await require("../storage").closeStorage();
+  await telegram.close();
+  await openai.close();
+  await fixtureServer.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Runs /start → accept → Change Model → view → select as one user
+ * @param {Object} user - Telegram user
+ * @param {string} modelName - Model to select
+ */
+async function runSelectionFlow(user, modelName) {
+  const sentTo = (text) => (call) =>
+    call.payload.chat_id === user.id && call.payload.text.startsWith(text);
+
+  await simulator.sendText(user, "/start");
+  await telegram.waitForCall("sendMessage", sentTo("Welcome"));
+
+  await simulator.pressButton(user, "accept_policy");
+  await telegram.waitForCall("sendMessage", sentTo("You're all set"), 60000);
+
+  await simulator.sendText(user, "🔄 Change Model");
+  const menu = await telegram.waitForCall(
+    "sendMessage",
+    sentTo("🤖 Available Models"),
+    60000
+  );
+
+  // A scrape also lists the HTTP provider's models, which are not checked here
+  const buttons = menu.payload.reply_markup.inline_keyboard
+    .flat()
+    .filter(
+      (button) =>
+        button.callback_data !== "provider_header" &&
+        !MOCK_MODEL_IDS.some(
+          (id) => button.callback_data === modelButton("view_model", id)
+        )
+    );
+  assert.deepStrictEqual(
+    buttons.map((button) => button.callback_data),
+    [
+      ...FIXTURE_MODELS.map((model) => modelButton("view_model", model.name)),
+      "close_menu",
+    ]
+  );
+
+  await simulator.pressButton(user, modelButton("view_model", modelName));
+  await telegram.waitForCall("editMessageText", (call) =>
+    JSON.stringify(call.payload.reply_markup || {}).includes(
+      modelButton("select_model", modelName)
+    )
+  );
+
+  await simulator.pressButton(user, modelButton("select_model", modelName));
+
+  await telegram.waitForCall(
+    "answerCallbackQuery",
+    (call) => call.payload.text === `✅ ${modelName} has been selected!`
+  );
+}
+
+test("selects a model using the cached catalog", async () => {
+  // A fresh catalog means no browser is needed
+  await require("../storage").getStorage().set("catalog", "current", {
+    models: FIXTURE_MODELS,
+    fetchedAt: new Date().toISOString(),
+  });
+
+  const user = createUser(1001);
+  await runSelectionFlow(user, "Claude Haiku 3.5");
+
+  const { getSelectedModel, hasAcceptedPolicy } = require("../storage/users");
+  assert.strictEqual(await hasAcceptedPolicy(user.id), true);
+  assert.strictEqual(await getSelectedModel(user.id), "Claude Haiku 3.5");
+});
+
+test("stops a shared catalog refresh only once nobody waits for it", async () => {
+  const storage = require("../storage").getStorage();
+  const { refreshCatalog } = require("../services/modelCatalog");
+  const cached = await storage.get("catalog", "current");
+  const changes = await storage.get("catalog", "changes");
+
+  try {
+    // A caller that gives up leaves the scrape to the one still waiting
+    let release = openai.hold();
+    const cancelled = new AbortController();
+    const waiting = new AbortController();
+    const first = refreshCatalog(cancelled.signal);
+    const second = refreshCatalog(waiting.signal);
+    cancelled.abort(new Error("cancelled"));
+    await assert.rejects(first, /cancelled/);
+    release();
+    assert.strictEqual((await second).success, true);
+
+    // Once the last caller gives up the scrape stops and stores nothing
+    await storage.set("catalog", "current", cached);
+    release = openai.hold();
+    const alone = new AbortController();
+    const last = refreshCatalog(alone.signal);
+    alone.abort(new Error("cancelled"));
+    await assert.rejects(last, /cancelled/);
+    release();
+    assert.deepStrictEqual(await storage.get("catalog", "current"), cached);
+  } finally {
+    await storage.set("catalog", "current", cached);
+    if (changes) {
+      await storage.set("catalog", "changes", changes);
+    } else {
+      await storage.delete("catalog", "changes");
+    }
+  }
+});
+
+test(
+  "scrapes the fixture site and answers a prompt",
+  { skip: !hasBrowser() && "Playwright browser is not installed" },
+  async () => {
+    // Force the accept step to scrape the fixture site
+    await require("../storage").getStorage().delete("catalog", "current");
+
+    const user = createUser(1002);
+    await runSelectionFlow(user, "GPT-4o mini");
+
+    await simulator.sendText(user, "hello there");
+    await telegram.waitForCall(
+      "editMessageText",
+      (call) =>
+        call.payload.chat_id === user.id &&
+        call.payload.text === "GPT-4o mini says: hello there",
+      60000
+    );
+  }
+);
+
+test(
+  "hands the anomaly challenge to an admin",
+  {
+    skip: !hasBrowser() && "Playwright browser is not installed",
+  },
+  async () => {
+    const config = require("../config/config");
+    const { navigateToDuckAI, closeSession } = require("../automation/tasks");
+    const admin = createUser(1);
+
+    const baseUrl = config.duckai.baseUrl;
+    config.duckai.baseUrl = `${fixtureServer.url}anomaly/`;
+
+    try {
+      const scrape = navigateToDuckAI("anomaly-test");
+
+      // Uploads send the chat ID as a string
+      const photo = await telegram.waitForCall(
+        "sendPhoto",
+        (call) => Number(call.payload.chat_id) === admin.id,
+        60000
+      );
+      assert.match(photo.payload.caption, /CAPTCHA/);
+
+      const typeButton = photo.payload.reply_markup.inline_keyboard
+        .flat()
+        .find((button) => button.callback_data.startsWith("challenge_type_"));
+      const challengeId = typeButton.callback_data.split("_").pop();
+
+      await simulator.pressButton(admin, typeButton.callback_data);
+      await telegram.waitForCall("sendMessage", (call) =>
+        call.payload.text.startsWith("⌨️ Send the text")
+      );
+
+      await simulator.sendText(admin, "human");
+      await telegram.waitForCall("editMessageMedia", () => true, 30000);
+
+      await simulator.pressButton(admin, `challenge_enter_${challengeId}`);
+      await telegram.waitForCall(
+        "editMessageCaption",
+        (call) => call.payload.caption.startsWith("✅"),
+        30000
+      );
+
+      // The paused scrape carries on once the challenge is gone
+      const result = await scrape;
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.models.length, FIXTURE_MODELS.length);
+    } finally {
+      config.duckai.baseUrl = baseUrl;
+      await closeSession("anomaly-test");
+    }
+  }
+);
+
+test(
+  "stops waiting on the challenge once the job is cancelled",
+  {
+    skip: !hasBrowser() && "Playwright browser is not installed",
+  },
+  async () => {
+    const config = require("../config/config");
+    const { navigateToDuckAI, closeSession } = require("../automation/tasks");
+    const { getQueueStats } = require("../automation/queue");
+    const admin = createUser(1);
+    const controller = new AbortController();
+    const sentBefore = telegram.calls.length;
+
+    const baseUrl = config.duckai.baseUrl;
+    config.duckai.baseUrl = `${fixtureServer.url}anomaly/`;
+
+    try {
+      const scrape = navigateToDuckAI(
+        "anomaly-cancel",
+        true,
+        controller.signal
+      );
+      await telegram.waitForCall(
+        "sendPhoto",
+        (call) =>
+          telegram.calls.indexOf(call) >= sentBefore &&
+          Number(call.payload.chat_id) === admin.id,
+        60000
+      );
+      assert.strictEqual(getQueueStats().paused, true);
+
+      controller.abort(new Error("The job was cancelled"));
+      const result = await scrape;
+      assert.strictEqual(result.success, false);
+      assert.match(result.message, /cancelled/);
+      assert.strictEqual(getQueueStats().paused, false);
+    } finally {
+      config.duckai.baseUrl = baseUrl;
+      await closeSession("anomaly-cancel");
+    }
+  }
+);
+
+test("lists, reopens and exports conversations", async () => {
+  const user = createUser(1003);
+  const { saveUser } = require("../storage/users");
+  const { recordExchange } = require("../services/history");
+
+  await saveUser({ id: user.id, chatId: user.id, chatType: "private" });
+  const thread = await recordExchange(user.id, {
+    prompt: "What is a duck?",
+    answer: "A water bird.",
+    model: "GPT-4o mini",
+  });
+
+  await simulator.sendText(user, "/history");
+  await telegram.waitForCall(
+    "sendMessage",
+    (call) =>
+      call.payload.chat_id === user.id &&
+      call.payload.text === "🗂 Recent conversations:"
+  );
+
+  await simulator.pressButton(user, `history_view_${thread.id}`);
+  await telegram.waitForCall("editMessageText", (call) =>
+    call.payload.text.startsWith("💬 What is a duck?")
+  );
+
+  await simulator.pressButton(user, `history_export_md_${thread.id}`);
+  await telegram.waitForCall("sendDocument");
+
+  // Without an open browser page there is nothing to clear
+  await simulator.pressButton(user, `history_resume_${thread.id}`);
+  await telegram.waitForCall("editMessageText", (call) =>
+    call.payload.text.startsWith('▶️ Continuing "What is a duck?"')
+  );
+
+  const { buildPrompt } = require("../services/history");
+  assert.match(
+    await buildPrompt(user.id, "And a goose?"),
+    /User: What is a duck\?\n\nAssistant: A water bird\.[\s\S]*User: And a goose\?$/
+  );
+
+  await simulator.sendText(user, "/new");
+  await telegram.waitForCall("editMessageText", (call) =>
+    call.payload.text.startsWith("🆕 New conversation started")
+  );
+  assert.strictEqual(await buildPrompt(user.id, "Hi"), "Hi");
+});
+
+test("changes preferences from the settings menu", async () => {
+  const user = createUser(1004);
+  const { saveUser, getPreferences } = require("../storage/users");
+
+  await saveUser({ id: user.id, chatId: user.id, chatType: "private" });
+
+  await simulator.sendText(user, "⚙️ Settings");
+  await telegram.waitForCall(
+    "sendMessage",
+    (call) =>
+      call.payload.chat_id === user.id &&
+      call.payload.text.startsWith("⚙️ Settings")
+  );
+
+  await simulator.pressButton(user, "settings_menu_replyFormat");
+  await telegram.waitForCall("editMessageText", (call) =>
+    call.payload.text.startsWith("📝 How answers are formatted")
+  );
+
+  await simulator.pressButton(user, "settings_set_replyFormat_markdown");
+  await telegram.waitForCall("editMessageText", (call) =>
+    call.payload.text.includes("📝 Reply format: Markdown")
+  );
+
+  await telegram.waitForCall(
+    "answerCallbackQuery",
+    (call) => call.payload.text === "✅ Saved"
+  );
+
+  telegram.clearCalls();
+  await simulator.pressButton(user, "settings_toggle_streaming");
+  await telegram.waitForCall("editMessageText", (call) =>
+    call.payload.text.includes("📡 Streaming: off")
+  );
+  await telegram.waitForCall(
+    "answerCallbackQuery",
+    (call) => call.payload.text === "✅ Saved"
+  );
+
+  const preferences = await getPreferences(user.id);
+  assert.strictEqual(preferences.replyFormat, "markdown");
+  assert.strictEqual(preferences.streaming, false);
+});
+
+test("bans users and broadcasts to everyone else", async () => {
+  const admin = createUser(1);
+  const user = createUser(1005);
+  const { saveUser } = require("../storage/users");
+
+  await saveUser({ id: user.id, chatId: user.id, chatType: "private" });
+
+  await simulator.sendText(user, "/stats");
+  await telegram.waitForCall(
+    "sendMessage",
+    (call) =>
+      call.payload.chat_id === user.id &&
+      call.payload.text.startsWith("⛔ This command is only available")
+  );
+
+  await simulator.sendText(admin, `/ban ${user.id} spamming`);
+  await telegram.waitForCall("sendMessage", (call) =>
+    call.payload.text.startsWith("🚫 Banned")
+  );
+
+  await simulator.sendText(user, "/help");
+  await telegram.waitForCall(
+    "sendMessage",
+    (call) =>
+      call.payload.chat_id === user.id &&
+      call.payload.text.endsWith("Reason: spamming")
+  );
+
+  telegram.clearCalls();
+  await simulator.sendText(admin, "/broadcast Scheduled maintenance tonight");
+  const report = await telegram.waitForCall("editMessageText", (call) =>
+    call.payload.text.startsWith("📣 Broadcast finished")
+  );
+
+  const recipients = telegram.calls
+    .filter(
+      (call) =>
+        call.method === "sendMessage" &&
+        call.payload.text === "Scheduled maintenance tonight"
+    )
+    .map((call) => call.payload.chat_id);
+
+  assert.ok(!recipients.includes(user.id));
+  assert.match(
+    report.payload.text,
+    new RegExp(`Delivered: ${recipients.length}`)
+  );
+});
+
+test("asks users to slow down when they exceed the rate limit", async () => {
+  const config = require("../config/config");
+  const user = createUser(1006);
+  const defaultLimit = config.rateLimit.default;
+  config.rateLimit.default = { capacity: 2, refillSeconds: 60 };
+
+  try {
+    const { getStorage } = require("../storage");
+    const { flushRateLimits } = require("../middleware/rateLimit");
+
+    await simulator.sendText(user, "/help");
+    await simulator.sendText(user, "/help");
+
+    // Counters are written and dropped from memory, as on a restart
+    await flushRateLimits();
+    const stored = await getStorage().get("rateLimits", user.id);
+    assert.ok(stored.buckets.default.tokens < 1);
+
+    await simulator.sendText(user, "/help");
+
+    await telegram.waitForCall(
+      "sendMessage",
+      (call) =>
+        call.payload.chat_id === user.id &&
+        /^⏳ Slow down a little! Please try again in \d+ seconds\.$/.test(
+          call.payload.text
+        )
+    );
+
+    const helpReplies = telegram.calls.filter(
+      (call) =>
+        call.payload.chat_id === user.id &&
+        call.payload.text.startsWith("📚 Help Information")
+    );
+    assert.strictEqual(helpReplies.length, 2);
+  } finally {
+    config.rateLimit.default = defaultLimit;
+  }
+});
+
+test("suggests image-capable models for photos and blocks stickers", async () => {
+  const user = createUser(1007);
+  const { saveUser, setSelectedModel } = require("../storage/users");
+
+  await saveUser({ id: user.id, chatId: user.id, chatType: "private" });
+  await setSelectedModel(user.id, "Claude Haiku 3.5");
+
+  await simulator.sendPhoto(user, "What is in this picture?");
+  const suggestion = await telegram.waitForCall(
+    "sendMessage",
+    (call) =>
+      call.payload.chat_id === user.id &&
+      call.payload.text.startsWith("📷 Claude Haiku 3.5 can't read images")
+  );
+  assert.deepStrictEqual(
+    suggestion.payload.reply_markup.inline_keyboard.flat().map((b) => b.text),
+    ["📷 GPT-4o mini"]
+  );
+
+  await simulator.sendMessage(user, {
+    sticker: { file_id: "sticker", file_unique_id: "sticker", type: "regular" },
+  });
+  await telegram.waitForCall(
+    "sendMessage",
+    (call) =>
+      call.payload.chat_id === user.id &&
+      call.payload.text.startsWith(
+        "This bot only accepts text messages, photos"
+      )
+  );
+  await telegram.waitForCall(
+    "deleteMessage",
+    (call) => call.payload.chat_id === user.id
+  );
+});
+
+test("explains unsupported documents and splits long ones", async () => {
+  const user = createUser(1008);
+  const { saveUser } = require("../storage/users");
+
+  await saveUser({ id: user.id, chatId: user.id, chatType: "private" });
+
+  await simulator.sendMessage(user, {
+    document: {
+      file_id: "report",
+      file_unique_id: "report",
+      file_name: "report.pdf",
+      mime_type: "application/pdf",
+      file_size: 2048,
+    },
+    caption: "Summarize this",
+  });
+  await telegram.waitForCall(
+    "sendMessage",
+    (call) =>
+      call.payload.chat_id === user.id &&
+      call.payload.text.startsWith(
+        '📄 I can\'t read "report.pdf".\n\nPDF files'
+      )
+  );
+
+  const config = require("../config/config");
+  const { buildDocumentPrompts } = require("../services/documents");
+  const line = "x".repeat(99);
+  const text = Array(300).fill(line).join("\n");
+
+  const prompts = buildDocumentPrompts("big.log", text, "Any errors?");
+  assert.strictEqual(
+    prompts.length,
+    Math.ceil(text.length / config.media.documentChunkSize)
+  );
+  assert.match(prompts[0], /This is part 1 of 3\. Reply only with "OK"/);
+  assert.match(prompts[2], /Now that you have the whole file: Any errors\?$/);
+  assert.strictEqual(
+    prompts.map((p) => p.match(/x{99}/g).length).reduce((a, b) => a + b),
+    300
+  );
+});
+
+test("answers through an OpenAI-compatible provider", async () => {
+  const user = createUser(1009);
+  const sentTo = (text) => (call) =>
+    call.payload.chat_id === user.id && call.payload.text.startsWith(text);
+  const answered = (text) => (call) =>
+    call.payload.chat_id === user.id && call.payload.text === text;
+  const { saveUser } = require("../storage/users");
+
+  await saveUser({ id: user.id, chatId: user.id, chatType: "private" });
+
+  // duck.ai fails without a browser and keeps its cached models
+  await simulator.sendText(user, "/open");
+  await telegram.waitForCall(
+    "sendMessage",
+    sentTo("✅ Successfully loaded"),
+    60000
+  );
+
+  await simulator.sendText(user, "🔄 Change Model");
+  const menu = await telegram.waitForCall(
+    "sendMessage",
+    sentTo("🤖 Available Models")
+  );
+
+  const buttons = menu.payload.reply_markup.inline_keyboard.flat();
+  assert.deepStrictEqual(
+    buttons
+      .filter((button) => button.callback_data === "provider_header")
+      .map((button) => button.text),
+    ["— duck.ai —", "— Mock server —"]
+  );
+  assert.deepStrictEqual(
+    buttons.slice(-3).map((button) => button.callback_data),
+    [...MOCK_MODEL_IDS.map((id) => modelButton("view_model", id)), "close_menu"]
+  );
+
+  // Telegram rejects keyboards with callback data over 64 bytes
+  for (const button of buttons) {
+    assert.ok(Buffer.byteLength(button.callback_data) <= 64);
+  }
+
+  await simulator.pressButton(user, modelButton("view_model", "mock-llama"));
+  await telegram.waitForCall("editMessageText", (call) =>
+    JSON.stringify(call.payload.reply_markup || {}).includes(
+      modelButton("select_model", "mock-llama")
+    )
+  );
+  await simulator.pressButton(user, modelButton("select_model", "mock-llama"));
+  await telegram.waitForCall(
+    "answerCallbackQuery",
+    (call) => call.payload.text === "✅ mock-llama has been selected!"
+  );
+
+  // Earlier messages are sent again, the API does not remember them
+  await simulator.sendText(user, "hello");
+  await telegram.waitForCall(
+    "editMessageText",
+    answered("mock-llama echoes: hello (1 messages)")
+  );
+
+  await simulator.sendText(user, "again");
+  await telegram.waitForCall(
+    "editMessageText",
+    answered("mock-llama echoes: again (3 messages)")
+  );
+
+  await simulator.sendText(user, "/new");
+  await telegram.waitForCall("editMessageText", sentTo("🆕 New conversation"));
+
+  await simulator.sendText(user, "fresh start");
+  await telegram.waitForCall(
+    "editMessageText",
+    answered("mock-llama echoes: fresh start (1 messages)")
+  );
+  assert.ok(openai.requests.every((request) => request.stream));
+});
+
+test("fails on empty or error answers from an OpenAI-compatible provider", async () => {
+  const { createOpenAIProvider } = require("../providers/openai");
+  const provider = createOpenAIProvider({
+    baseUrl: openai.baseUrl,
+    name: "Mock server",
+  });
+  const ask = (onProgress) =>
+    provider.streamPrompt(
+      { sessionKey: "empty-answers", prompt: "hi", model: "mock-llama" },
+      onProgress
+    );
+
+  // Without and with streaming
+  for (const onProgress of [undefined, () => {}]) {
+    openai.respondWith({
+      choices: [
+        {
+          index: 0,
+          message: { role: "assistant", content: null },
+          delta: {},
+          finish_reason: "stop",
+        },
+      ],
+    });
+    let result = await ask(onProgress);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(
+      result.message,
+      "Error: The model returned an empty answer"
+    );
+
+    openai.respondWith({ error: { message: "Model is overloaded" } });
+    result = await ask(onProgress);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.message, "Error: Model is overloaded");
+  }
+
+  // Failed prompts are not remembered
+  const answer = await ask(() => {});
+  assert.strictEqual(answer.answer, "mock-llama echoes: hi (1 messages)");
+});
+
+test("forgets selected and default models the catalog dropped", async () => {
+  const user = createUser(1021);
+  const sentTo = (text) => (call) =>
+    call.payload.chat_id === user.id && call.payload.text.startsWith(text);
+  const {
+    saveUser,
+    setSelectedModel,
+    getSelectedModel,
+    setPreference,
+    getPreferences,
+  } = require("../storage/users");
+  const { notifyCatalogChanges } = require("../commands/handlers");
+
+  await saveUser({ id: user.id, chatId: user.id, chatType: "private" });
+  await setSelectedModel(user.id, "Retired model");
+  await setPreference(user.id, "defaultModel", "Retired model");
+
+  await notifyCatalogChanges(bot.telegram, {
+    added: [],
+    removed: [{ name: "Retired model" }],
+    changed: [],
+  });
+
+  await telegram.waitForCall(
+    "sendMessage",
+    sentTo('⚠️ Your selected model "Retired model"')
+  );
+  await telegram.waitForCall(
+    "sendMessage",
+    sentTo('⚠️ Your default model "Retired model"')
+  );
+  assert.strictEqual(await getSelectedModel(user.id), null);
+  assert.strictEqual((await getPreferences(user.id)).defaultModel, null);
+});
+
+test("retries the final answer when Telegram asks to slow down", async () => {
+  const user = createUser(1020);
+  const final = "mock-llama echoes: slow down (1 messages)";
+  const { saveUser, setSelectedModel } = require("../storage/users");
+
+  await saveUser({ id: user.id, chatId: user.id, chatType: "private" });
+  await setSelectedModel(user.id, "mock-llama");
+
+  telegram.floodNext(
+    "editMessageText",
+    (payload) => Number(payload.chat_id) === user.id && payload.text === final,
+    1
+  );
+
+  await simulator.sendText(user, "slow down");
+  const answer = await telegram.waitForCall(
+    "editMessageText",
+    (call) =>
+      call.payload.chat_id === user.id &&
+      call.payload.text === final &&
+      !!call.result
+  );
+
+  // The rejected edit came first, the answer was sent once retry_after passed
+  const attempts = telegram.calls.filter(
+    (call) =>
+      call.method === "editMessageText" &&
+      call.payload.chat_id === user.id &&
+      call.payload.text === final
+  );
+  assert.strictEqual(attempts.length, 2);
+  assert.strictEqual(attempts[0].result, undefined);
+  assert.strictEqual(answer, attempts[1]);
+});
+
+test("resets a chat's saved browser session", async () => {
+  const admin = createUser(1);
+  const storage = require("../storage").getStorage();
+  const sentTo = (text) => (call) =>
+    call.payload.chat_id === admin.id && call.payload.text.startsWith(text);
+
+  await storage.set("sessionState", "4242", { cookies: [], origins: [] });
+
+  await simulator.sendText(admin, "/resetsession 4242");
+  await telegram.waitForCall("sendMessage", sentTo("♻️ Browser session 4242"));
+  assert.strictEqual(await storage.get("sessionState", "4242"), undefined);
+
+  await simulator.sendText(admin, "/resetsession 4242");
+  await telegram.waitForCall(
+    "sendMessage",
+    sentTo("ℹ️ Browser session 4242 has no open context")
+  );
+});
+
+test("reports browser and queue health with /status", async () => {
+  const admin = createUser(1);
+
+  await simulator.sendText(admin, "/status");
+  const reply = await telegram.waitForCall(
+    "sendMessage",
+    (call) =>
+      call.payload.chat_id === admin.id &&
+      call.payload.text.startsWith("🩺 Bot status")
+  );
+
+  assert.match(reply.payload.text, /🌐 Browser: chromium, /);
+  assert.match(reply.payload.text, /🗂️ Contexts: \d+ open, \d+ pages/);
+  assert.match(reply.payload.text, /🤖 Last successful scrape: .+ ago/);
+  assert.match(reply.payload.text, /⏳ Queue: 0 running, 0 waiting/);
+});
+
+test("lists and sends diagnostics bundles with /debug", async () => {
+  const admin = createUser(1);
+  const config = require("../config/config");
+  const sentTo = (text) => (call) =>
+    call.payload.chat_id === admin.id && call.payload.text.startsWith(text);
+
+  await simulator.sendText(admin, "/debug");
+  await telegram.waitForCall("sendMessage", sentTo("🐞 No failed runs"));
+
+  // A bundle as written for a failed scrape
+  const dir = path.join(config.diagnostics.dir, "0badc0de");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, "meta.json"),
+    JSON.stringify({
+      runId: "0badc0de",
+      name: "scrape",
+      sessionKey: "catalog",
+      url: "https://duck.ai/",
+      error: "Timeout 10000ms exceeded",
+      startedAt: "2025-01-01T10:00:00.000Z",
+      failedAt: "2025-01-01T10:00:10.000Z",
+    })
+  );
+  fs.writeFileSync(path.join(dir, "console.log"), "[error] boom");
+  fs.writeFileSync(path.join(dir, "page.html"), "<html></html>");
+
+  await simulator.sendText(admin, "/debug");
+  await telegram.waitForCall("sendMessage", sentTo("🐞 Recent failed runs"));
+
+  telegram.clearCalls();
+  await simulator.sendText(admin, "/debug 0badc0de");
+  await telegram.waitForCall("sendMessage", sentTo("🐞 Run 0badc0de (scrape)"));
+  await telegram.waitForCall(
+    "sendDocument",
+    (call) => call.payload.document.filename === "0badc0de-page.html"
+  );
+
+  await simulator.sendText(admin, "/debug ../../etc");
+  await telegram.waitForCall(
+    "sendMessage",
+    sentTo("❌ No diagnostics found for run ../../etc")
+  );
+});
+
+test("layers the config file under the environment and reports every problem", () => {
+  const { loadConfig } = require("../config/loader");
+  const file = path.join(dataDir, "config.json");
+
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      queue: { concurrency: 4, jobTimeout: 60 },
+      playwright: {
+        viewport: { width: 1280 },
+        proxy: { server: "http://proxy:3128" },
+      },
+      storage: { driver: "sqlite" },
+    })
+  );
+
+  const valid = loadConfig({
+    BOT_TOKEN: "123456:TEST",
+    CONFIG_FILE: file,
+    QUEUE_CONCURRENCY: "3",
+    BROWSER_ARGS: "--no-sandbox --lang=de",
+  });
+  assert.deepStrictEqual(valid.problems, []);
+  assert.strictEqual(valid.config.queue.concurrency, 3);
+  assert.strictEqual(valid.config.queue.jobTimeout, 60 * 1000);
+  assert.deepStrictEqual(valid.config.playwright.viewport, {
+    width: 1280,
+    height: 1080,
+  });
+  assert.strictEqual(valid.config.playwright.proxy.server, "http://proxy:3128");
+  assert.deepStrictEqual(valid.config.playwright.launchArgs, [
+    "--no-sandbox",
+    "--lang=de",
+  ]);
+  assert.strictEqual(valid.config.storage.driver, "sqlite");
+
+  fs.writeFileSync(
+    file,
+    JSON.stringify({ queue: { concurrency: "many" }, typo: true })
+  );
+
+  const invalid = loadConfig({
+    CONFIG_FILE: file,
+    HEADLESS: "maybe",
+    MAX_BROWSER_CONTEXTS: "0",
+    STORAGE_DRIVER: "mongo",
+    DUCKAI_URL: "duck.ai",
+    PROXY_USERNAME: "bot",
+  });
+  assert.deepStrictEqual(invalid.problems, [
+    "typo: unknown setting in the config file",
+    "telegram.botToken (set BOT_TOKEN): is required",
+    'playwright.headless (HEADLESS): must be true or false, got "maybe"',
+    "playwright.maxContexts (MAX_BROWSER_CONTEXTS): must be at least 1, got 0",
+    'duckai.baseUrl (DUCKAI_URL): must be an absolute URL, got "duck.ai"',
+    'queue.concurrency (config file): must be a whole number, got "many"',
+    'storage.driver (STORAGE_DRIVER): must be one of json, sqlite, got "mongo"',
+    "playwright.proxy: username, password and bypass need a server (PROXY_SERVER)",
+  ]);
+  // Invalid values fall back to their defaults
+  assert.strictEqual(invalid.config.playwright.maxContexts, 5);
+});
+
+test("uses a launch and stealth profile per browser engine", () => {
+  const { loadConfig } = require("../config/loader");
+  const { getBrowserProfile } = require("../automation/browserProfiles");
+
+  const { problems } = loadConfig({
+    BOT_TOKEN: "123456:TEST",
+    BROWSER_TYPE: "firefox",
+    BROWSER_CHANNEL: "chrome",
+  });
+  assert.deepStrictEqual(problems, [
+    "playwright.channel: channels only exist for chromium, clear BROWSER_CHANNEL to use the bundled firefox",
+  ]);
+
+  const chromium = getBrowserProfile("chromium");
+  assert.ok(
+    chromium
+      .getLaunchOptions({ width: 1280, height: 720 })
+      .args.includes("--window-size=1280,720")
+  );
+  assert.match(chromium.userAgent, /Chrome\//);
+
+  const firefox = getBrowserProfile("firefox");
+  assert.deepStrictEqual(firefox.getLaunchOptions().args, []);
+  assert.strictEqual(
+    firefox.getLaunchOptions().firefoxUserPrefs["dom.webdriver.enabled"],
+    false
+  );
+  assert.match(firefox.userAgent, /Firefox\//);
+  assert.doesNotMatch(firefox.stealthScript.toString(), /window\.chrome/);
+
+  assert.match(getBrowserProfile("webkit").userAgent, /Safari\//);
+  assert.throws(() => getBrowserProfile("opera"), /Unknown browser engine/);
+});
+
+test("takes webhook updates and answers health checks", async () => {
+  const config = require("../config/config");
+  const {
+    startWebServer,
+    stopWebServer,
+    markBotStarted,
+    startDraining,
+  } = require("../services/webServer");
+  const user = createUser(1010);
+
+  config.telegram.mode = "webhook";
+  config.telegram.webhookUrl = "https://bot.example.com/";
+  config.telegram.webhookSecret = "test-secret";
+
+  try {
+    const { port } = await startWebServer(bot, {
+      port: 0,
+      host: "127.0.0.1",
+    });
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    const webhook = await telegram.waitForCall("setWebhook");
+    assert.strictEqual(
+      webhook.payload.url,
+      "https://bot.example.com/telegram/test-secret"
+    );
+    assert.strictEqual(webhook.payload.secret_token, "test-secret");
+
+    const postUpdate = (secret) =>
+      fetch(`${baseUrl}/telegram/test-secret`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Telegram-Bot-Api-Secret-Token": secret,
+        },
+        body: JSON.stringify({
+          update_id: 900001,
+          message: {
+            message_id: 1,
+            date: Math.floor(Date.now() / 1000),
+            chat: { id: user.id, type: "private" },
+            from: user,
+            text: "/help",
+            entities: [{ type: "bot_command", offset: 0, length: 5 }],
+          },
+        }),
+      });
+
+    assert.strictEqual((await postUpdate("wrong")).status, 403);
+
+    assert.strictEqual((await postUpdate("test-secret")).status, 200);
+    await telegram.waitForCall(
+      "sendMessage",
+      (call) =>
+        call.payload.chat_id === user.id &&
+        call.payload.text.startsWith("📚 Help Information")
+    );
+
+    // A character split across two chunks still decodes
+    const { saveUser, setSelectedModel } = require("../storage/users");
+    await saveUser({ id: user.id, chatId: user.id, chatType: "private" });
+    await setSelectedModel(user.id, "mock-llama");
+    const raw = Buffer.from(
+      JSON.stringify({
+        update_id: 900002,
+        message: {
+          message_id: 2,
+          date: Math.floor(Date.now() / 1000),
+          chat: { id: user.id, type: "private" },
+          from: user,
+          text: "quack 🦆",
+        },
+      })
+    );
+    const split = raw.indexOf(Buffer.from("🦆")) + 2;
+    const status = await new Promise((resolve, reject) => {
+      const req = http.request(`${baseUrl}/telegram/test-secret`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Telegram-Bot-Api-Secret-Token": "test-secret",
+        },
+      });
+      req.on("response", (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on("error", reject);
+      req.write(raw.subarray(0, split));
+      setTimeout(() => req.end(raw.subarray(split)), 50);
+    });
+    assert.strictEqual(status, 200);
+    await telegram.waitForCall(
+      "editMessageText",
+      (call) =>
+        call.payload.chat_id === user.id &&
+        call.payload.text === "mock-llama echoes: quack 🦆 (1 messages)"
+    );
+
+    // The size limit counts bytes, not characters
+    const oversized = await fetch(`${baseUrl}/telegram/test-secret`, {
+      method: "POST",
+      headers: { "X-Telegram-Bot-Api-Secret-Token": "test-secret" },
+      body: JSON.stringify({ text: "é".repeat(600 * 1024) }),
+    });
+    assert.strictEqual(oversized.status, 413);
+
+    const health = await fetch(`${baseUrl}/healthz`);
+    assert.strictEqual(health.status, 200);
+    assert.strictEqual((await health.json()).status, "ok");
+
+    // Not started yet
+    let ready = await fetch(`${baseUrl}/readyz`);
+    assert.strictEqual(ready.status, 503);
+    assert.strictEqual((await ready.json()).checks.bot.detail, "starting");
+
+    markBotStarted();
+    ready = await (await fetch(`${baseUrl}/readyz`)).json();
+    assert.strictEqual(ready.checks.bot.ok, true);
+    assert.ok(ready.checks.catalog);
+
+    // Draining refuses new updates so Telegram retries them elsewhere
+    startDraining();
+    assert.strictEqual((await postUpdate("test-secret")).status, 503);
+    ready = await fetch(`${baseUrl}/readyz`);
+    assert.strictEqual(ready.status, 503);
+  } finally {
+    await stopWebServer();
+    config.telegram.mode = "polling";
+    config.telegram.webhookUrl = "";
+    config.telegram.webhookSecret = "";
+  }
+});
+
+test("has every message in every locale with the same placeholders", () => {
+  const { getLocales, getCatalogEntries } = require("../utils/i18n");
+
+  const placeholders = (entry) =>
+    [
+      ...new Set(
+        (typeof entry === "string" ? [entry] : Object.values(entry)).flatMap(
+          (text) => text.match(/\{\w+\}/g) || []
+        )
+      ),
+    ].sort();
+
+  const english = getCatalogEntries("en");
+  assert.ok(getLocales().length > 1);
+
+  for (const locale of getLocales()) {
+    const entries = getCatalogEntries(locale);
+
+    assert.deepStrictEqual(
+      Object.keys(entries).sort(),
+      Object.keys(english).sort(),
+      `${locale} must have exactly the keys of en`
+    );
+
+    for (const [key, entry] of Object.entries(entries)) {
+      assert.deepStrictEqual(
+        placeholders(entry),
+        placeholders(english[key]),
+        `${locale} ${key} must use the placeholders of en`
+      );
+    }
+  }
+
+  // Every message the code asks for must be in the catalogs
+  const root = path.join(__dirname, "..");
+  const sources = ["bot.js", "commands", "middleware", "services"].flatMap(
+    (entry) =>
+      entry.endsWith(".js")
+        ? [path.join(root, entry)]
+        : fs
+            .readdirSync(path.join(root, entry))
+            .filter((file) => file.endsWith(".js"))
+            .map((file) => path.join(root, entry, file))
+  );
+
+  // Dotted string literals starting with a catalog section are message keys
+  const sections = new Set(
+    Object.keys(english).map((key) => key.split(".")[0])
+  );
+
+  for (const file of sources) {
+    const code = fs.readFileSync(file, "utf8");
+    const keys = [...code.matchAll(/"([a-z]\w*(?:\.\w+)+)"/g)]
+      .map((match) => match[1])
+      .filter((key) => sections.has(key.split(".")[0]));
+
+    for (const key of keys) {
+      assert.ok(
+        english[key] !== undefined,
+        `${path.relative(root, file)} uses ${key}, which en does not have`
+      );
+    }
+  }
+});
+
+test("answers in the user's language unless settings override it", async () => {
+  const user = createUser(1013, { language_code: "de" });
+  const { saveUser, getPreferences } = require("../storage/users");
+  const { translate } = require("../utils/i18n");
+
+  await saveUser({ id: user.id, chatId: user.id, chatType: "private" });
+
+  await simulator.sendText(user, "/help");
+  await telegram.waitForCall(
+    "sendMessage",
+    (call) =>
+      call.payload.chat_id === user.id &&
+      call.payload.text.startsWith("📚 Hilfe")
+  );
+
+  // Russian picks the plural form by count
+  assert.strictEqual(
+    translate("ru", "cancel.cancelled", { count: 3 }),
+    "🛑 Отменено 3 запроса."
+  );
+  assert.strictEqual(
+    translate("ru", "cancel.cancelled", { count: 5 }),
+    "🛑 Отменено 5 запросов."
+  );
+
+  await simulator.sendText(user, "⚙️ Einstellungen");
+  await telegram.waitForCall(
+    "sendMessage",
+    (call) =>
+      call.payload.chat_id === user.id &&
+      call.payload.text.includes("🌐 Sprache: Wie in Telegram (🇩🇪 Deutsch)")
+  );
+
+  await simulator.pressButton(user, "settings_menu_language");
+  await telegram.waitForCall("editMessageText", (call) =>
+    call.payload.text.startsWith("🌐 Sprache der Oberfläche")
+  );
+  await simulator.pressButton(user, "settings_set_language_en");
+  await telegram.waitForCall(
+    "sendMessage",
+    (call) =>
+      call.payload.chat_id === user.id &&
+      call.payload.text === "🌐 The interface is now in 🇬🇧 English." &&
+      JSON.stringify(call.payload.reply_markup).includes("🔄 Change Model")
+  );
+  assert.strictEqual((await getPreferences(user.id)).language, "en");
+
+  await simulator.pressButton(user, "settings_menu_language");
+  await telegram.waitForCall("editMessageText", (call) =>
+    call.payload.text.startsWith("🌐 Interface language")
+  );
+  await simulator.pressButton(user, "settings_set_language_auto");
+  await telegram.waitForCall(
+    "sendMessage",
+    (call) =>
+      call.payload.chat_id === user.id &&
+      call.payload.text === "🌐 Die Oberfläche ist jetzt auf 🇩🇪 Deutsch."
+  );
+  assert.strictEqual((await getPreferences(user.id)).language, null);
+});
+
+test("keeps taking updates while a prompt waits for its answer", async () => {
+  const user = createUser(1018);
+  const group = createGroupChat(-1002);
+  const sentTo = (text) => (call) =>
+    call.payload.chat_id === user.id && call.payload.text.startsWith(text);
+  const { saveUser, setSelectedModel } = require("../storage/users");
+
+  await saveUser({ id: user.id, chatId: user.id, chatType: "private" });
+  await setSelectedModel(user.id, "mock-llama");
+
+  const release = openai.hold();
+  try {
+    // The handler returns once the prompt is queued
+    await simulator.sendText(user, "take your time");
+    await telegram.waitForCall("sendMessage", sentTo("💭 Asking mock-llama"));
+
+    // Cancelling in another chat leaves the prompt alone
+    await simulator.sendText(user, "/cancel", { chat: group });
+    await telegram.waitForCall(
+      "sendMessage",
+      (call) =>
+        call.payload.chat_id === group.id &&
+        call.payload.text === "ℹ️ You have no requests in progress."
+    );
+
+    await simulator.sendText(user, "/cancel");
+    await telegram.waitForCall(
+      "sendMessage",
+      sentTo("🛑 Cancelled 1 request.")
+    );
+  } finally {
+    release();
+  }
+
+  assert.ok(
+    !telegram.calls.some(
+      (call) =>
+        call.method === "editMessageText" &&
+        sentTo("mock-llama echoes: take your time")(call)
+    )
+  );
+});
+
+test("answers groups when addressed and keeps menus to their owner", async () => {
+  const admin = createUser(1014);
+  const member = createUser(1015);
+  const group = createGroupChat(-1001);
+  const inGroup = (text) => (call) =>
+    call.payload.chat_id === group.id && call.payload.text.startsWith(text);
+  const { saveUser, getSelectedModel, getMenu } = require("../storage/users");
+
+  for (const user of [admin, member]) {
+    await saveUser({ id: user.id, chatId: group.id, chatType: "supergroup" });
+  }
+  telegram.setChatAdministrator(group.id, admin.id);
+
+  // Chatter between members is not for the bot
+  const chatter = await simulator.sendText(member, "hello everyone", {
+    chat: group,
+  });
+
+  await simulator.sendText(member, "/model", { chat: group });
+  await telegram.waitForCall(
+    "sendMessage",
+    inGroup("🔒 Only group admins can change this group's model.")
+  );
+
+  await simulator.sendText(admin, "/model", { chat: group });
+  const menu = await telegram.waitForCall(
+    "sendMessage",
+    inGroup("🤖 Available Models")
+  );
+
+  // The menu's owner is stored right after the menu is sent
+  while (!(await getMenu(group.id, menu.result.message_id))) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  await simulator.pressButton(member, "close_menu", group);
+  await telegram.waitForCall(
+    "answerCallbackQuery",
+    (call) =>
+      call.payload.text ===
+      "🔒 Only the person who opened this menu can use it."
+  );
+
+  await simulator.pressButton(
+    admin,
+    modelButton("view_model", "mock-llama"),
+    group
+  );
+  await telegram.waitForCall(
+    "editMessageText",
+    (call) =>
+      call.payload.chat_id === group.id &&
+      JSON.stringify(call.payload.reply_markup || {}).includes(
+        modelButton("select_model", "mock-llama")
+      )
+  );
+  await simulator.pressButton(
+    admin,
+    modelButton("select_model", "mock-llama"),
+    group
+  );
+  await telegram.waitForCall(
+    "answerCallbackQuery",
+    (call) => call.payload.text === "✅ mock-llama is now this group's model!"
+  );
+  assert.strictEqual(await getSelectedModel(group.id), "mock-llama");
+  assert.strictEqual(await getSelectedModel(admin.id), null);
+
+  await simulator.sendText(member, "@harness_bot hello", { chat: group });
+  const answer = await telegram.waitForCall(
+    "editMessageText",
+    inGroup("mock-llama echoes: hello (1 messages)")
+  );
+
+  await simulator.sendText(member, "and again", {
+    chat: group,
+    reply_to_message: telegram.messages.get(Number(answer.payload.message_id)),
+  });
+  await telegram.waitForCall(
+    "editMessageText",
+    inGroup("mock-llama echoes: and again (3 messages)")
+  );
+
+  await simulator.sendText(
+    member,
+    "Please @harness_bot review:\n  first line\n\nsecond line @harness_bot",
+    { chat: group }
+  );
+  await telegram.waitForCall(
+    "editMessageText",
+    inGroup(
+      "mock-llama echoes: Please review:\n  first line\n\nsecond line (5 messages)"
+    )
+  );
+
+  assert.ok(
+    !telegram.calls.some(
+      (call) => call.payload.reply_to_message_id === chatter.message_id
+    )
+  );
+});
+
+test("keeps private conversations out of groups", async () => {
+  const user = createUser(1019);
+  const group = createGroupChat(-1003);
+  const answered = (chatId, text) => (call) =>
+    call.payload.chat_id === chatId && call.payload.text === text;
+  const { saveUser, setSelectedModel } = require("../storage/users");
+  const { listThreads } = require("../services/history");
+
+  await saveUser({ id: user.id, chatId: user.id, chatType: "private" });
+  await setSelectedModel(user.id, "mock-llama");
+  await setSelectedModel(group.id, "mock-llama");
+
+  await simulator.sendText(user, "my secret plan");
+  await telegram.waitForCall(
+    "editMessageText",
+    answered(user.id, "mock-llama echoes: my secret plan (1 messages)")
+  );
+
+  // Reopening a private thread only replays it in the private chat
+  const [thread] = await listThreads(user.id);
+  await simulator.sendText(user, "/history");
+  await simulator.pressButton(user, `history_view_${thread.id}`);
+  await telegram.waitForCall("editMessageText", (call) =>
+    JSON.stringify(call.payload.reply_markup || {}).includes(
+      `history_resume_${thread.id}`
+    )
+  );
+  await simulator.pressButton(user, `history_resume_${thread.id}`);
+  await telegram.waitForCall("editMessageText", (call) =>
+    call.payload.text.startsWith("▶️ Continuing")
+  );
+
+  await simulator.sendText(user, "@harness_bot hello group", { chat: group });
+  await telegram.waitForCall(
+    "editMessageText",
+    answered(group.id, "mock-llama echoes: hello group (1 messages)")
+  );
+
+  assert.deepStrictEqual(
+    (await listThreads(user.id)).map((t) => t.messages.length),
+    [2]
+  );
+  assert.deepStrictEqual(
+    (await listThreads(group.id)).map((t) => t.title),
+    ["hello group"]
+  );
+});
+
+test("answers inline queries with the selected model and caches answers", async () => {
+  const stranger = createUser(1016);
+  const user = createUser(1017);
+  const answering = (inlineQuery) => (call) =>
+    call.payload.inline_query_id === inlineQuery.id;
+  const { saveUser, setSelectedModel } = require("../storage/users");
+
+  const unknown = await simulator.sendInlineQuery(stranger, "hello");
+  const startFirst = await telegram.waitForCall(
+    "answerInlineQuery",
+    answering(unknown)
+  );
+  assert.deepStrictEqual(startFirst.payload.results, []);
+  assert.deepStrictEqual(startFirst.payload.button, {
+    text: "Start the bot to ask questions here",
+    start_parameter: "inline",
+  });
+
+  await saveUser({ id: user.id, chatId: user.id, chatType: "private" });
+  await setSelectedModel(user.id, "mock-llama");
+  const requestCount = openai.requests.length;
+
+  // Only the last of several quick keystrokes is sent to the model
+  const typing = simulator.sendInlineQuery(user, "what is");
+  const question = await simulator.sendInlineQuery(user, "what is 2+2");
+  const answer = await telegram.waitForCall(
+    "answerInlineQuery",
+    answering(question)
+  );
+  const [article] = answer.payload.results;
+
+  assert.strictEqual(article.title, "💬 Answer from mock-llama");
+  assert.strictEqual(
+    article.input_message_content.message_text,
+    "❓ what is 2+2\n\nmock-llama echoes: what is 2+2 (1 messages)"
+  );
+  assert.ok(!telegram.calls.some(answering(await typing)));
+  assert.strictEqual(openai.requests.length, requestCount + 1);
+
+  const repeated = await simulator.sendInlineQuery(user, "what is 2+2 ");
+  const cached = await telegram.waitForCall(
+    "answerInlineQuery",
+    answering(repeated)
+  );
+  assert.deepStrictEqual(cached.payload.results, answer.payload.results);
+  assert.strictEqual(openai.requests.length, requestCount + 1);
+});
@@ -0,0 +1,152 @@
+const http = require("http");
+
+/**
+ * Reads and parses a JSON request body
+ * @param {Object} req - Incoming request
+ * @returns {Promise<Object>} Parsed payload
+ */
+async function readJson(req) {
+  let raw = "";
+  for await (const chunk of req) {
+    raw += chunk;
+  }
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Starts a local server implementing the parts of the OpenAI API the HTTP
+ * provider uses. Every model echoes the last prompt and counts the messages
+ * it was sent, so tests can check the conversation is kept.
+ * @param {string[]} modelIds - Models reported by /v1/models
+ * @returns {Promise<Object>} Fake API with baseUrl, recorded requests and close
+ */
+async function startFakeOpenAI(modelIds) {
+  const requests = [];
+
+  // Resolves once held answers may be sent, see hold()
+  let released = Promise.resolve();
+
+  // Body sent instead of the next answer, see respondWith()
+  let override = null;
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === "GET" && req.url === "/v1/models") {
+      await released;
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({
+          object: "list",
+          data: modelIds.map((id) => ({ id, object: "model" })),
+        })
+      );
+      return;
+    }
+
+    if (req.method !== "POST" || req.url !== "/v1/chat/completions") {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: { message: "Not found" } }));
+      return;
+    }
+
+    const payload = await readJson(req);
+    requests.push(payload);
+    await released;
+
+    if (override) {
+      const body = override;
+      override = null;
+
+      if (!payload.stream) {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+        return;
+      }
+
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      res.write(`data: ${JSON.stringify(body)}\n\n`);
+      res.end("data: [DONE]\n\n");
+      return;
+    }
+
+    const prompt = payload.messages[payload.messages.length - 1].content;
+    const answer = `${payload.model} echoes: ${prompt} (${payload.messages.length} messages)`;
+
+    if (!payload.stream) {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({
+          choices: [
+            {
+              index: 0,
+              message: { role: "assistant", content: answer },
+              finish_reason: "stop",
+            },
+          ],
+        })
+      );
+      return;
+    }
+
+    // Stream the answer word by word like a real server would
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    const words = answer.split(/(?= )/);
+
+    for (const word of words) {
+      res.write(
+        `data: ${JSON.stringify({
+          choices: [
+            { index: 0, delta: { content: word }, finish_reason: null },
+          ],
+        })}\n\n`
+      );
+    }
+
+    res.write(
+      `data: ${JSON.stringify({
+        choices: [{ index: 0, delta: {}, finish_reason: "stop" }],
+      })}\n\n`
+    );
+    res.end("data: [DONE]\n\n");
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+    requests: requests,
+
+    /**
+     * Holds back answers and model lists until the returned function is called
+     * @returns {Function} Releases the held answers
+     */
+    hold() {
+      let release;
+      released = new Promise((resolve) => {
+        release = resolve;
+      });
+      return release;
+    },
+
+    /**
+     * Sends a body instead of the next answer, as JSON or as a single event
+     * @param {Object} body - Response body, e.g. with an error and no choices
+     */
+    respondWith(body) {
+      override = body;
+    },
+
+    /**
+     * Stops the server, dropping keep-alive connections
+     */
+    close() {
+      return new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      });
+    },
+  };
+}
+
+module.exports = {
+  startFakeOpenAI,
+};
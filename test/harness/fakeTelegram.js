@@ -0,0 +1,485 @@
+const http = require("http");
+
+// Identity the fake Bot API reports for getMe
+const BOT_INFO = {
+  id: 100000,
+  is_bot: true,
+  first_name: "Harness Bot",
+  username: "harness_bot",
+};
+
+// Content of every file downloaded from the fake API
+const FILE_CONTENT = Buffer.from("fake file content");
+
+/**
+ * Parses a multipart body, as sent for uploads. Files are replaced by
+ * their name and size.
+ * @param {string} raw - Request body
+ * @param {string} boundary - Multipart boundary
+ * @returns {Object} Parsed fields
+ */
+function parseMultipart(raw, boundary) {
+  const payload = {};
+
+  for (const part of raw.split(`--${boundary}`)) {
+    const headerEnd = part.indexOf("\r\n\r\n");
+    const name = part.slice(0, headerEnd).match(/name="([^"]+)"/);
+
+    if (headerEnd === -1 || !name) {
+      continue;
+    }
+
+    const value = part.slice(headerEnd + 4).replace(/\r\n$/, "");
+    const filename = part.slice(0, headerEnd).match(/filename="([^"]*)"/);
+
+    payload[name[1]] = filename
+      ? { filename: filename[1], size: value.length }
+      : value;
+  }
+
+  return payload;
+}
+
+/**
+ * Reads and parses a JSON, form encoded or multipart request body
+ * @param {Object} req - Incoming request
+ * @returns {Promise<Object>} Parsed payload
+ */
+async function readPayload(req) {
+  let raw = "";
+  for await (const chunk of req) {
+    raw += chunk;
+  }
+
+  if (!raw) {
+    return {};
+  }
+
+  const contentType = req.headers["content-type"] || "";
+
+  if (contentType.includes("application/json")) {
+    return JSON.parse(raw);
+  }
+
+  if (contentType.includes("multipart/form-data")) {
+    return parseMultipart(raw, contentType.split("boundary=")[1]);
+  }
+
+  return Object.fromEntries(new URLSearchParams(raw));
+}
+
+/**
+ * Starts a local server that answers Bot API calls like Telegram would
+ * and records every call for assertions
+ * @returns {Promise<Object>} Fake API with apiRoot, recorded calls and helpers
+ */
+async function startFakeTelegram() {
+  const calls = [];
+  const messages = new Map();
+  const waiters = [];
+  const chatAdministrators = new Set();
+  const floods = [];
+  let nextMessageId = 1;
+
+  /**
+   * Builds the result Telegram would return for a method
+   * @param {string} method - Bot API method
+   * @param {Object} payload - Call payload
+   * @returns {*} Result value
+   */
+  function respond(method, payload) {
+    const chatId = Number(payload.chat_id);
+
+    switch (method) {
+      case "getMe":
+        return BOT_INFO;
+
+      case "sendMessage": {
+        const message = {
+          message_id: nextMessageId++,
+          date: Math.floor(Date.now() / 1000),
+          chat: { id: chatId, type: chatId > 0 ? "private" : "group" },
+          from: BOT_INFO,
+          text: payload.text,
+          reply_markup: payload.reply_markup,
+        };
+        messages.set(message.message_id, message);
+        return message;
+      }
+
+      case "sendPhoto": {
+        const message = {
+          message_id: nextMessageId++,
+          date: Math.floor(Date.now() / 1000),
+          chat: { id: chatId, type: chatId > 0 ? "private" : "group" },
+          from: BOT_INFO,
+          photo: [{ file_id: "photo", file_unique_id: "photo" }],
+          caption: payload.caption,
+          reply_markup: payload.reply_markup,
+        };
+        messages.set(message.message_id, message);
+        return message;
+      }
+
+      case "editMessageCaption":
+      case "editMessageMedia": {
+        const message = messages.get(Number(payload.message_id));
+        if (!message) {
+          throw new Error("Bad Request: message to edit not found");
+        }
+        message.caption =
+          method === "editMessageMedia"
+            ? payload.media.caption
+            : payload.caption;
+        message.reply_markup = payload.reply_markup;
+        return message;
+      }
+
+      case "editMessageText": {
+        const message = messages.get(Number(payload.message_id));
+        if (!message) {
+          throw new Error("Bad Request: message to edit not found");
+        }
+        if (message.text === payload.text && !payload.reply_markup) {
+          throw new Error("Bad Request: message is not modified");
+        }
+        message.text = payload.text;
+        message.reply_markup = payload.reply_markup;
+        return message;
+      }
+
+      case "getFile":
+        return {
+          file_id: payload.file_id,
+          file_unique_id: payload.file_id,
+          file_size: FILE_CONTENT.length,
+          file_path: `files/${payload.file_id}.jpg`,
+        };
+
+      case "deleteMessage":
+        messages.delete(Number(payload.message_id));
+        return true;
+
+      case "getChatMember":
+        return {
+          user: { id: Number(payload.user_id), is_bot: false, first_name: "" },
+          status: chatAdministrators.has(`${chatId}:${payload.user_id}`)
+            ? "administrator"
+            : "member",
+        };
+
+      default:
+        return true;
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    // File downloads return the same bytes for every file
+    if (req.method === "GET" && req.url.startsWith("/file/")) {
+      res.writeHead(200, { "Content-Type": "application/octet-stream" });
+      res.end(FILE_CONTENT);
+      return;
+    }
+
+    const method = req.url.split("/").pop();
+    const payload = await readPayload(req);
+
+    // Telegraf sends nested objects as JSON strings in form requests
+    for (const field of ["reply_markup", "media"]) {
+      if (typeof payload[field] === "string") {
+        payload[field] = JSON.parse(payload[field]);
+      }
+    }
+
+    const flood = floods.find(
+      (entry) => entry.method === method && entry.predicate(payload)
+    );
+
+    let body;
+    if (flood) {
+      floods.splice(floods.indexOf(flood), 1);
+      body = {
+        ok: false,
+        error_code: 429,
+        description: `Too Many Requests: retry after ${flood.retryAfter}`,
+        parameters: { retry_after: flood.retryAfter },
+      };
+    } else {
+      try {
+        body = { ok: true, result: respond(method, payload) };
+      } catch (error) {
+        body = { ok: false, error_code: 400, description: error.message };
+      }
+    }
+
+    const call = { method: method, payload: payload, result: body.result };
+    calls.push(call);
+
+    // Resolve anyone waiting for this call
+    for (const waiter of [...waiters]) {
+      if (waiter.method === method && waiter.predicate(call)) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(call);
+      }
+    }
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    apiRoot: `http://127.0.0.1:${server.address().port}`,
+    botInfo: BOT_INFO,
+    calls: calls,
+    messages: messages,
+
+    /**
+     * Waits for a matching call, including ones that already happened
+     * @param {string} method - Bot API method
+     * @param {Function} [predicate] - Receives the call, returns true on match
+     * @param {number} [timeout=10000] - Time limit in milliseconds
+     * @returns {Promise<Object>} The matching call
+     */
+    waitForCall(method, predicate = () => true, timeout = 10000) {
+      const existing = calls.find(
+        (call) => call.method === method && predicate(call)
+      );
+      if (existing) {
+        return Promise.resolve(existing);
+      }
+
+      return new Promise((resolve, reject) => {
+        const waiter = { method, predicate, resolve };
+        waiters.push(waiter);
+
+        waiter.timer = setTimeout(() => {
+          const index = waiters.indexOf(waiter);
+          if (index !== -1) {
+            waiters.splice(index, 1);
+            reject(new Error(`Timed out waiting for ${method}`));
+          }
+        }, timeout);
+      });
+    },
+
+    /**
+     * Makes a user an administrator of a group, as reported by getChatMember
+     * @param {number} chatId - Group chat ID
+     * @param {number} userId - User ID
+     */
+    setChatAdministrator(chatId, userId) {
+      chatAdministrators.add(`${chatId}:${userId}`);
+    },
+
+    /**
+     * Makes the next matching call fail with flood control, like Telegram
+     * does when a bot edits or sends too often
+     * @param {string} method - Bot API method
+     * @param {Function} predicate - Called with the payload of each call
+     * @param {number} retryAfter - Seconds Telegram asks the bot to wait
+     */
+    floodNext(method, predicate, retryAfter) {
+      floods.push({ method, predicate, retryAfter });
+    },
+
+    /**
+     * Forgets recorded calls so later waits only see new ones
+     */
+    clearCalls() {
+      calls.length = 0;
+    },
+
+    /**
+     * Stops the server, dropping keep-alive connections
+     */
+    close() {
+      return new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      });
+    },
+  };
+}
+
+/**
+ * Creates a Telegram user object
+ * @param {number} id - User ID
+ * @param {Object} [overrides] - Extra user fields
+ * @returns {Object} Telegram user
+ */
+function createUser(id, overrides = {}) {
+  return {
+    id: id,
+    is_bot: false,
+    first_name: `User${id}`,
+    username: `user${id}`,
+    language_code: "en",
+    ...overrides,
+  };
+}
+
+/**
+ * Creates a Telegram group chat object
+ * @param {number} id - Chat ID, negative like real groups
+ * @returns {Object} Telegram chat
+ */
+function createGroupChat(id) {
+  return { id: id, type: "supergroup", title: `Group${-id}` };
+}
+
+/**
+ * Creates a simulator that injects updates into a bot as a given user
+ * @param {Object} bot - Telegraf bot created with the fake API root
+ * @param {Object} fakeTelegram - Fake API from startFakeTelegram
+ * @returns {Object} Simulator with sendText, sendInlineQuery and pressButton
+ */
+function createUpdateSimulator(bot, fakeTelegram) {
+  let nextUpdateId = 1;
+  let nextUserMessageId = 1000000;
+
+  const privateChat = (user) => ({
+    id: user.id,
+    type: "private",
+    first_name: user.first_name,
+    username: user.username,
+  });
+
+  return {
+    /**
+     * Sends a message with arbitrary content from the user to the bot
+     * @param {Object} user - Telegram user
+     * @param {Object} content - Message fields such as text, photo or caption, chat to send it in a group
+     * @returns {Promise<Object>} The injected message
+     */
+    async sendMessage(user, content) {
+      const message = {
+        message_id: nextUserMessageId++,
+        date: Math.floor(Date.now() / 1000),
+        chat: privateChat(user),
+        from: user,
+        ...content,
+      };
+
+      await bot.handleUpdate({ update_id: nextUpdateId++, message: message });
+      return message;
+    },
+
+    /**
+     * Sends a text message (or command) from the user to the bot
+     * @param {Object} user - Telegram user
+     * @param {string} text - Message text, @usernames become mention entities
+     * @param {Object} [extra] - Extra message fields such as chat or reply_to_message
+     * @returns {Promise<Object>} The injected message
+     */
+    sendText(user, text, extra = {}) {
+      const content = { text: text, entities: [], ...extra };
+
+      if (text.startsWith("/")) {
+        content.entities.push({
+          type: "bot_command",
+          offset: 0,
+          length: text.split(" ")[0].length,
+        });
+      }
+
+      for (const match of text.matchAll(/@\w+/g)) {
+        content.entities.push({
+          type: "mention",
+          offset: match.index,
+          length: match[0].length,
+        });
+      }
+
+      return this.sendMessage(user, content);
+    },
+
+    /**
+     * Sends a photo with an optional caption from the user to the bot
+     * @param {Object} user - Telegram user
+     * @param {string} [caption] - Photo caption
+     * @returns {Promise<Object>} The injected message
+     */
+    sendPhoto(user, caption) {
+      const photo = [
+        { file_id: "photo-small", file_unique_id: "s", width: 90, height: 90 },
+        {
+          file_id: "photo-large",
+          file_unique_id: "l",
+          width: 800,
+          height: 800,
+        },
+      ];
+
+      return this.sendMessage(user, caption ? { photo, caption } : { photo });
+    },
+
+    /**
+     * Types an inline query, as Telegram sends on every keystroke after "@bot"
+     * @param {Object} user - Telegram user
+     * @param {string} query - Text typed after the bot's username
+     * @returns {Promise<Object>} The injected inline query
+     */
+    async sendInlineQuery(user, query) {
+      const inlineQuery = {
+        id: String(nextUpdateId),
+        from: user,
+        query: query,
+        offset: "",
+      };
+
+      await bot.handleUpdate({
+        update_id: nextUpdateId++,
+        inline_query: inlineQuery,
+      });
+      return inlineQuery;
+    },
+
+    /**
+     * Presses an inline button on the latest bot message that has it
+     * @param {Object} user - Telegram user
+     * @param {string} callbackData - Callback data of the button
+     * @param {Object} [chat] - Chat the message is in, the user's private chat by default
+     * @returns {Promise<Object>} The injected callback query
+     */
+    async pressButton(user, callbackData, chat = privateChat(user)) {
+      const message = [...fakeTelegram.messages.values()]
+        .reverse()
+        .find(
+          (candidate) =>
+            candidate.chat.id === chat.id &&
+            candidate.reply_markup &&
+            (candidate.reply_markup.inline_keyboard || []).some((row) =>
+              row.some((button) => button.callback_data === callbackData)
+            )
+        );
+
+      if (!message) {
+        throw new Error(`No message with a "${callbackData}" button`);
+      }
+
+      const callbackQuery = {
+        id: String(nextUpdateId),
+        from: user,
+        chat_instance: String(user.id),
+        message: message,
+        data: callbackData,
+      };
+
+      await bot.handleUpdate({
+        update_id: nextUpdateId++,
+        callback_query: callbackQuery,
+      });
+      return callbackQuery;
+    },
+  };
+}
+
+module.exports = {
+  startFakeTelegram,
+  createUser,
+  createGroupChat,
+  createUpdateSimulator,
+};
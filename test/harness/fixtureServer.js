@@ -0,0 +1,65 @@
+const http = require("http");
+const fs = require("fs").promises;
+const path = require("path");
+
+// Recorded duck.ai pages, one directory per scenario
+const FIXTURES_DIR = path.join(__dirname, "../fixtures/duckai");
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".png": "image/png",
+};
+
+/**
+ * Starts a static server that serves the duck.ai fixtures.
+ * "/" serves the normal chat page, "/anomaly/" the CAPTCHA challenge.
+ * @param {number} [port=0] - Port to listen on, 0 picks a free one
+ * @returns {Promise<Object>} Object with the base url and a close function
+ */
+async function startFixtureServer(port = 0) {
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    let filePath = path.normalize(path.join(FIXTURES_DIR, pathname));
+
+    // Never serve files outside the fixtures directory
+    if (!filePath.startsWith(FIXTURES_DIR)) {
+      res.writeHead(403).end();
+      return;
+    }
+
+    if (pathname.endsWith("/")) {
+      filePath = path.join(filePath, "index.html");
+    }
+
+    try {
+      const body = await fs.readFile(filePath);
+      res.writeHead(200, {
+        "Content-Type":
+          CONTENT_TYPES[path.extname(filePath)] || "application/octet-stream",
+      });
+      res.end(body);
+    } catch (error) {
+      res.writeHead(404).end("Not found");
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  startFixtureServer,
+};
+
+// Allow browsing the fixtures manually: node test/harness/fixtureServer.js [port]
+if (require.main === module) {
+  startFixtureServer(parseInt(process.argv[2], 10) || 8080).then((server) => {
+    console.log(`Serving duck.ai fixtures at ${server.url}`);
+  });
+}
@@ -0,0 +1,161 @@
+/**
+ * Message catalogs for the bot's interface. Every locale is a JSON file in
+ * locales/ with the same nested keys as en.json. Values may contain
+ * {placeholders}; plural messages are objects keyed by the Intl plural
+ * category ("one", "few", "many", "other", ...) of the "count" placeholder.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const LOCALES_DIR = path.join(__dirname, "../locales");
+
+// Used for anything missing in a user's locale
+const DEFAULT_LOCALE = "en";
+
+// Flattened catalogs keyed by locale, then by dotted message key
+const catalogs = {};
+
+// Missing keys already reported, so logs are not flooded
+const reportedMissing = new Set();
+
+/**
+ * Checks whether a catalog entry is a plural message
+ * @param {*} value - Catalog entry
+ * @returns {boolean} True for objects with plural forms
+ */
+function isPluralEntry(value) {
+  return (
+    !!value && typeof value === "object" && typeof value.other === "string"
+  );
+}
+
+/**
+ * Flattens a nested catalog into dotted keys, keeping plural entries whole
+ * @param {Object} tree - Nested catalog
+ * @param {string} [prefix=""] - Key prefix
+ * @param {Object} [flat={}] - Collected entries
+ * @returns {Object} Entries keyed by dotted key
+ */
+function flattenCatalog(tree, prefix = "", flat = {}) {
+  for (const [key, value] of Object.entries(tree)) {
+    if (typeof value === "string" || isPluralEntry(value)) {
+      flat[`${prefix}${key}`] = value;
+    } else {
+      flattenCatalog(value, `${prefix}${key}.`, flat);
+    }
+  }
+
+  return flat;
+}
+
+for (const file of fs.readdirSync(LOCALES_DIR)) {
+  if (file.endsWith(".json")) {
+    catalogs[path.basename(file, ".json")] = flattenCatalog(
+      JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), "utf8"))
+    );
+  }
+}
+
+/**
+ * Returns the available locales, the default first
+ * @returns {string[]} Locale codes
+ */
+function getLocales() {
+  return [
+    DEFAULT_LOCALE,
+    ...Object.keys(catalogs)
+      .filter((locale) => locale !== DEFAULT_LOCALE)
+      .sort(),
+  ];
+}
+
+/**
+ * Returns the flattened catalog of a locale
+ * @param {string} locale - Locale code
+ * @returns {Object} Entries keyed by dotted key, empty for unknown locales
+ */
+function getCatalogEntries(locale) {
+  return catalogs[locale] || {};
+}
+
+/**
+ * Picks the locale for a user: their own choice from settings, then the
+ * language Telegram reports for them, then the default
+ * @param {string|null} preferred - Language chosen in settings, null to follow Telegram
+ * @param {string|null} languageCode - Telegram language code such as "de" or "pt-br"
+ * @returns {string} Locale code
+ */
+function resolveLocale(preferred, languageCode) {
+  if (preferred && catalogs[preferred]) {
+    return preferred;
+  }
+
+  const language = (languageCode || "").toLowerCase().split("-")[0];
+  return catalogs[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Translates a message
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted message key, e.g. "start.welcome"
+ * @param {Object} [params={}] - Placeholder values, "count" also picks the plural form
+ * @returns {string} Translated message, or the key if no catalog has it
+ */
+function translate(locale, key, params = {}) {
+  let entry = getCatalogEntries(locale)[key];
+
+  if (entry === undefined) {
+    entry = catalogs[DEFAULT_LOCALE][key];
+    locale = DEFAULT_LOCALE;
+  }
+
+  if (entry === undefined) {
+    if (!reportedMissing.has(key)) {
+      reportedMissing.add(key);
+      console.warn(`Missing translation: ${key}`);
+    }
+    return key;
+  }
+
+  if (isPluralEntry(entry)) {
+    const category = new Intl.PluralRules(locale).select(
+      Number(params.count) || 0
+    );
+    entry = entry[category] || entry.other;
+  }
+
+  return entry.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined && params[name] !== null
+      ? String(params[name])
+      : placeholder
+  );
+}
+
+/**
+ * Creates a translate function bound to a locale
+ * @param {string} locale - Locale code
+ * @returns {Function} Function taking a key and placeholder values
+ */
+function createTranslator(locale) {
+  return (key, params) => translate(locale, key, params);
+}
+
+/**
+ * Returns a message in every locale, e.g. to recognize keyboard buttons
+ * whatever language they were sent in
+ * @param {string} key - Dotted message key
+ * @returns {string[]} Distinct translations
+ */
+function getAllTranslations(key) {
+  return [...new Set(getLocales().map((locale) => translate(locale, key)))];
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  getLocales,
+  getCatalogEntries,
+  resolveLocale,
+  translate,
+  createTranslator,
+  getAllTranslations,
+};
@@ -0,0 +1,220 @@
+const { MAX_MESSAGE_LENGTH, splitMessage } = require("./text");
+const { DEFAULT_LOCALE, createTranslator } = require("./i18n");
+
+// Minimum delay between edits of the same message (Telegram allows roughly
+// one message per second in private chats and 20 per minute in groups)
+const PRIVATE_EDIT_INTERVAL = 1500;
+const GROUP_EDIT_INTERVAL = 3000;
+
+// Typing indicator lasts 5 seconds, so refresh it slightly earlier
+const TYPING_INTERVAL = 4500;
+
+// Cursor shown at the end of a partial answer
+const STREAMING_CURSOR = " ▌";
+
+// Times the final answer is sent again after hitting flood control
+const MAX_FINAL_EDIT_RETRIES = 3;
+
+/**
+ * Checks whether Telegram rejected a message because of invalid markup
+ * @param {Object} error - Telegram error
+ * @returns {boolean} True for entity parsing errors
+ */
+function isParseError(error) {
+  return /can't parse entities/i.test(error.message);
+}
+
+/**
+ * Creates a streamer that progressively edits a placeholder message with a growing answer
+ * @param {Object} ctx - Telegraf context
+ * @param {number} messageId - ID of the placeholder message to edit
+ * @param {Object} [options] - Streamer options
+ * @param {string} [options.parseMode] - Telegram parse mode of the final answer
+ * @param {boolean} [options.streaming=true] - Show partial answers while they are generated
+ * @returns {Object} Streamer with update, complete, stop and fail methods
+ */
+function createMessageStreamer(ctx, messageId, options = {}) {
+  const { parseMode, streaming = true } = options;
+  const t = ctx.t || createTranslator(DEFAULT_LOCALE);
+  const chatId = ctx.chat.id;
+  const editInterval =
+    ctx.chat.type === "private" ? PRIVATE_EDIT_INTERVAL : GROUP_EDIT_INTERVAL;
+
+  let lastSentText = "";
+  let latestText = "";
+  let pendingText = null;
+  let lastEditAt = 0;
+  let blockedUntil = 0;
+  let flushTimer = null;
+  let finished = false;
+  let editChain = Promise.resolve();
+
+  // Keep the typing indicator alive while the answer is generated
+  const sendTyping = () => ctx.sendChatAction("typing").catch(() => {});
+  sendTyping();
+  const typingTimer = setInterval(sendTyping, TYPING_INTERVAL);
+
+  /**
+   * Edits the placeholder message, remembering any flood-control backoff
+   * @param {string} text - New message text
+   * @param {string} [mode] - Telegram parse mode
+   * @returns {Promise<boolean>} False if flood control rejected the edit
+   */
+  async function edit(text, mode) {
+    if (text === lastSentText) {
+      return true;
+    }
+
+    try {
+      await ctx.telegram.editMessageText(
+        chatId,
+        messageId,
+        undefined,
+        text,
+        mode ? { parse_mode: mode } : {}
+      );
+      lastSentText = text;
+    } catch (error) {
+      const retryAfter = error.parameters && error.parameters.retry_after;
+
+      if (mode && isParseError(error)) {
+        // The answer is not valid markup, show it as plain text instead
+        return edit(text);
+      } else if (retryAfter) {
+        blockedUntil = Date.now() + retryAfter * 1000;
+        return false;
+      } else if (!/message is not modified/.test(error.message)) {
+        console.warn("Could not update streamed message:", error.message);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Waits until the next edit is allowed by the throttle and flood control
+   */
+  async function waitForEditSlot() {
+    const wait = Math.max(lastEditAt + editInterval, blockedUntil) - Date.now();
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Sends the most recent partial answer
+   */
+  function flush() {
+    flushTimer = null;
+
+    if (finished || pendingText === null) {
+      return;
+    }
+
+    const text = pendingText;
+    pendingText = null;
+    lastEditAt = Date.now();
+    editChain = editChain.then(() => edit(text));
+  }
+
+  /**
+   * Schedules an edit with the partial answer, respecting the throttle
+   * @param {string} text - Partial answer text
+   */
+  function update(text) {
+    if (finished || !text) {
+      return;
+    }
+
+    latestText = text;
+
+    if (!streaming) {
+      return;
+    }
+
+    // Only the beginning of very long answers fits into the preview
+    const maxPreview = MAX_MESSAGE_LENGTH - STREAMING_CURSOR.length - 1;
+    pendingText =
+      text.length > maxPreview
+        ? `${text.slice(0, maxPreview)}…`
+        : `${text}${STREAMING_CURSOR}`;
+
+    if (flushTimer) {
+      return;
+    }
+
+    const delay =
+      Math.max(lastEditAt + editInterval, blockedUntil) - Date.now();
+    flushTimer = setTimeout(flush, Math.max(0, delay));
+  }
+
+  /**
+   * Stops streaming and writes the final text, splitting it if necessary
+   * @param {string} text - Final message text
+   * @param {string} [mode] - Telegram parse mode
+   */
+  async function finish(text, mode) {
+    if (finished) {
+      return;
+    }
+
+    finished = true;
+    clearInterval(typingTimer);
+    clearTimeout(flushTimer);
+
+    // Let any in-flight edit settle
+    await editChain;
+
+    const [firstChunk, ...otherChunks] = splitMessage(text);
+
+    // The final answer must not be lost to flood control, wait it out and retry
+    for (let retry = 0; retry <= MAX_FINAL_EDIT_RETRIES; retry++) {
+      await waitForEditSlot();
+      if (await edit(firstChunk, mode)) {
+        break;
+      }
+    }
+
+    for (const chunk of otherChunks) {
+      await ctx.telegram
+        .sendMessage(chatId, chunk, mode ? { parse_mode: mode } : {})
+        .catch((error) => {
+          if (!mode || !isParseError(error)) {
+            throw error;
+          }
+          return ctx.telegram.sendMessage(chatId, chunk);
+        });
+    }
+  }
+
+  return {
+    update,
+
+    /**
+     * Finishes with the complete answer
+     * @param {string} text - Complete answer
+     */
+    complete: (text) => finish(text, parseMode),
+
+    /**
+     * Finishes with a partial answer whose generation stopped early
+     * @param {string} text - Partial answer
+     */
+    stop: (text) => finish(`${text}\n\n${t("answer.stopped")}`, parseMode),
+
+    /**
+     * Finishes with a failure notice, keeping any partial answer
+     * @param {string} reason - Why the answer failed
+     */
+    fail: (reason) =>
+      finish(
+        latestText
+          ? `${latestText}\n\n${t("answer.failedPartial", { reason })}`
+          : t("answer.failed", { reason })
+      ),
+  };
+}
+
+module.exports = {
+  createMessageStreamer,
+};
@@ -0,0 +1,42 @@
+const { DEFAULT_LOCALE, createTranslator } = require("./i18n");
+
+/**
+ * Downloads a file that a user sent to the bot
+ * @param {Object} telegram - Telegraf Telegram API instance
+ * @param {string} fileId - Telegram file ID
+ * @param {number} maxSize - Largest accepted file size in bytes
+ * @param {Function} [t] - Translator for the size error, English by default
+ * @returns {Promise<Object>} Object with buffer and the file's name on Telegram's servers
+ */
+async function downloadTelegramFile(
+  telegram,
+  fileId,
+  maxSize,
+  t = createTranslator(DEFAULT_LOCALE)
+) {
+  const file = await telegram.getFile(fileId);
+
+  if (file.file_size && file.file_size > maxSize) {
+    throw new Error(
+      t("documents.downloadTooLarge", {
+        maxMb: Math.floor(maxSize / 1024 / 1024),
+      })
+    );
+  }
+
+  const link = await telegram.getFileLink(file);
+  const response = await fetch(link);
+
+  if (!response.ok) {
+    throw new Error(`Download failed with status ${response.status}`);
+  }
+
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    name: file.file_path.split("/").pop(),
+  };
+}
+
+module.exports = {
+  downloadTelegramFile,
+};
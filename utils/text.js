@@ -0,0 +1,63 @@
+// Telegram's maximum message length
+const MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Splits long text into chunks that fit into a Telegram message
+ * @param {string} text - Text to split
+ * @param {number} [maxLength=MAX_MESSAGE_LENGTH] - Maximum chunk length
+ * @returns {string[]} Message chunks
+ */
+function splitMessage(text, maxLength = MAX_MESSAGE_LENGTH) {
+  const chunks = [];
+  let remaining = text;
+
+  while (remaining.length > maxLength) {
+    // Prefer to break on a newline, then on a space
+    let splitAt = remaining.lastIndexOf("\n", maxLength);
+    if (splitAt <= 0) splitAt = remaining.lastIndexOf(" ", maxLength);
+    if (splitAt <= 0) splitAt = maxLength;
+
+    chunks.push(remaining.slice(0, splitAt));
+    remaining = remaining.slice(splitAt).trimStart();
+  }
+
+  if (remaining.length > 0) {
+    chunks.push(remaining);
+  }
+
+  return chunks;
+}
+
+/**
+ * Escapes text for Telegram's legacy Markdown, so names with underscores or
+ * asterisks are shown as they are
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/([_*`[])/g, "\\$1");
+}
+
+/**
+ * Formats a duration for status messages
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration such as "2d 3h", "3h 20m", "5m" or "40s"
+ */
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  if (days > 0) return `${days}d ${hours % 24}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${seconds}s`;
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  splitMessage,
+  escapeMarkdown,
+  formatDuration,
+};